@@ -0,0 +1,265 @@
+; ALU test ROM: 6xkk, 7xkk, 8xy0-8xyE and Cxkk.
+; Every check loads its number into VE first and jumps to fail when the result is wrong.
+; The checks give the same results with every quirk preset.
+;
+;   node tools/assemble.js roms/tests/alu.asm --out roms/tests/ALU
+
+start:  LD VE, 0x01             ; 6xkk
+        LD V0, 0x42
+        SE V0, 0x42
+        JP fail
+
+        LD VE, 0x02             ; 7xkk wraps and leaves VF alone
+        LD VF, 0x07
+        LD V0, 0xFF
+        ADD V0, 0x02
+        SE V0, 0x01
+        JP fail
+        SE VF, 0x07
+        JP fail
+
+        LD VE, 0x03             ; 8xy0
+        LD V1, 0x5A
+        LD V0, V1
+        SE V0, 0x5A
+        JP fail
+
+        LD VE, 0x04             ; 8xy1
+        LD V0, 0xF0
+        LD V1, 0x0F
+        OR V0, V1
+        SE V0, 0xFF
+        JP fail
+
+        LD VE, 0x05             ; 8xy2
+        LD V0, 0xF3
+        LD V1, 0x3F
+        AND V0, V1
+        SE V0, 0x33
+        JP fail
+
+        LD VE, 0x06             ; 8xy3
+        LD V0, 0xF3
+        LD V1, 0x3F
+        XOR V0, V1
+        SE V0, 0xCC
+        JP fail
+
+        LD VE, 0x07             ; 8xy4 without carry
+        LD V0, 0x10
+        LD V1, 0x20
+        ADD V0, V1
+        SE V0, 0x30
+        JP fail
+        SE VF, 0x00
+        JP fail
+
+        LD VE, 0x08             ; 8xy4 with carry
+        LD V0, 0xFF
+        LD V1, 0x01
+        ADD V0, V1
+        SE V0, 0x00
+        JP fail
+        SE VF, 0x01
+        JP fail
+
+        LD VE, 0x09             ; 8xy4 carry of a sum that wraps to more than Vy
+        LD V0, 0xF0
+        LD V1, 0x20
+        ADD V0, V1
+        SE V0, 0x10
+        JP fail
+        SE VF, 0x01
+        JP fail
+
+        LD VE, 0x0A             ; 8xy4 into VF: the flag wins
+        LD VF, 0x80
+        LD V1, 0x80
+        ADD VF, V1
+        SE VF, 0x01
+        JP fail
+
+        LD VE, 0x0B             ; 8xy5 without borrow
+        LD V0, 0x30
+        LD V1, 0x10
+        SUB V0, V1
+        SE V0, 0x20
+        JP fail
+        SE VF, 0x01
+        JP fail
+
+        LD VE, 0x0C             ; 8xy5 of equal values is no borrow
+        LD V0, 0x30
+        LD V1, 0x30
+        SUB V0, V1
+        SE V0, 0x00
+        JP fail
+        SE VF, 0x01
+        JP fail
+
+        LD VE, 0x0D             ; 8xy5 with borrow
+        LD V0, 0x10
+        LD V1, 0x30
+        SUB V0, V1
+        SE V0, 0xE0
+        JP fail
+        SE VF, 0x00
+        JP fail
+
+        LD VE, 0x0E             ; 8xy6, Vx and Vy hold the same value so the shift quirk doesn't matter
+        LD V0, 0x05
+        LD V1, 0x05
+        SHR V0, V1
+        SE V0, 0x02
+        JP fail
+        SE VF, 0x01
+        JP fail
+
+        LD VE, 0x0F             ; 8xy6 with a 0 shifted out
+        LD V0, 0x04
+        LD V1, 0x04
+        SHR V0, V1
+        SE V0, 0x02
+        JP fail
+        SE VF, 0x00
+        JP fail
+
+        LD VE, 0x10             ; 8xy7 without borrow
+        LD V0, 0x10
+        LD V1, 0x30
+        SUBN V0, V1
+        SE V0, 0x20
+        JP fail
+        SE VF, 0x01
+        JP fail
+
+        LD VE, 0x11             ; 8xy7 of equal values is no borrow
+        LD V0, 0x30
+        LD V1, 0x30
+        SUBN V0, V1
+        SE V0, 0x00
+        JP fail
+        SE VF, 0x01
+        JP fail
+
+        LD VE, 0x12             ; 8xy7 with borrow
+        LD V0, 0x30
+        LD V1, 0x10
+        SUBN V0, V1
+        SE V0, 0xE0
+        JP fail
+        SE VF, 0x00
+        JP fail
+
+        LD VE, 0x13             ; 8xyE, VF is 1 and not 0x80
+        LD V0, 0x81
+        LD V1, 0x81
+        SHL V0, V1
+        SE V0, 0x02
+        JP fail
+        SE VF, 0x01
+        JP fail
+
+        LD VE, 0x14             ; 8xyE with a 0 shifted out
+        LD V0, 0x41
+        LD V1, 0x41
+        SHL V0, V1
+        SE V0, 0x82
+        JP fail
+        SE VF, 0x00
+        JP fail
+
+        LD VE, 0x15             ; 8xy6 into VF: the flag wins
+        LD VF, 0x02
+        SHR VF, VF
+        SE VF, 0x00
+        JP fail
+
+        LD VE, 0x16             ; Cxkk with kk = 0 is always 0
+        RND V0, 0x00
+        SE V0, 0x00
+        JP fail
+
+        LD VE, 0x17             ; Cxkk never sets bits outside kk
+        LD V2, 0
+rnd_mask:
+        RND V0, 0x0F
+        LD V1, 0xF0
+        AND V1, V0
+        SE V1, 0x00
+        JP fail
+        ADD V2, 1
+        SE V2, 0
+        JP rnd_mask
+
+        LD VE, 0x18             ; Cxkk reaches 0xFF, give it 16 * 256 tries
+        LD V2, 0
+        LD V3, 16
+rnd_ff: RND V0, 0xFF
+        SNE V0, 0xFF
+        JP pass
+        ADD V2, 1
+        SE V2, 0
+        JP rnd_ff
+        ADD V3, -1
+        SE V3, 0
+        JP rnd_ff
+        JP fail
+
+; ---------------------------------------------------------------------------
+; Result screen, the same in every test ROM: "PASS", or "FAIL" followed by the
+; number of the failed check (VE) in hex. tools/conformance.js reads it back.
+; ---------------------------------------------------------------------------
+
+pass:   CLS
+        LD V1, 0
+        LD V0, 0
+        LD I, glyph_p
+        DRW V0, V1, 5
+        LD V2, 0xA
+        LD F, V2
+        LD V0, 5
+        DRW V0, V1, 5
+        LD V2, 5                ; S is the digit 5
+        LD F, V2
+        LD V0, 10
+        DRW V0, V1, 5
+        LD V0, 15
+        DRW V0, V1, 5
+        JP done
+
+fail:   CLS
+        LD V1, 0
+        LD V2, 0xF
+        LD F, V2
+        LD V0, 0
+        DRW V0, V1, 5
+        LD V2, 0xA
+        LD F, V2
+        LD V0, 5
+        DRW V0, V1, 5
+        LD I, glyph_i
+        LD V0, 10
+        DRW V0, V1, 5
+        LD I, glyph_l
+        LD V0, 15
+        DRW V0, V1, 5
+        LD V2, VE               ; high digit of the check number
+        SHR V2, V2
+        SHR V2, V2
+        SHR V2, V2
+        SHR V2, V2
+        LD F, V2
+        LD V0, 25
+        DRW V0, V1, 5
+        LD V2, 0x0F             ; low digit
+        AND V2, VE
+        LD F, V2
+        LD V0, 30
+        DRW V0, V1, 5
+
+done:   JP done
+
+glyph_p: DB 0xF0, 0x90, 0xF0, 0x80, 0x80
+glyph_i: DB 0x70, 0x20, 0x20, 0x20, 0x70
+glyph_l: DB 0x80, 0x80, 0x80, 0x80, 0xF0
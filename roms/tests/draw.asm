@@ -0,0 +1,177 @@
+; Draw test ROM: 00E0, Dxyn and Dxy0, checked through the collision flag VF.
+; Every check loads its number into VE first and jumps to fail when the result is wrong.
+; Sprites stay away from the screen edges, so the wrap quirk doesn't change the results.
+;
+;   node tools/assemble.js roms/tests/draw.asm --out roms/tests/DRAW
+
+start:  CLS
+        LD VE, 0x01             ; drawing on an empty screen doesn't collide
+        LD V0, 8
+        LD V1, 10
+        LD I, block
+        DRW V0, V1, 4
+        SE VF, 0
+        JP fail
+
+        LD VE, 0x02             ; drawing the same sprite again erases it and collides
+        DRW V0, V1, 4
+        SE VF, 1
+        JP fail
+
+        LD VE, 0x03             ; and the screen is empty again
+        DRW V0, V1, 4
+        SE VF, 0
+        JP fail
+        DRW V0, V1, 4
+
+        LD VE, 0x04             ; 00E0 clears the screen
+        CLS
+        DRW V0, V1, 4
+        SE VF, 0
+        JP fail
+        CLS
+
+        LD VE, 0x05             ; every column has its own bit: 0x40 at x = 7 is the pixel 0x80 at x = 8
+        LD I, dot_80
+        DRW V0, V1, 1
+        LD V0, 7
+        LD I, dot_40
+        DRW V0, V1, 1
+        SE VF, 1
+        JP fail
+
+        LD VE, 0x06             ; 0x01 at x = 0 is the pixel 0x80 at x = 7
+        CLS
+        LD V0, 0
+        LD I, dot_01
+        DRW V0, V1, 1
+        LD V0, 7
+        LD I, dot_80
+        DRW V0, V1, 1
+        SE VF, 1
+        JP fail
+
+        LD VE, 0x07             ; bits that are 0 don't collide
+        CLS
+        LD V0, 8
+        LD I, dot_80
+        DRW V0, V1, 1
+        LD V0, 7
+        LD I, dot_80
+        DRW V0, V1, 1
+        SE VF, 0
+        JP fail
+
+        LD VE, 0x08             ; rows: the 3rd byte is drawn on the 3rd row
+        CLS
+        LD V0, 8
+        LD V1, 10
+        LD I, third_row
+        DRW V0, V1, 3
+        LD V1, 12
+        LD I, dot_80
+        DRW V0, V1, 1
+        SE VF, 1
+        JP fail
+
+        LD VE, 0x09             ; Vx past the right edge starts the sprite at Vx mod 64
+        CLS
+        LD V0, 72
+        LD V1, 10
+        LD I, dot_80
+        DRW V0, V1, 1
+        LD V0, 8
+        DRW V0, V1, 1
+        SE VF, 1
+        JP fail
+
+        LD VE, 0x0A             ; Dxy0 draws 16 pixels wide: the last bit lands on x + 15
+        CLS
+        LD V0, 0
+        LD V1, 4
+        LD I, wide
+        DRW V0, V1, 0
+        LD V0, 15
+        LD I, dot_80
+        DRW V0, V1, 1
+        SE VF, 1
+        JP fail
+
+        LD VE, 0x0B             ; and 16 rows high: the last row lands on y + 15
+        LD V0, 0
+        LD V1, 19
+        LD I, dot_80
+        DRW V0, V1, 1
+        SE VF, 1
+        JP fail
+
+        JP pass
+
+block:  DB 0xF0, 0x90, 0x90, 0xF0
+dot_80: DB 0x80
+dot_40: DB 0x40
+dot_01: DB 0x01
+third_row:
+        DB 0x00, 0x00, 0x80
+wide:   DB 0x00, 0x01
+        DB 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+        DB 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+        DB 0x80, 0x00
+
+; ---------------------------------------------------------------------------
+; Result screen, the same in every test ROM: "PASS", or "FAIL" followed by the
+; number of the failed check (VE) in hex. tools/conformance.js reads it back.
+; ---------------------------------------------------------------------------
+
+pass:   CLS
+        LD V1, 0
+        LD V0, 0
+        LD I, glyph_p
+        DRW V0, V1, 5
+        LD V2, 0xA
+        LD F, V2
+        LD V0, 5
+        DRW V0, V1, 5
+        LD V2, 5                ; S is the digit 5
+        LD F, V2
+        LD V0, 10
+        DRW V0, V1, 5
+        LD V0, 15
+        DRW V0, V1, 5
+        JP done
+
+fail:   CLS
+        LD V1, 0
+        LD V2, 0xF
+        LD F, V2
+        LD V0, 0
+        DRW V0, V1, 5
+        LD V2, 0xA
+        LD F, V2
+        LD V0, 5
+        DRW V0, V1, 5
+        LD I, glyph_i
+        LD V0, 10
+        DRW V0, V1, 5
+        LD I, glyph_l
+        LD V0, 15
+        DRW V0, V1, 5
+        LD V2, VE               ; high digit of the check number
+        SHR V2, V2
+        SHR V2, V2
+        SHR V2, V2
+        SHR V2, V2
+        LD F, V2
+        LD V0, 25
+        DRW V0, V1, 5
+        LD V2, 0x0F             ; low digit
+        AND V2, VE
+        LD F, V2
+        LD V0, 30
+        DRW V0, V1, 5
+
+done:   JP done
+
+glyph_p: DB 0xF0, 0x90, 0xF0, 0x80, 0x80
+glyph_i: DB 0x70, 0x20, 0x20, 0x20, 0x70
+glyph_l: DB 0x80, 0x80, 0x80, 0x80, 0xF0
@@ -0,0 +1,186 @@
+; Flow test ROM: 1nnn, 2nnn, 00EE, 3xkk, 4xkk, 5xy0, 9xy0, Bnnn, Ex9E, ExA1 and the timers (Fx07, Fx15, Fx18).
+; Every check loads its number into VE first and jumps to fail when the result is wrong.
+; The checks give the same results with every quirk preset, and expect no keys to be held down.
+;
+;   node tools/assemble.js roms/tests/flow.asm --out roms/tests/FLOW
+
+start:  LD VE, 0x01             ; 1nnn
+        JP jump_ok
+        JP fail
+jump_ok:
+
+        LD VE, 0x02             ; 2nnn and 00EE
+        LD V0, 0
+        CALL add_one
+        SE V0, 1
+        JP fail
+
+        LD VE, 0x03             ; nested calls return in order
+        LD V0, 0
+        CALL add_two
+        SE V0, 2
+        JP fail
+
+        LD VE, 0x04             ; 3xkk skips when equal
+        LD V0, 0x33
+        SE V0, 0x33
+        JP fail
+
+        LD VE, 0x05             ; 3xkk doesn't skip when different
+        LD V0, 0x34
+        SE V0, 0x33
+        JP se_ok
+        JP fail
+se_ok:
+
+        LD VE, 0x06             ; 4xkk skips when different
+        LD V0, 0x34
+        SNE V0, 0x33
+        JP fail
+
+        LD VE, 0x07             ; 4xkk doesn't skip when equal
+        LD V0, 0x33
+        SNE V0, 0x33
+        JP sne_ok
+        JP fail
+sne_ok:
+
+        LD VE, 0x08             ; 5xy0 skips when equal
+        LD V0, 0x21
+        LD V1, 0x21
+        SE V0, V1
+        JP fail
+
+        LD VE, 0x09             ; 5xy0 doesn't skip when different
+        LD V1, 0x22
+        SE V0, V1
+        JP se_reg_ok
+        JP fail
+se_reg_ok:
+
+        LD VE, 0x0A             ; 9xy0 skips when different
+        SNE V0, V1
+        JP fail
+
+        LD VE, 0x0B             ; 9xy0 doesn't skip when equal
+        LD V1, 0x21
+        SNE V0, V1
+        JP sne_reg_ok
+        JP fail
+sne_reg_ok:
+
+        LD VE, 0x0C             ; Bnnn, V0 and V2 are equal so the jump quirk doesn't matter
+        LD V0, 4
+        LD V2, 4
+        JP V0, jump_table
+jump_table:
+        JP fail
+        JP fail
+        JP jump_v0_ok
+        JP fail
+jump_v0_ok:
+
+        LD VE, 0x0D             ; ExA1 skips when the key is up
+        LD V0, 0x5
+        SKNP V0
+        JP fail
+
+        LD VE, 0x0E             ; Ex9E doesn't skip when the key is up
+        SKP V0
+        JP skp_ok
+        JP fail
+skp_ok:
+
+        LD VE, 0x0F             ; Fx15 and Fx07
+        LD V0, 0x40
+        LD DT, V0
+        LD V1, DT
+        SE V1, 0
+        JP dt_set
+        JP fail
+dt_set:
+
+        LD VE, 0x10             ; the delay timer counts down to 0 and stops there
+dt_wait:
+        LD V1, DT
+        SE V1, 0
+        JP dt_wait
+        LD V1, DT
+        SE V1, 0
+        JP fail
+
+        LD VE, 0x11             ; Fx18 doesn't touch the delay timer
+        LD V0, 2
+        LD ST, V0
+        LD V1, DT
+        SE V1, 0
+        JP fail
+
+        JP pass
+
+add_one:
+        ADD V0, 1
+        RET
+
+add_two:
+        CALL add_one
+        CALL add_one
+        RET
+
+; ---------------------------------------------------------------------------
+; Result screen, the same in every test ROM: "PASS", or "FAIL" followed by the
+; number of the failed check (VE) in hex. tools/conformance.js reads it back.
+; ---------------------------------------------------------------------------
+
+pass:   CLS
+        LD V1, 0
+        LD V0, 0
+        LD I, glyph_p
+        DRW V0, V1, 5
+        LD V2, 0xA
+        LD F, V2
+        LD V0, 5
+        DRW V0, V1, 5
+        LD V2, 5                ; S is the digit 5
+        LD F, V2
+        LD V0, 10
+        DRW V0, V1, 5
+        LD V0, 15
+        DRW V0, V1, 5
+        JP done
+
+fail:   CLS
+        LD V1, 0
+        LD V2, 0xF
+        LD F, V2
+        LD V0, 0
+        DRW V0, V1, 5
+        LD V2, 0xA
+        LD F, V2
+        LD V0, 5
+        DRW V0, V1, 5
+        LD I, glyph_i
+        LD V0, 10
+        DRW V0, V1, 5
+        LD I, glyph_l
+        LD V0, 15
+        DRW V0, V1, 5
+        LD V2, VE               ; high digit of the check number
+        SHR V2, V2
+        SHR V2, V2
+        SHR V2, V2
+        SHR V2, V2
+        LD F, V2
+        LD V0, 25
+        DRW V0, V1, 5
+        LD V2, 0x0F             ; low digit
+        AND V2, VE
+        LD F, V2
+        LD V0, 30
+        DRW V0, V1, 5
+
+done:   JP done
+
+glyph_p: DB 0xF0, 0x90, 0xF0, 0x80, 0x80
+glyph_i: DB 0x70, 0x20, 0x20, 0x20, 0x70
+glyph_l: DB 0x80, 0x80, 0x80, 0x80, 0xF0
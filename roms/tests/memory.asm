@@ -0,0 +1,204 @@
+; Memory test ROM: Annn, Fx1E, Fx29, Fx33, Fx55, Fx65 and the SUPER-CHIP / XO-CHIP
+; additions Fx30, Fx75, Fx85, 5xy2, 5xy3 and F000 NNNN.
+; Every check loads its number into VE first and jumps to fail when the result is wrong.
+; I is loaded again before every check, so the memory quirk doesn't change the results.
+;
+;   node tools/assemble.js roms/tests/memory.asm --out roms/tests/MEMORY
+
+start:  LD VE, 0x01             ; Annn, read back through Fx65
+        LD I, bytes
+        LD V0, [I]
+        SE V0, 0x12
+        JP fail
+
+        LD VE, 0x02             ; Fx1E
+        LD I, bytes
+        LD V1, 2
+        ADD I, V1
+        LD V0, [I]
+        SE V0, 0x56
+        JP fail
+
+        LD VE, 0x03             ; Fx65 reads V0 through Vx and no further
+        LD V3, 0xAA
+        LD I, bytes
+        LD V2, [I]
+        SE V0, 0x12
+        JP fail
+        SE V1, 0x34
+        JP fail
+        SE V2, 0x56
+        JP fail
+        SE V3, 0xAA
+        JP fail
+
+        LD VE, 0x04             ; Fx55 writes V0 through Vx and no further
+        LD V0, 0xA1
+        LD V1, 0xA2
+        LD V2, 0xA3
+        LD I, buffer
+        LD [I], V1
+        LD I, buffer
+        LD V2, [I]
+        SE V0, 0xA1
+        JP fail
+        SE V1, 0xA2
+        JP fail
+        SE V2, 0x00
+        JP fail
+
+        LD VE, 0x05             ; Fx33 of 234
+        LD V0, 234
+        LD I, buffer
+        LD B, V0
+        LD I, buffer
+        LD V2, [I]
+        SE V0, 2
+        JP fail
+        SE V1, 3
+        JP fail
+        SE V2, 4
+        JP fail
+
+        LD VE, 0x06             ; Fx33 of 7
+        LD V0, 7
+        LD I, buffer
+        LD B, V0
+        LD I, buffer
+        LD V2, [I]
+        SE V0, 0
+        JP fail
+        SE V1, 0
+        JP fail
+        SE V2, 7
+        JP fail
+
+        LD VE, 0x07             ; Fx29 points at the font, A is F0 90 F0 90 90
+        LD V0, 0xA
+        LD F, V0
+        LD V2, [I]
+        SE V0, 0xF0
+        JP fail
+        SE V1, 0x90
+        JP fail
+        SE V2, 0xF0
+        JP fail
+
+        LD VE, 0x08             ; Fx29 of digit 1 starts with 20 60
+        LD V0, 1
+        LD F, V0
+        LD V1, [I]
+        SE V0, 0x20
+        JP fail
+        SE V1, 0x60
+        JP fail
+
+        LD VE, 0x09             ; Fx30 points at the big font, 1 starts with 18 78
+        LD V0, 1
+        LD HF, V0
+        LD V1, [I]
+        SE V0, 0x18
+        JP fail
+        SE V1, 0x78
+        JP fail
+
+        LD VE, 0x0A             ; Fx75 and Fx85
+        LD V0, 0x11
+        LD V1, 0x22
+        LD R, V1
+        LD V0, 0
+        LD V1, 0
+        LD V1, R
+        SE V0, 0x11
+        JP fail
+        SE V1, 0x22
+        JP fail
+
+        LD VE, 0x0B             ; 5xy2 stores V1 to V2, 5xy3 reads them back in reverse into V4 to V3
+        LD V1, 0x61
+        LD V2, 0x62
+        LD I, buffer
+        SAVE V1, V2
+        LOAD V4, V3
+        SE V4, 0x61
+        JP fail
+        SE V3, 0x62
+        JP fail
+
+        LD VE, 0x0C             ; F000 NNNN
+        LONG I, bytes
+        LD V0, [I]
+        SE V0, 0x12
+        JP fail
+
+        LD VE, 0x0D             ; a skip jumps over all 4 bytes of F000 NNNN
+        LD I, bytes
+        LD V0, 0
+        SE V0, 0
+        LONG I, buffer
+        LD V0, [I]
+        SE V0, 0x12
+        JP fail
+
+        JP pass
+
+bytes:  DB 0x12, 0x34, 0x56, 0x78
+buffer: DB 0, 0, 0, 0
+
+; ---------------------------------------------------------------------------
+; Result screen, the same in every test ROM: "PASS", or "FAIL" followed by the
+; number of the failed check (VE) in hex. tools/conformance.js reads it back.
+; ---------------------------------------------------------------------------
+
+pass:   CLS
+        LD V1, 0
+        LD V0, 0
+        LD I, glyph_p
+        DRW V0, V1, 5
+        LD V2, 0xA
+        LD F, V2
+        LD V0, 5
+        DRW V0, V1, 5
+        LD V2, 5                ; S is the digit 5
+        LD F, V2
+        LD V0, 10
+        DRW V0, V1, 5
+        LD V0, 15
+        DRW V0, V1, 5
+        JP done
+
+fail:   CLS
+        LD V1, 0
+        LD V2, 0xF
+        LD F, V2
+        LD V0, 0
+        DRW V0, V1, 5
+        LD V2, 0xA
+        LD F, V2
+        LD V0, 5
+        DRW V0, V1, 5
+        LD I, glyph_i
+        LD V0, 10
+        DRW V0, V1, 5
+        LD I, glyph_l
+        LD V0, 15
+        DRW V0, V1, 5
+        LD V2, VE               ; high digit of the check number
+        SHR V2, V2
+        SHR V2, V2
+        SHR V2, V2
+        SHR V2, V2
+        LD F, V2
+        LD V0, 25
+        DRW V0, V1, 5
+        LD V2, 0x0F             ; low digit
+        AND V2, VE
+        LD F, V2
+        LD V0, 30
+        DRW V0, V1, 5
+
+done:   JP done
+
+glyph_p: DB 0xF0, 0x90, 0xF0, 0x80, 0x80
+glyph_i: DB 0x70, 0x20, 0x20, 0x20, 0x70
+glyph_l: DB 0x80, 0x80, 0x80, 0x80, 0xF0
@@ -0,0 +1,348 @@
+import { INSTRUCTIONS, instructionsFor } from './decoder.js';
+import { MODELS } from './models.js';
+
+/**
+ * A small chip-8 assembler, using the mnemonics of the decoder (and the disassembler listings).
+ *
+ *         ORG 0x200            ; address of the next byte, programs start at 0x200
+ * SPEED   EQU 3                ; constant
+ * start:  LD V0, SPEED         ; label, instruction
+ *         LD I, sprite
+ *         DRW V0, V1, 5
+ *         JP start
+ * sprite: DB 0xF0, 0x90, 0xF0  ; bytes, strings like "HI" are stored as ASCII
+ *         DW 0x1234            ; 16 bit words, high byte first
+ *
+ * Numbers are decimal, hex (0x1F, #1F, $1F) or binary (0b1010, %1010).
+ * Operands can add and subtract numbers, labels and constants: `LD I, sprite + 5`.
+ * Programs are assembled for a machine model (models.js), with the instructions of that model: CHIP-8X has
+ * `COLOR Vx, Vy, n` where the others have `JP V0, nnn`.
+ */
+
+// Words that are part of the instruction syntax and can't be used as labels or constants.
+const RESERVED = /^(V[0-9A-F]|I|\[I\]|DT|ST|K|F|HF|B|R)$/i;
+
+// Operand templates that take a number, with the largest value that fits.
+const NUMBER_TEMPLATES = { kk: 0xFF, nnn: 0xFFF, n: 0xF, p: 0xF, nnnn: 0xFFFF };
+
+/**
+ * Split on commas that are not inside a string.
+ */
+function splitOperands(text) {
+    const operands = [];
+    let current = "";
+    let quoted = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            quoted = !quoted;
+        }
+        if (char === "," && !quoted) {
+            operands.push(current.trim());
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim() !== "") {
+        operands.push(current.trim());
+    }
+
+    return operands;
+}
+
+/**
+ * Remove a comment, unless the ; is inside a string.
+ */
+function stripComment(line) {
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            quoted = !quoted;
+        } else if (line[i] === ";" && !quoted) {
+            return line.slice(0, i);
+        }
+    }
+
+    return line;
+}
+
+function parseNumber(text) {
+    let match;
+    if ((match = /^(?:0x|#|\$)([0-9a-f]+)$/i.exec(text))) {
+        return parseInt(match[1], 16);
+    }
+    if ((match = /^(?:0b|%)([01]+)$/i.exec(text))) {
+        return parseInt(match[1], 2);
+    }
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10);
+    }
+    return null;
+}
+
+class Assembler {
+    constructor(source, origin, model) {
+        this.lines = source.split(/\r?\n/);
+        this.origin = origin;
+        this.model = model;
+        this.instructions = instructionsFor(model);
+
+        // Labels and constants.
+        this.symbols = new Map();
+    }
+
+    error(message) {
+        throw new Error("Line " + this.lineNumber + ": " + message);
+    }
+
+    /**
+     * Value of an expression: numbers, labels and constants joined by + and -.
+     * In the first pass labels further down are not known yet, they count as 0.
+     */
+    evaluate(text, firstPass) {
+        const terms = text.replace(/\s+/g, "").split(/(?=[+-])/);
+        let value = 0;
+
+        for (let term of terms) {
+            let sign = 1;
+            if (term[0] === "+" || term[0] === "-") {
+                sign = term[0] === "-" ? -1 : 1;
+                term = term.slice(1);
+            }
+
+            let termValue = parseNumber(term);
+            if (termValue === null) {
+                if (!/^[A-Za-z_][\w.]*$/.test(term)) {
+                    this.error("Invalid value " + text);
+                }
+                if (this.symbols.has(term)) {
+                    termValue = this.symbols.get(term);
+                } else if (firstPass) {
+                    termValue = 0;
+                } else {
+                    this.error("Unknown label or constant " + term);
+                }
+            }
+
+            value += sign * termValue;
+        }
+
+        return value;
+    }
+
+    defineSymbol(name, value) {
+        if (RESERVED.test(name)) {
+            this.error(name + " is a reserved word");
+        }
+        if (this.symbols.has(name) && this.symbols.get(name) !== value) {
+            this.error(name + " is already defined");
+        }
+        this.symbols.set(name, value);
+    }
+
+    /**
+     * Find the instruction in the table for a mnemonic and its operands.
+     */
+    match(mnemonic, operands) {
+        const candidates = this.instructions.filter((instruction) => instruction.mnemonic === mnemonic && instruction.operands.length === operands.length);
+
+        if (candidates.length === 0 && INSTRUCTIONS.some((instruction) => instruction.mnemonic === mnemonic && instruction.operands.length === operands.length)) {
+            this.error(mnemonic + (operands.length ? " with " + operands.length + " operand(s)" : "") + " is not an instruction of " + MODELS[this.model].name);
+        }
+        if (candidates.length === 0) {
+            this.error("Unknown instruction " + mnemonic + (operands.length ? " with " + operands.length + " operand(s)" : ""));
+        }
+
+        const found = candidates.find((instruction) => instruction.operands.every((template, n) => {
+            const operand = operands[n];
+            if (template === "Vx" || template === "Vy") {
+                return /^V[0-9A-F]$/i.test(operand);
+            }
+            if (NUMBER_TEMPLATES[template] !== undefined) {
+                return !RESERVED.test(operand);
+            }
+            return operand.toUpperCase() === template;
+        }));
+
+        if (!found) {
+            this.error("Invalid operands for " + mnemonic + ": " + operands.join(", "));
+        }
+
+        return found;
+    }
+
+    /**
+     * Encode an instruction into bytes.
+     */
+    encode(instruction, operands, firstPass) {
+        let opcode = instruction.pattern;
+        let next = null;
+
+        instruction.operands.forEach((template, n) => {
+            const operand = operands[n];
+
+            if (template === "Vx" || template === "Vy") {
+                const register = parseInt(operand[1], 16);
+                opcode |= template === "Vx" ? register << 8 : register << 4;
+                return;
+            }
+
+            const max = NUMBER_TEMPLATES[template];
+            if (max === undefined) {
+                return;
+            }
+
+            let value = this.evaluate(operand, firstPass);
+            // Negative bytes are written as their two's complement, ADD V0, -1 is ADD V0, 0xFF.
+            if (template === "kk" && value < 0 && value >= -0x80) {
+                value &= 0xFF;
+            }
+            // Labels defined further down count as 0 in the first pass, values are only known in the second.
+            if (!firstPass && (value < 0 || value > max)) {
+                this.error("Value " + operand + " does not fit in " + template);
+            }
+
+            switch (template) {
+                case "p":
+                    opcode |= value << 8;
+                    break;
+                case "nnnn":
+                    next = value;
+                    break;
+                default:
+                    opcode |= value;
+            }
+        });
+
+        const bytes = [opcode >> 8, opcode & 0xFF];
+        if (next !== null) {
+            bytes.push(next >> 8, next & 0xFF);
+        }
+        return bytes;
+    }
+
+    /**
+     * Bytes of a DB or DW directive.
+     */
+    data(directive, operands, firstPass) {
+        const bytes = [];
+
+        for (const operand of operands) {
+            if (operand[0] === '"') {
+                if (directive !== "DB" || operand[operand.length - 1] !== '"') {
+                    this.error("Invalid string " + operand);
+                }
+                for (const char of operand.slice(1, -1)) {
+                    bytes.push(char.charCodeAt(0) & 0xFF);
+                }
+                continue;
+            }
+
+            const value = this.evaluate(operand, firstPass);
+            if (firstPass) {
+                bytes.push(...(directive === "DB" ? [0] : [0, 0]));
+            } else if (directive === "DB") {
+                if (value < -0x80 || value > 0xFF) {
+                    this.error("Value " + operand + " does not fit in a byte");
+                }
+                bytes.push(value & 0xFF);
+            } else {
+                if (value < 0 || value > 0xFFFF) {
+                    this.error("Value " + operand + " does not fit in a word");
+                }
+                bytes.push(value >> 8, value & 0xFF);
+            }
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Run over all lines. The first pass only collects label addresses, the second writes the bytes.
+     */
+    pass(firstPass) {
+        const output = new Map();
+        let address = this.origin;
+
+        this.lines.forEach((line, index) => {
+            this.lineNumber = index + 1;
+
+            let text = stripComment(line).trim();
+
+            const labelMatch = /^([A-Za-z_][\w.]*):\s*/.exec(text);
+            if (labelMatch) {
+                if (firstPass) {
+                    this.defineSymbol(labelMatch[1], address);
+                }
+                text = text.slice(labelMatch[0].length);
+            }
+
+            if (text === "") {
+                return;
+            }
+
+            const constantMatch = /^([A-Za-z_][\w.]*)\s+EQU\s+(.+)$/i.exec(text);
+            if (constantMatch) {
+                if (firstPass) {
+                    this.defineSymbol(constantMatch[1], this.evaluate(constantMatch[2], false));
+                }
+                return;
+            }
+
+            const statement = /^(\S+)\s*(.*)$/.exec(text);
+            const mnemonic = statement[1].toUpperCase();
+            const operands = splitOperands(statement[2]);
+
+            let bytes;
+            switch (mnemonic) {
+                case "ORG":
+                    address = this.evaluate(operands[0] || "", false);
+                    if (address < this.origin) {
+                        this.error("ORG below the start address 0x" + this.origin.toString(16));
+                    }
+                    return;
+                case "DB":
+                case "DW":
+                    bytes = this.data(mnemonic, operands, firstPass);
+                    break;
+                default:
+                    bytes = this.encode(this.match(mnemonic, operands), operands, firstPass);
+            }
+
+            for (const byte of bytes) {
+                if (address > 0xFFFF) {
+                    this.error("Program does not fit in memory");
+                }
+                output.set(address++, byte);
+            }
+        });
+
+        return output;
+    }
+
+    assemble() {
+        this.pass(true);
+        const output = this.pass(false);
+
+        let end = this.origin;
+        for (const address of output.keys()) {
+            end = Math.max(end, address + 1);
+        }
+
+        const rom = new Uint8Array(end - this.origin);
+        for (const [address, byte] of output) {
+            rom[address - this.origin] = byte;
+        }
+        return rom;
+    }
+}
+
+/**
+ * Assemble source text into ROM bytes for a machine model. The ROM starts at `origin` (0x200 for chip-8 programs).
+ * Throws an Error mentioning the line number on mistakes.
+ */
+export function assemble(source, origin = 0x200, model = "chip8") {
+    return new Assembler(source, origin, model).assemble();
+}
@@ -0,0 +1,165 @@
+/**
+ * Sound settings shared by the Web Audio speaker and the offline WAV renderer, so a WAV file sounds like the browser.
+ *
+ * The buzzer is on for every frame in which the sound timer is non-zero. Switching it on and off instantly makes an
+ * audible click, so the volume ramps up over ATTACK and down over RELEASE seconds instead.
+ */
+export const WAVEFORMS = ["square", "sine", "triangle", "sawtooth"];
+
+export const ATTACK = 0.005;
+export const RELEASE = 0.01;
+
+// Volume from 0 to 1, the waveform and pitch in Hz of the buzzer. XO-CHIP patterns bring their own waveform and pitch.
+export const DEFAULT_SOUND = {
+    volume: 0.5,
+    waveform: "square",
+    frequency: 440
+};
+
+// Samples are scaled by this at full volume, a square wave at full scale is unpleasantly loud.
+export const LEVEL = 0.25;
+
+/**
+ * One sample of a waveform with amplitude 1, at `phase` (0 to 1) of its period.
+ * Same shapes as the OscillatorNode types of the same names.
+ */
+export function waveSample(waveform, phase) {
+    switch (waveform) {
+        case "sine":
+            return Math.sin(2 * Math.PI * phase);
+        case "triangle":
+            return phase < 0.25 ? 4 * phase : phase < 0.75 ? 2 - 4 * phase : 4 * phase - 4;
+        case "sawtooth":
+            return phase < 0.5 ? 2 * phase : 2 * phase - 2;
+        default:
+            return phase < 0.5 ? 1 : -1;
+    }
+}
+
+/**
+ * XO-CHIP: the sample of an audio pattern at bit `bit` (0 to 127), 1 for a set bit and -1 for a clear one.
+ */
+export function patternSample(pattern, bit) {
+    return (pattern[bit >> 3] >> (7 - (bit & 7))) & 1 ? 1 : -1;
+}
+
+/**
+ * The sound the CPU makes in the frame that just ran: null when silent, otherwise
+ * { pattern, rate } for an XO-CHIP pattern or { pattern: null } for the plain buzzer.
+ */
+export function frameSound(cpu) {
+    if (cpu.soundTimer === 0) {
+        return null;
+    }
+
+    if (cpu.audioPattern) {
+        return { pattern: cpu.audioPattern.slice(), rate: cpu.patternRate() };
+    }
+
+    return { pattern: null };
+}
+
+/**
+ * Logs the sound of every frame of a session, for renderWav. Call record(cpu) after every emulated frame.
+ */
+export class SoundLog {
+    constructor() {
+        this.frames = [];
+    }
+
+    record(cpu) {
+        this.frames.push(frameSound(cpu));
+    }
+
+    /**
+     * Number of frames that made a sound.
+     */
+    get audibleFrames() {
+        return this.frames.filter((sound) => sound !== null).length;
+    }
+}
+
+/**
+ * Render the frames of a SoundLog into a 16 bit mono WAV file, 60 frames per second.
+ * `settings` are volume, waveform and frequency (see DEFAULT_SOUND), plus sampleRate.
+ * Returns the bytes of the file.
+ */
+export function renderWav(frames, settings = {}) {
+    const { volume, waveform, frequency } = Object.assign({}, DEFAULT_SOUND, settings);
+    const sampleRate = settings.sampleRate || 44100;
+
+    const samplesPerFrame = sampleRate / 60;
+    const length = Math.round(frames.length * samplesPerFrame);
+    const samples = new Float32Array(length);
+
+    const attackStep = 1 / (ATTACK * sampleRate);
+    const releaseStep = 1 / (RELEASE * sampleRate);
+
+    // The waveform keeps its phase across frames, like an oscillator that keeps running, and the last sound
+    // keeps playing while it fades out.
+    let phase = 0;
+    let envelope = 0;
+    let sound = null;
+
+    for (let n = 0; n < length; n++) {
+        const current = frames[Math.min(frames.length - 1, Math.floor(n / samplesPerFrame))];
+
+        if (current) {
+            sound = current;
+            envelope = Math.min(1, envelope + attackStep);
+        } else {
+            envelope = Math.max(0, envelope - releaseStep);
+        }
+
+        if (envelope === 0 || !sound) {
+            continue;
+        }
+
+        if (sound.pattern) {
+            phase = (phase + sound.rate / sampleRate) % 128;
+            samples[n] = patternSample(sound.pattern, Math.floor(phase)) * envelope;
+        } else {
+            phase = (phase + frequency / sampleRate) % 1;
+            samples[n] = waveSample(waveform, phase) * envelope;
+        }
+    }
+
+    return encodeWav(samples, sampleRate, volume * LEVEL);
+}
+
+/**
+ * Samples (-1 to 1, times `gain`) as a 16 bit mono PCM WAV file.
+ */
+function encodeWav(samples, sampleRate, gain) {
+    const bytes = new Uint8Array(44 + samples.length * 2);
+    const view = new DataView(bytes.buffer);
+
+    const text = (offset, value) => {
+        for (let i = 0; i < value.length; i++) {
+            bytes[offset + i] = value.charCodeAt(i);
+        }
+    };
+
+    text(0, "RIFF");
+    view.setUint32(4, 36 + samples.length * 2, true);
+    text(8, "WAVE");
+
+    text(12, "fmt ");
+    view.setUint32(16, 16, true);              // size of the fmt chunk
+    view.setUint16(20, 1, true);               // PCM
+    view.setUint16(22, 1, true);               // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);  // bytes per second
+    view.setUint16(32, 2, true);               // bytes per sample
+    view.setUint16(34, 16, true);              // bits per sample
+
+    text(36, "data");
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let n = 0; n < samples.length; n++) {
+        const sample = Math.max(-1, Math.min(1, samples[n] * gain));
+        view.setInt16(44 + n * 2, Math.round(sample * 0x7FFF), true);
+    }
+
+    return bytes;
+}
@@ -0,0 +1,189 @@
+/**
+ * Which keyboard keys and gamepad buttons press which chip-8 key, kept per ROM in a Web Storage object.
+ *
+ * Keyboard keys are `event.code` values. Those name the physical key, so the default 4x4 block 1234/QWER/ASDF/ZXCV
+ * sits in the same place on QWERTY, AZERTY and QWERTZ keyboards.
+ * Gamepad buttons are indexes in the standard gamepad layout, plus "up", "down", "left" and "right" for the left stick.
+ */
+export const DEFAULT_BINDINGS = {
+    keyboard: {
+        Digit1: 0x1, Digit2: 0x2, Digit3: 0x3, Digit4: 0xC,
+        KeyQ: 0x4, KeyW: 0x5, KeyE: 0x6, KeyR: 0xD,
+        KeyA: 0x7, KeyS: 0x8, KeyD: 0x9, KeyF: 0xE,
+        KeyZ: 0xA, KeyX: 0x0, KeyC: 0xB, KeyV: 0xF
+    },
+    // Most games steer with 2/4/6/8 (or 5/7/8/9) and fire with 5 or 6: the d-pad and stick give 2/4/6/8,
+    // the face buttons 5, 6, 0 and F, and start / select 1 and 0.
+    gamepad: {
+        0: 0x5, 1: 0x6, 2: 0x0, 3: 0xF,
+        8: 0xA, 9: 0x1,
+        12: 0x2, 13: 0x8, 14: 0x4, 15: 0x6,
+        up: 0x2, down: 0x8, left: 0x4, right: 0x6
+    }
+};
+
+// CHIP-8X has a second keypad, it sits on the numeric keypad: the digits press 0-9, / * - + Enter and . press A-F.
+export const SECOND_KEYPAD_BINDINGS = {
+    Numpad0: 0x0, Numpad1: 0x1, Numpad2: 0x2, Numpad3: 0x3, Numpad4: 0x4,
+    Numpad5: 0x5, Numpad6: 0x6, Numpad7: 0x7, Numpad8: 0x8, Numpad9: 0x9,
+    NumpadDivide: 0xA, NumpadMultiply: 0xB, NumpadSubtract: 0xC, NumpadAdd: 0xD, NumpadEnter: 0xE, NumpadDecimal: 0xF
+};
+
+// Names of the standard gamepad buttons, for the settings screen.
+export const GAMEPAD_BUTTON_NAMES = {
+    0: "A", 1: "B", 2: "X", 3: "Y", 4: "LB", 5: "RB", 6: "LT", 7: "RT", 8: "Select", 9: "Start",
+    10: "Left stick", 11: "Right stick", 12: "D-pad up", 13: "D-pad down", 14: "D-pad left", 15: "D-pad right", 16: "Home",
+    up: "Stick up", down: "Stick down", left: "Stick left", right: "Stick right"
+};
+
+const copy = (bindings) => ({
+    keyboard: Object.assign({}, bindings.keyboard),
+    gamepad: Object.assign({}, bindings.gamepad)
+});
+
+// The default bindings with the ones of a ROM's key layout on top.
+const withLayout = (layout) => ({
+    keyboard: Object.assign({}, DEFAULT_BINDINGS.keyboard, layout && layout.keyboard),
+    gamepad: Object.assign({}, DEFAULT_BINDINGS.gamepad, layout && layout.gamepad)
+});
+
+/**
+ * Saved bindings from their text, or null when they are not { keyboard, gamepad } with chip-8 keys 0 to 15.
+ */
+function parseBindings(text) {
+    let bindings;
+    try {
+        bindings = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+
+    const valid = (device) => device !== null && typeof device === "object" && !Array.isArray(device)
+        && Object.values(device).every((key) => Number.isInteger(key) && key >= 0 && key <= 0xF);
+
+    return bindings !== null && typeof bindings === "object" && valid(bindings.keyboard) && valid(bindings.gamepad) ? bindings : null;
+}
+
+class Bindings {
+    constructor(storage) {
+        this.storage = storage;
+
+        // Name of the running ROM, bindings are kept separately for every ROM.
+        this.rom = null;
+
+        // Key layout of the running ROM from its metadata (rom-database.js), the ROM's defaults. Null for none.
+        this.layout = null;
+
+        this.keyboard = null;
+        this.gamepad = null;
+        this.reset();
+    }
+
+    key() {
+        return "chip8.controls." + this.rom;
+    }
+
+    /**
+     * Switch to the bindings of a ROM: the saved ones, or when it has none the defaults with `layout` on top.
+     * Saved bindings that are broken are forgotten.
+     */
+    load(rom, layout) {
+        this.rom = rom;
+        this.layout = layout || null;
+
+        const text = this.storage.getItem(this.key());
+        const saved = text !== null ? parseBindings(text) : null;
+        if (text !== null && saved === null) {
+            this.storage.removeItem(this.key());
+        }
+
+        const bindings = copy(saved || withLayout(this.layout));
+
+        this.keyboard = bindings.keyboard;
+        this.gamepad = bindings.gamepad;
+    }
+
+    save() {
+        this.storage.setItem(this.key(), JSON.stringify({ keyboard: this.keyboard, gamepad: this.gamepad }));
+    }
+
+    /**
+     * Back to the default bindings of the ROM, the saved ones are forgotten.
+     */
+    reset() {
+        const bindings = withLayout(this.layout);
+
+        this.keyboard = bindings.keyboard;
+        this.gamepad = bindings.gamepad;
+
+        if (this.rom !== null) {
+            this.storage.removeItem(this.key());
+        }
+    }
+
+    /**
+     * The chip-8 key a keyboard code or gamepad button is bound to, or undefined.
+     */
+    keyboardKey(code) {
+        return this.keyboard[code];
+    }
+
+    gamepadKey(button) {
+        return this.gamepad[button];
+    }
+
+    /**
+     * Bind a keyboard code to a chip-8 key, instead of the codes that were bound to that key. The change is saved.
+     */
+    bindKeyboard(code, key) {
+        for (const other of this.keyboardCodes(key)) {
+            delete this.keyboard[other];
+        }
+        this.keyboard[code] = key;
+
+        this.save();
+    }
+
+    /**
+     * Bind a gamepad button to a chip-8 key, or unbind it with null. Several buttons can press the same key
+     * (the d-pad and the stick). The change is saved.
+     */
+    bindGamepad(button, key) {
+        if (key === null) {
+            delete this.gamepad[button];
+        } else {
+            this.gamepad[button] = key;
+        }
+
+        this.save();
+    }
+
+    /**
+     * The bindings that differ from the defaults, as a key layout for the ROM's metadata.
+     */
+    layoutChanges() {
+        const changes = (bindings, defaults) => {
+            const result = {};
+            for (const [input, key] of Object.entries(bindings)) {
+                if (defaults[input] !== key) {
+                    result[input] = key;
+                }
+            }
+            return result;
+        };
+
+        return {
+            keyboard: changes(this.keyboard, DEFAULT_BINDINGS.keyboard),
+            gamepad: changes(this.gamepad, DEFAULT_BINDINGS.gamepad)
+        };
+    }
+
+    /**
+     * The keyboard codes bound to a chip-8 key.
+     */
+    keyboardCodes(key) {
+        return Object.keys(this.keyboard).filter((code) => this.keyboard[code] === key);
+    }
+}
+
+export default Bindings;
@@ -0,0 +1,183 @@
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+/**
+ * Parse a cheat code. Codes are text, so they can be shared:
+ *
+ *     0F2A=03 Infinite lives     0F2A is set to 03 every frame
+ *     0300:0A0B More time        0300 and 0301 are set to 0A and 0B once, when the ROM loads
+ *
+ * An address, "=" (every frame) or ":" (once at load), the bytes as hex digits, and an optional name.
+ * Returns { address, bytes, once, name, enabled }; throws when the code is invalid.
+ */
+export function parseCheat(code) {
+    const match = /^\s*([0-9A-F]{1,4})\s*([=:])\s*((?:[0-9A-F]{2})+)(?:\s+(.*?))?\s*$/i.exec(code);
+
+    if (!match) {
+        throw new Error("Invalid cheat code \"" + code.trim() + "\": codes look like 0F2A=03 or 0F2A:03");
+    }
+
+    const bytes = [];
+    for (let digit = 0; digit < match[3].length; digit += 2) {
+        bytes.push(parseInt(match[3].substr(digit, 2), 16));
+    }
+
+    return { address: parseInt(match[1], 16), bytes: bytes, once: match[2] === ":", name: match[4] || "", enabled: true };
+}
+
+/**
+ * The text code of a cheat, see parseCheat.
+ */
+export function formatCheat(cheat) {
+    return hex(cheat.address, 4) + (cheat.once ? ":" : "=") + cheat.bytes.map((byte) => hex(byte, 2)).join("")
+        + (cheat.name ? " " + cheat.name : "");
+}
+
+/**
+ * Memory patches per ROM, kept in a Web Storage object like the save slots. A cheat either holds its bytes every
+ * frame (frame() writes them before the frame runs, so the game never sees another value) or writes them once
+ * when the ROM loads or the machine resets with it (romLoaded()). Disabled cheats are kept but do nothing.
+ */
+class Cheats {
+    constructor(cpu, storage) {
+        this.cpu = cpu;
+        this.storage = storage;
+
+        // Name of the running ROM, cheats are kept separately for every ROM.
+        this.rom = null;
+        this.cheats = [];
+    }
+
+    key() {
+        return "chip8.cheats." + this.rom;
+    }
+
+    /**
+     * Switch to the cheats of a ROM. Stored cheats are checked like new ones, broken ones are dropped from storage
+     * rather than breaking every ROM load after them.
+     */
+    load(rom) {
+        this.rom = rom;
+        this.cheats = [];
+
+        const text = this.storage.getItem(this.key());
+        if (text === null) {
+            return;
+        }
+
+        let stored;
+        try {
+            stored = JSON.parse(text);
+        } catch (error) {
+            stored = null;
+        }
+
+        for (const item of Array.isArray(stored) ? stored : []) {
+            try {
+                const cheat = parseCheat(formatCheat(item));
+                cheat.enabled = item.enabled !== false;
+                this.check(cheat);
+                this.cheats.push(cheat);
+            } catch (error) {
+                // A broken cheat is left out, and out of storage below.
+            }
+        }
+
+        if (!Array.isArray(stored) || this.cheats.length !== stored.length) {
+            this.save();
+        }
+    }
+
+    save() {
+        this.storage.setItem(this.key(), JSON.stringify(this.cheats));
+    }
+
+    /**
+     * Add a cheat from its code. Returns the cheat.
+     */
+    add(code) {
+        const cheat = parseCheat(code);
+        this.check(cheat);
+
+        this.cheats.push(cheat);
+        this.save();
+
+        return cheat;
+    }
+
+    remove(cheat) {
+        this.cheats = this.cheats.filter((other) => other !== cheat);
+        this.save();
+    }
+
+    setEnabled(cheat, enabled) {
+        cheat.enabled = enabled;
+        this.save();
+    }
+
+    check(cheat) {
+        if (cheat.address + cheat.bytes.length > this.cpu.addressSpace) {
+            throw new Error("Cheat " + formatCheat(cheat) + " writes past the end of memory");
+        }
+    }
+
+    /**
+     * Before every frame: write the bytes of the enabled every-frame cheats.
+     */
+    frame() {
+        for (const cheat of this.cheats) {
+            if (cheat.enabled && !cheat.once) {
+                this.write(cheat);
+            }
+        }
+    }
+
+    /**
+     * After a ROM loaded, or the machine reset with it: write the bytes of the enabled once-at-load cheats.
+     */
+    romLoaded() {
+        for (const cheat of this.cheats) {
+            if (cheat.enabled && cheat.once) {
+                this.write(cheat);
+            }
+        }
+    }
+
+    write(cheat) {
+        const memory = this.cpu.memory;
+        let changed = false;
+
+        cheat.bytes.forEach((byte, index) => {
+            if (memory[cheat.address + index] !== byte) {
+                memory[cheat.address + index] = byte;
+                changed = true;
+            }
+        });
+
+        // Code that didn't change doesn't have to be compiled again.
+        if (changed) {
+            this.cpu.memoryChanged(cheat.address, cheat.address + cheat.bytes.length - 1);
+        }
+    }
+
+    /**
+     * The codes of every cheat of the ROM, one per line. Disabled cheats are shared too.
+     */
+    exportText() {
+        return this.cheats.map(formatCheat).join("\n");
+    }
+
+    /**
+     * Add the cheats of codes, one per line. Returns how many there were. Nothing is added when any code is invalid.
+     */
+    importText(text) {
+        const cheats = text.split("\n").filter((line) => line.trim() !== "").map(parseCheat);
+        cheats.forEach((cheat) => this.check(cheat));
+
+        this.cheats = this.cheats.concat(cheats);
+        this.save();
+
+        return cheats.length;
+    }
+}
+
+export default Cheats;
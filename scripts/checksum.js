@@ -0,0 +1,76 @@
+/**
+ * 32 bit FNV-1a hash of some bytes as 8 hex digits. Quick to compute, and plenty to tell ROMs or framebuffers apart.
+ */
+export function checksum(bytes) {
+    let hash = 0x811C9DC5;
+
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * SHA-1 hash of some bytes as 40 hex digits, the hash ROM databases key their entries by.
+ * Computed right here, because the Web Crypto API only hashes asynchronously.
+ */
+export function sha1(bytes) {
+    // The message is padded with a 1 bit, zeros and its length in bits to a multiple of 64 bytes.
+    const length = bytes.length;
+    const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+    padded.set(bytes);
+    padded[length] = 0x80;
+
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+    view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+    const hash = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+    const words = new Uint32Array(80);
+
+    for (let block = 0; block < padded.length; block += 64) {
+        for (let t = 0; t < 16; t++) {
+            words[t] = view.getUint32(block + (t * 4));
+        }
+        for (let t = 16; t < 80; t++) {
+            const word = words[t - 3] ^ words[t - 8] ^ words[t - 14] ^ words[t - 16];
+            words[t] = (word << 1) | (word >>> 31);
+        }
+
+        let [a, b, c, d, e] = hash;
+
+        for (let t = 0; t < 80; t++) {
+            let f, k;
+            if (t < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5A827999;
+            } else if (t < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ED9EBA1;
+            } else if (t < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8F1BBCDC;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xCA62C1D6;
+            }
+
+            const temp = (((a << 5) | (a >>> 27)) + f + e + k + words[t]) >>> 0;
+            e = d;
+            d = c;
+            c = (b << 30) | (b >>> 2);
+            b = a;
+            a = temp;
+        }
+
+        hash[0] = (hash[0] + a) >>> 0;
+        hash[1] = (hash[1] + b) >>> 0;
+        hash[2] = (hash[2] + c) >>> 0;
+        hash[3] = (hash[3] + d) >>> 0;
+        hash[4] = (hash[4] + e) >>> 0;
+    }
+
+    return hash.map((word) => word.toString(16).padStart(8, "0")).join("");
+}
@@ -0,0 +1,243 @@
+import Renderer, { PALETTES } from './renderer.js';
+import Keypad from './keypad.js';
+import Bindings from './bindings.js';
+import Keyboard from './keyboard.js';
+import GamepadInput from './gamepad.js';
+import Speaker from './speaker.js';
+import RomLoader from './rom-loader.js';
+import CPU from './cpu.js';
+import Scheduler from './scheduler.js';
+import { createQuirks } from './quirks.js';
+import { crashReport } from './faults.js';
+
+const TEMPLATE = `
+    <style>
+        :host { display: inline-block; outline: none; }
+        :host(:focus) canvas { border-color: #3a7; }
+        canvas { display: block; border: 2px solid black; }
+    </style>
+    <canvas></canvas>
+`;
+
+/**
+ * A complete emulator as a custom element, any number of them can run on one page:
+ *
+ *   <chip8-emulator rom="roms/BLITZ" speed="10" quirks="vip" scale="6" palette="green"></chip8-emulator>
+ *
+ * Every element has its own machine, canvas, audio and scheduler. Keys only reach it while it has the focus
+ * (click it or tab to it), and so do gamepads. The ROM starts as soon as it is loaded, unless the element has
+ * the `paused` attribute.
+ *
+ * Attributes: rom (URL of the ROM), speed (instructions per frame, default 10), quirks (preset name),
+ * core ("interpreter" or "fast", see CPU.setCore), model ("chip8", "hires", "chip8x" or "xochip", see models.js), scale (lo-res pixel size or "fit", default 8),
+ * palette (a PALETTES name) and paused.
+ *
+ * Methods: load(rom), start(), pause(), reset(), snapshot() and restore(snapshot). `cpu` is the machine itself.
+ *
+ * Events:
+ * - load { rom }: a ROM was loaded and reset.
+ * - frame { frame }: an emulated frame ran.
+ * - draw: the canvas was drawn, because the display changed.
+ * - soundstart / soundstop: the sound timer started or stopped making a sound.
+ * - waitingforkey { register }: Fx0A waits for a key press.
+ * - halt { fault, report }: a fault halted the machine, see faults.js. `report` is the crash report text.
+ * - error { error }: a ROM could not be loaded.
+ */
+class Chip8Emulator extends HTMLElement {
+    static get observedAttributes() {
+        return ["rom", "speed", "quirks", "core", "model", "scale", "palette"];
+    }
+
+    constructor() {
+        super();
+
+        this.attachShadow({ mode: "open" }).innerHTML = TEMPLATE;
+
+        this.renderer = new Renderer(8, { canvas: this.shadowRoot.querySelector("canvas") });
+        this.keypad = new Keypad();
+        this.bindings = new Bindings(window.localStorage);
+        this.keyboard = new Keyboard(this.keypad, this.bindings, this);
+        this.gamepad = new GamepadInput(this.keypad, this.bindings);
+        this.speaker = new Speaker(this);
+
+        // ROM names are URLs relative to the page.
+        this.romLoader = new RomLoader("");
+        this.cpu = new CPU(this.renderer, this.keypad, this.speaker, this.romLoader);
+        this.cpu.loadSpritesIntoMemory();
+        this.cpu.onFault = (fault) => this.emit("halt", { fault: fault, report: crashReport(this.cpu) });
+
+        this.scheduler = new Scheduler({
+            frame: (instructions) => this.runFrame(instructions),
+            render: () => this.render()
+        });
+
+        // Frames since the ROM was loaded, and what the last frame ended with, to only send events on changes.
+        this.frame = 0;
+        this.sounding = false;
+        this.waitingForKey = false;
+
+        // The ROM the rom attribute asked for, loaded once the element is on the page.
+        this.pendingRom = null;
+    }
+
+    connectedCallback() {
+        if (!this.hasAttribute("tabindex")) {
+            this.tabIndex = 0;
+        }
+
+        if (this.pendingRom !== null) {
+            const rom = this.pendingRom;
+            this.pendingRom = null;
+            this.loadAndStart(rom);
+        } else if (this.cpu.program && !this.hasAttribute("paused")) {
+            this.start();
+        }
+    }
+
+    disconnectedCallback() {
+        this.pause();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (value === null) {
+            return;
+        }
+
+        switch (name) {
+            case "rom":
+                if (this.isConnected) {
+                    this.loadAndStart(value);
+                } else {
+                    this.pendingRom = value;
+                }
+                break;
+            case "speed":
+                this.cpu.speed = Number(value) || 10;
+                this.scheduler.instructionsPerSecond = this.cpu.speed * 60;
+                break;
+            case "quirks":
+                this.cpu.quirks = createQuirks(value);
+                break;
+            case "core":
+                this.cpu.setCore(value);
+                break;
+            case "model":
+                // The loaded ROM moves to where programs of the model load.
+                this.cpu.setModel(value);
+                if (this.cpu.program) {
+                    this.cpu.loadProgram(this.cpu.program);
+                }
+                break;
+            case "scale":
+                this.renderer.setScale(value === "fit" ? value : Number(value) || 8);
+                break;
+            case "palette":
+                if (PALETTES[value]) {
+                    this.renderer.setPalette(PALETTES[value]);
+                }
+                break;
+        }
+    }
+
+    loadAndStart(rom) {
+        this.load(rom).then(() => {
+            if (!this.hasAttribute("paused")) {
+                this.start();
+            }
+        }).catch((error) => this.emit("error", { error: error }));
+    }
+
+    /**
+     * Load a ROM, from a URL or as bytes (Uint8Array or ArrayBuffer), and reset the machine with it.
+     * Returns a promise that resolves once it is loaded.
+     */
+    load(rom) {
+        const url = typeof rom === "string" ? rom : null;
+        const program = url !== null ? this.romLoader.load(url) : Promise.resolve(new Uint8Array(rom));
+
+        return program.then((bytes) => {
+            this.cpu.loadProgram(bytes);
+
+            // Controls are kept per ROM URL, like the main page keeps them per ROM name.
+            if (url !== null) {
+                this.bindings.load(url);
+            }
+
+            this.frame = 0;
+            this.emit("load", { rom: url });
+        });
+    }
+
+    start() {
+        this.scheduler.start();
+    }
+
+    pause() {
+        this.scheduler.stop();
+        this.speaker.stop();
+    }
+
+    get running() {
+        return this.scheduler.running;
+    }
+
+    /**
+     * Restart the loaded ROM from a reset.
+     */
+    reset() {
+        if (this.cpu.program) {
+            this.cpu.loadProgram(this.cpu.program);
+            this.frame = 0;
+        }
+    }
+
+    snapshot() {
+        return this.cpu.snapshot();
+    }
+
+    restore(snapshot) {
+        this.cpu.restore(snapshot);
+    }
+
+    runFrame(instructions) {
+        this.cpu.runFrame(instructions);
+        this.frame++;
+        this.emit("frame", { frame: this.frame });
+
+        const sounding = this.cpu.soundTimer > 0 && !this.cpu.fault;
+        if (sounding !== this.sounding) {
+            this.sounding = sounding;
+            this.emit(sounding ? "soundstart" : "soundstop");
+        }
+
+        const waitingForKey = this.cpu.waitingRegister !== null;
+        if (waitingForKey && !this.waitingForKey) {
+            this.emit("waitingforkey", { register: this.cpu.waitingRegister });
+        }
+        this.waitingForKey = waitingForKey;
+    }
+
+    render() {
+        // Gamepads are shared by the whole page, they play the emulator that has the focus.
+        if (this.matches(":focus")) {
+            this.gamepad.poll();
+        } else {
+            this.gamepad.releaseAll();
+        }
+
+        if (this.renderer.dirty || this.renderer.fading) {
+            this.renderer.render();
+            this.emit("draw");
+        }
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail || null }));
+    }
+}
+
+if (window.customElements && !customElements.get("chip8-emulator")) {
+    customElements.define("chip8-emulator", Chip8Emulator);
+}
+
+export default Chip8Emulator;
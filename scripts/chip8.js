@@ -1,42 +1,280 @@
 import Renderer from './renderer.js';
+import Keypad from './keypad.js';
+import Bindings, { SECOND_KEYPAD_BINDINGS } from './bindings.js';
 import Keyboard from './keyboard.js';
+import GamepadInput from './gamepad.js';
+import TouchKeypad from './ui/touch-keypad.js';
+import ControlsPanel from './ui/controls-panel.js';
 import Speaker from './speaker.js';
+import RomLoader from './rom-loader.js';
 import CPU from './cpu.js';
+import SaveSlots from './save-slots.js';
+import SaveSlotsPanel from './ui/save-slots-panel.js';
+import RewindBuffer from './rewind.js';
+import RewindPanel from './ui/rewind-panel.js';
+import QuirksPanel from './ui/quirks-panel.js';
+import Debugger from './debugger.js';
+import DebugPanel from './ui/debug-panel.js';
+import RomLibrary from './ui/rom-library.js';
+import Scheduler from './scheduler.js';
+import SpeedPanel from './ui/speed-panel.js';
+import DisplayPanel from './ui/display-panel.js';
+import MoviePanel from './ui/movie-panel.js';
+import SoundPanel from './ui/sound-panel.js';
+import CrashPanel from './ui/crash-panel.js';
+import Profiler from './profiler.js';
+import ProfilerPanel from './ui/profiler-panel.js';
+import TracePanel from './ui/trace-panel.js';
+import RomDatabase, { entryQuirks, entryModel, entryPalette } from './rom-database.js';
+import MetadataPanel from './ui/metadata-panel.js';
+import RamSearch from './ram-search.js';
+import Cheats from './cheats.js';
+import MemoryPanel from './ui/memory-panel.js';
+import NetplayPanel from './ui/netplay-panel.js';
 
-const renderer = new Renderer(10);
-const keyboard = new Keyboard();
+const renderer = new Renderer(10, { canvas: document.querySelector('canvas') });
+const keypad = new Keypad();
+const bindings = new Bindings(window.localStorage);
+const keyboard = new Keyboard(keypad, bindings);
+const gamepad = new GamepadInput(keypad, bindings);
+// The CHIP-8X second keypad is always on the numeric keypad.
+const secondKeypad = new Keypad();
+new Keyboard(secondKeypad, { keyboardKey: (code) => SECOND_KEYPAD_BINDINGS[code] });
 const speaker = new Speaker();
-const cpu = new CPU(renderer, keyboard, speaker);
-
-let loop;
+const romLoader = new RomLoader();
+const romDatabase = new RomDatabase(window.localStorage);
+const cpu = new CPU(renderer, keypad, speaker, romLoader);
+cpu.secondKeypad = secondKeypad;
+const saveSlots = new SaveSlots(cpu, window.localStorage);
+const rewind = new RewindBuffer();
+const rewindPanel = new RewindPanel(document.querySelector('#rewind'), rewind);
+const debug = new Debugger(cpu);
+const debugPanel = new DebugPanel(document.querySelector('#debugger'), debug);
+const profiler = new Profiler(cpu);
+const profilerPanel = new ProfilerPanel(document.querySelector('#profiler'), profiler, cpu, { rom: () => saveSlots.rom });
+const tracePanel = new TracePanel(document.querySelector('#trace'), cpu, { rom: () => saveSlots.rom });
+const ramSearch = new RamSearch(cpu);
+const cheats = new Cheats(cpu, window.localStorage);
+const memoryPanel = new MemoryPanel(document.querySelector('#memory'), cpu, ramSearch, cheats);
+const saveSlotsPanel = new SaveSlotsPanel(document.querySelector('#save-slots'), saveSlots);
+const romLibrary = new RomLibrary(document.querySelector('#rom-library'), renderer.canvas, romLoader, {
+    loadRom: (entry) => {
+        // A movie ends with the ROM it was recorded on, a netplay session with the ROM both players run.
+        moviePanel.stop();
+        netplayPanel.leave();
+        return cpu.loadRom(entry.file).then(() => romLoaded(entry.file, entry.speed));
+    },
+    loadFile: (name, program) => {
+        moviePanel.stop();
+        netplayPanel.leave();
+        cpu.loadProgram(program);
+        romLoaded(name);
+    }
+});
 
-let fps = 60, fpsInterval, startTime, now, then, elapsed;
+const scheduler = new Scheduler({ frame: runFrame, render: render });
+const speedPanel = new SpeedPanel(document.querySelector('#speed'), scheduler, cpu);
+const displayPanel = new DisplayPanel(document.querySelector('#display'), renderer);
+new TouchKeypad(document.querySelector('#touch-keypad'), keypad);
+const controlsPanel = new ControlsPanel(document.querySelector('#controls'), bindings, keyboard, gamepad);
+const crashPanel = new CrashPanel(document.querySelector('#crash'), cpu, { onReset: () => romReset() });
+const soundPanel = new SoundPanel(document.querySelector('#sound'), speaker, cpu, { rom: () => saveSlots.rom });
+const quirksPanel = new QuirksPanel(document.querySelector('#quirks'), cpu, { onReset: () => romReset() });
+const metadataPanel = new MetadataPanel(document.querySelector('#metadata'), romDatabase, cpu, {
+    bindings: bindings,
+    renderer: renderer,
+    onChange: () => applyMetadata()
+});
+const moviePanel = new MoviePanel(document.querySelector('#movie'), cpu, {
+    rom: () => saveSlots.rom,
+    onPlay: () => {
+        quirksPanel.update();
+        rewind.clear();
+    }
+});
+const netplayPanel = new NetplayPanel(document.querySelector('#netplay'), cpu, {
+    rom: () => saveSlots.rom,
+    // The host's ROM runs with its own save slots, cheats, controls and metadata, but the session's settings.
+    onStart: (session) => {
+        moviePanel.stop();
+        lockForNetplay(true);
+        romLoaded(session.rom || "netplay", session.speed);
+    },
+    onStop: () => lockForNetplay(false)
+});
 
 function init() {
-    fpsInterval = 1000 / fps;
-    then = Date.now();
-    startTime = then;
-
     // TESTING CODE. REMOVE WHEN DONE TESTING.
     // renderer.testRender();
     // renderer.render();
     // END TESTING CODE
 
     cpu.loadSpritesIntoMemory();
-    cpu.loadRom("BLITZ");
-    loop = requestAnimationFrame(step);
+
+    // Start with the first ROM of the library, once the metadata database is there to configure it.
+    // Without the database ROMs run with the settings of the library.
+    romLoader.loadDatabase().then((database) => romDatabase.setBundled(database)).catch((error) => {
+        metadataPanel.bundledFailed(error);
+    }).then(() => romLibrary.load()).then((library) => {
+        if (library.length) {
+            romLibrary.loadEntry(library[0]);
+        }
+    });
+
+    scheduler.start();
+}
+
+/**
+ * One emulated 60Hz frame, called by the scheduler.
+ */
+function runFrame(instructions) {
+    // Netplay runs the frames in lockstep with the other player, with the host's speed: no rewinding, cheats or movies.
+    if (netplayPanel.active) {
+        netplayPanel.frame();
+        soundPanel.frame();
+        return;
+    }
+
+    // A movie only plays back (or records) correctly when every frame runs forward.
+    if (rewindPanel.rewinding && !moviePanel.active) {
+        rewindFrame();
+        return;
+    }
+
+    // Cheats hold their values before the frame runs. Movies only record the keys, so they play without cheats.
+    if (!moviePanel.active) {
+        cheats.frame();
+    }
+
+    // Cycle the CPU. A movie that is playing decides how many instructions the frame runs, one that is recording
+    // keeps how many ran.
+    moviePanel.ran(cpu.runFrame(moviePanel.frame(instructions)));
+    soundPanel.frame();
+
+    // Remember this frame so it can be rewound to. Nothing changes while the debugger is paused or the machine halted.
+    if (!debug.paused && !cpu.fault) {
+        rewind.record(cpu.snapshot());
+    }
+}
+
+/**
+ * Once per animation frame, after the emulated frames ran.
+ */
+function render() {
+    // Gamepads have no events, their buttons are read once per animation frame.
+    gamepad.poll();
+
+    renderer.render();
+
+    rewindPanel.update();
+    debugPanel.update();
+    moviePanel.update();
+    crashPanel.update();
+    profilerPanel.update();
+    tracePanel.update();
+    memoryPanel.update();
+    netplayPanel.update();
+}
+
+// Speed of the running ROM in the library.
+let romSpeed;
+
+/**
+ * A new ROM is running: use its metadata, and switch save slots, controls, cheats and rewind history over to it.
+ * `speed` is the one of the library, for ROMs that aren't in the metadata database.
+ */
+function romLoaded(name, speed) {
+    romSpeed = speed;
+
+    saveSlots.rom = name;
+    saveSlotsPanel.build();
+
+    // Before the metadata, which may reset the machine with the ROM for another model.
+    cheats.load(name);
+    applyMetadata();
+
+    ramSearch.reset();
+    memoryPanel.updateSearch();
+    memoryPanel.updateCheats();
+
+    romReset();
+}
+
+/**
+ * The machine was reset with the running ROM: the once-at-load cheats write their bytes again, and the rewind
+ * history of the run before is gone. Netplay runs without cheats.
+ */
+function romReset() {
+    if (!netplayPanel.active) {
+        cheats.romLoaded();
+    }
+    rewind.clear();
+}
+
+/**
+ * Both machines of a netplay session have to stay the same: no save states, models or quirks of one player only.
+ */
+function lockForNetplay(locked) {
+    saveSlots.blocked = locked ? "Save states can't be loaded during a netplay session" : null;
+    quirksPanel.setLocked(locked);
+}
+
+/**
+ * Configure the running ROM from its metadata database entry: model, speed, quirks, palette and key layout.
+ * Unknown ROMs run on the plain CHIP-8 model, keep the quirks and palette, and get the library's speed and the
+ * default key layout. A netplay session keeps the host's model, speed and quirks.
+ */
+function applyMetadata() {
+    const hash = romDatabase.hash(cpu.program);
+    const entry = romDatabase.entry(hash);
+    const inSession = netplayPanel.active;
+
+    // The ROM was loaded for the model that was running, it loads again for its own. A model picked for the last
+    // ROM doesn't carry over to ROMs that don't name one.
+    const model = entry ? entryModel(entry) : "chip8";
+    if (model !== cpu.model && !inSession) {
+        cpu.setModel(model);
+        cpu.loadProgram(cpu.program);
+        romReset();
+    }
+
+    if (!inSession) {
+        cpu.speed = (entry && entry.speed) || romSpeed || 10;
+    }
+    scheduler.instructionsPerSecond = cpu.speed * 60;
+    speedPanel.update();
+
+    if (entry && !inSession) {
+        cpu.quirks = entryQuirks(entry);
+    }
+    quirksPanel.update();
+
+    if (entry) {
+        const palette = entryPalette(entry);
+        if (palette) {
+            renderer.setPalette(palette);
+            displayPanel.update();
+        }
+    }
+
+    bindings.load(saveSlots.rom, entry && entry.keys);
+    controlsPanel.descriptions = (entry && entry.controls) || {};
+    controlsPanel.build();
+
+    metadataPanel.show(hash);
 }
 
-function step() {
-    now = Date.now();
-    elapsed = now - then;
+/**
+ * Go back one frame. Play continues from here as soon as the user stops rewinding.
+ */
+function rewindFrame() {
+    const snapshot = rewind.pop();
 
-    if (elapsed > fpsInterval) {
-        // Cycle the CPU. 
-        cpu.cycle();
+    if (snapshot) {
+        cpu.restore(snapshot);
     }
 
-    loop = requestAnimationFrame(step);
+    speaker.stop();
 }
 
 init();
\ No newline at end of file
@@ -1,11 +1,30 @@
+import { createQuirks } from './quirks.js';
+import Random from './random.js';
+import { Fault, INTERNAL_ERROR, STACK_SIZE, FAULTS, createFaultPolicy } from './faults.js';
+import { memoryAccess } from './debugger.js';
+import FastCore, { CORES } from './fast-core.js';
+import { MODELS } from './models.js';
+
+/**
+ * The chip-8 machine itself. It never touches the DOM, everything it talks to is passed in:
+ * - renderer: the framebuffer (setPixel, clear, render), see Display.
+ * - keyboard: the keypad state (isKeyPressed, onNextKeyPress), see Keypad.
+ * - speaker: the buzzer (play, playPattern, stop), see Speaker.
+ * - romLoader: resolves a ROM name to its bytes (load), see RomLoader.
+ * - quirks: platform behaviours, see quirks.js. Defaults to the "default" preset.
+ */
 class CPU {
-    constructor(renderer, keyboard, speaker) {
+    constructor(renderer, keyboard, speaker, romLoader, quirks) {
         this.renderer = renderer;
         this.keyboard = keyboard;
         this.speaker = speaker;
+        this.romLoader = romLoader;
+        this.quirks = quirks || createQuirks();
 
-        // 4KB (4096 bytes) of memory
-        this.memory = new Uint8Array(4096);
+        // 4KB (4096 bytes) of memory for chip-8 programs.
+        // XO-CHIP extends this to 64KB. The array always holds 64KB, the model decides how much of it a program
+        // can reach (addressSpace).
+        this.memory = new Uint8Array(0x10000);
 
         //16 8-bit registers
         // 8 bit unsigned integers.
@@ -27,6 +46,71 @@ class CPU {
         // Some instructions require pausing, such as Fx0A.
         this.paused = false;
 
+        // The register Fx0A is waiting to store the next key press in, null when not waiting.
+        this.waitingRegister = null;
+
+        // Set when Dxyn has to wait for the next frame (vblank quirk).
+        this.waitingForVblank = false;
+
+        // SUPER-CHIP RPL user flags, saved and loaded by Fx75/Fx85.
+        this.rpl = new Uint8Array(16);
+
+        // Set by the SUPER-CHIP 00FD instruction, the program asked to stop.
+        this.exited = false;
+
+        // XO-CHIP bitplanes that drawing, clearing and scrolling apply to (Fn01). Plane 1 is the normal display.
+        this.plane = 1;
+
+        // XO-CHIP 16 byte (128 bit) audio pattern from F002, null until a program loads one.
+        this.audioPattern = null;
+
+        // XO-CHIP playback pitch set by Fx3A. 64 plays the pattern at 4000 bits per second.
+        this.pitch = 64;
+
+        // Random numbers for Cxkk. Every reset seeds it with `seed`, or with a new random seed when that is null.
+        // Movies set a seed so a recording plays back with the same random numbers.
+        this.seed = null;
+        this.random = new Random();
+
+        // The bytes of the ROM that was loaded last.
+        this.program = null;
+
+        // Whether each fault (faults.js) halts the machine or is handled leniently.
+        this.faultPolicy = createFaultPolicy();
+
+        // The Fault that halted the machine, null while it runs. Nothing executes until reset, restore or continueAfterFault.
+        this.fault = null;
+
+        // Called with the Fault when the machine halts.
+        this.onFault = null;
+
+        // Called with the first and last address (inclusive) whenever an instruction writes memory.
+        this.onMemoryWrite = null;
+
+        // Address of the instruction that is executing.
+        this.instructionAddress = this.pc;
+
+        // Set by continueAfterFault: the next instruction runs with every fault lenient.
+        this.ignoreFaults = false;
+
+        // An attached Debugger, it can stop execution before any instruction.
+        this.debugger = null;
+
+        // A running Profiler, told about every instruction and Fx0A wait.
+        this.profiler = null;
+
+        // A running Tracer (trace.js), told about every instruction before it executes.
+        this.tracer = null;
+
+        // The FastCore that runs the frames, null when the interpreter runs them. See setCore.
+        this.fastCore = null;
+
+        // The machine model (models.js): where programs load and start, the display, and extra instructions.
+        this.model = "chip8";
+
+        // CHIP-8X second keypad (ExF2/ExF5), a Keypad. No key is pressed on it when there is none.
+        this.secondKeypad = null;
+
         this.speed = 10;
     }
 
@@ -58,59 +142,480 @@ class CPU {
             this.memory[i] = sprites[i];
         }
 
+        // SUPER-CHIP adds a big 8x10 font, 10 bytes per digit, stored right after the small one (0x50).
+        const bigSprites = [
+            0xFF, 0xFF, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xFF, 0xFF, // 0
+            0x18, 0x78, 0x78, 0x18, 0x18, 0x18, 0x18, 0x18, 0xFF, 0xFF, // 1
+            0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, // 2
+            0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, // 3
+            0xC3, 0xC3, 0xC3, 0xC3, 0xFF, 0xFF, 0x03, 0x03, 0x03, 0x03, // 4
+            0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, // 5
+            0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0xC3, 0xC3, 0xFF, 0xFF, // 6
+            0xFF, 0xFF, 0x03, 0x03, 0x06, 0x0C, 0x18, 0x18, 0x18, 0x18, // 7
+            0xFF, 0xFF, 0xC3, 0xC3, 0xFF, 0xFF, 0xC3, 0xC3, 0xFF, 0xFF, // 8
+            0xFF, 0xFF, 0xC3, 0xC3, 0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, // 9
+            0x7E, 0xFF, 0xC3, 0xC3, 0xC3, 0xFF, 0xFF, 0xC3, 0xC3, 0xC3, // A
+            0xFC, 0xFC, 0xC3, 0xC3, 0xFC, 0xFC, 0xC3, 0xC3, 0xFC, 0xFC, // B
+            0x3C, 0xFF, 0xC3, 0xC0, 0xC0, 0xC0, 0xC0, 0xC3, 0xFF, 0x3C, // C
+            0xFC, 0xFE, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xFE, 0xFC, // D
+            0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, // E
+            0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0xC0, 0xC0, 0xC0, 0xC0  // F
+        ];
+        for (let i = 0; i < bigSprites.length; i++) {
+            this.memory[0x50 + i] = bigSprites[i];
+        }
+    }
+
+    /**
+     * Put the machine back in its power-on state: empty memory (except for the fonts), registers, stack, timers and display.
+     */
+    reset() {
+        this.memory.fill(0);
+        this.loadSpritesIntoMemory();
+
+        this.v.fill(0);
+        this.i = 0;
+        this.delayTimer = 0;
+        this.soundTimer = 0;
+        this.pc = MODELS[this.model].start;
+        this.stack = new Array();
+
+        this.paused = false;
+        this.waitingRegister = null;
+        this.keyboard.onNextKeyPress = null;
+        this.waitingForVblank = false;
+
+        this.rpl.fill(0);
+        this.exited = false;
+        this.plane = 1;
+        this.audioPattern = null;
+        this.pitch = 64;
+
+        this.fault = null;
+        this.ignoreFaults = false;
+
+        this.random.state = this.seed !== null ? this.seed >>> 0 : Random.randomSeed();
+
+        this.renderer.setModel(MODELS[this.model]);
+        this.speaker.stop();
+
+        this.memoryChanged();
+    }
+
+    /**
+     * Switch the machine model: "chip8", "hires", "chip8x" or "xochip", see models.js. Programs are loaded for the
+     * model they run on, so load the program again after switching.
+     */
+    setModel(model) {
+        if (!MODELS[model]) {
+            throw new Error("Unknown model " + model);
+        }
+
+        this.model = model;
+        this.renderer.setModel(MODELS[model]);
+
+        // Compiled code may run past the end of the new address space.
+        this.memoryChanged();
+    }
+
+    /**
+     * Switch the core that runs the frames: "interpreter" or "fast" (see fast-core.js). Both give the same results.
+     */
+    setCore(core) {
+        if (!CORES.includes(core)) {
+            throw new Error("Unknown core " + core);
+        }
+
+        // A new FastCore, code compiled before may have changed while the interpreter ran.
+        this.fastCore = core === "fast" ? new FastCore(this) : null;
+    }
+
+    get core() {
+        return this.fastCore ? "fast" : "interpreter";
+    }
+
+    /**
+     * Memory from `start` to `end` (inclusive) was written, all of it when there are no arguments.
+     * Anything that writes memory outside of the instructions has to call this, the fast core compiles code from it.
+     */
+    memoryChanged(start, end) {
+        if (this.fastCore) {
+            this.fastCore.invalidate(start, end);
+        }
+    }
+
+    /**
+     * An instruction wrote memory from `start` to `end` (inclusive).
+     */
+    memoryWritten(start, end) {
+        // A lenient write past the end of the address space is dropped, so reads there stay 0.
+        if (end >= this.addressSpace) {
+            this.memory.fill(0, Math.max(start, this.addressSpace), end + 1);
+        }
+
+        this.memoryChanged(start, end);
+
+        if (this.onMemoryWrite) {
+            this.onMemoryWrite(start, end);
+        }
+    }
+
+    /**
+     * Address programs are loaded at: 0x200, 0x300 on CHIP-8X.
+     */
+    get programStart() {
+        return MODELS[this.model].load;
+    }
+
+    /**
+     * Size of the memory the model can address: 4KB, 64KB on XO-CHIP. PC and I past it fault.
+     */
+    get addressSpace() {
+        return MODELS[this.model].memory;
+    }
+
+    /**
+     * Throw when a program can't be loaded: it is empty or it doesn't fit between its start and the end of memory.
+     */
+    checkProgram(program) {
+        const space = this.addressSpace - this.programStart;
+
+        if (program.length === 0) {
+            throw new Error("ROM is empty");
+        }
+        if (program.length > space) {
+            // Bigger ROMs are XO-CHIP ones, when they fit in its 64KB.
+            const hint = program.length <= MODELS.xochip.memory - MODELS.xochip.load ? ", pick the XO-CHIP model for XO-CHIP ROMs" : "";
+            throw new Error("ROM is too large: " + program.length + " bytes, at most " + space + " fit in memory" + hint);
+        }
     }
 
     /**
      *  Loading the ROM (read-only memory) into memory.
-     *  Following the spec, most chip-8 programs start at location 0x200.
+     *  Following the spec, most chip-8 programs start at location 0x200. CHIP-8X ones start at 0x300.
      */
     loadProgramIntoMemory(program) {
+        this.checkProgram(program);
+
+        const start = this.programStart;
         for (let loc = 0; loc < program.length; loc++) {
-            this.memory[0x200 + loc] = program[loc];
+            this.memory[start + loc] = program[loc];
         }
+
+        this.memoryChanged(start, start + program.length - 1);
     }
 
     /**
-     * Grab ROM from filesystem
-     * In this project the will be located in the roms folder. 
+     * Reset the machine and load a program (the bytes of a ROM) into it.
+     * Nothing is reset when the program doesn't fit in memory.
+     */
+    loadProgram(program) {
+        this.checkProgram(program);
+
+        this.reset();
+        this.loadProgramIntoMemory(program);
+        this.program = program;
+    }
+
+    /**
+     * Grab ROM through the rom loader, reset the machine and put the ROM into memory.
+     * Returns a promise that resolves once the program is loaded, or rejects when the ROM can't be loaded.
+     * The running program is left alone when loading fails.
      */
     loadRom(romName) {
-        const request = new XMLHttpRequest;
-        const self = this;
+        return this.romLoader.load(romName).then((program) => {
+            // Load the ROM/program into memory
+            this.loadProgram(program);
+        });
+    }
 
-        request.onload = () => {
-            if (request.response) {
-                // Store contents in 8-bit array
-                let program = new Uint8Array(request.response);
+    cycle() {
+        this.runFrame(this.speed);
+        this.renderer.render();
+    }
 
-                // Load the ROM/program into memory
-                self.loadProgramIntoMemory(program);
+    /**
+     * Run one 60Hz frame without drawing it: `instructions` instructions, then the timers tick once.
+     * The Scheduler calls this directly so it can run several frames per render, or a varying number of instructions.
+     * Returns how many instructions really ran, fewer when the CPU waited (Fx0A, vblank quirk) or stopped.
+     */
+    runFrame(instructions) {
+        let executed = 0;
+
+        if (this.fastCore) {
+            executed = this.fastCore.run(instructions);
+        } else {
+            // First is a for loop that handles the execution of instructions.
+            for (let i = 0; i < instructions; i++) {
+                // A breakpoint ends the frame right where it was hit, a fault ends it for good.
+                if (this.fault || (this.debugger && this.debugger.paused)) {
+                    break;
+                }
+                if (this.step()) {
+                    executed++;
+                }
             }
         }
 
-        request.open("GET", "roms/" + romName);
-        request.responseType = "arraybuffer";
+        // While the debugger is paused or the machine halted time stands still: no timers and no sound.
+        if (this.fault || (this.debugger && this.debugger.paused)) {
+            this.speaker.stop();
+        } else {
+            this.vblank();
+            this.playSound();
+        }
 
-        request.send();
+        return executed;
     }
 
-    cycle() {
-        // First is a for loop that handles the execution of instructions.
-        for (let i = 0; i < this.speed; i++) {
-            // Only execute instructions if the emulator is running.
-            if (!this.paused) {
-                // Get opcode from memory
-                let opcode = (this.memory[this.pc] << 8 | this.memory[this.pc + 1]);
+    /**
+     * Fetch and execute a single instruction. Returns whether one ran.
+     */
+    step() {
+        // Only execute instructions if the emulator is running.
+        if (!this.paused && !this.waitingForVblank && !this.fault) {
+            if (this.debugger && !this.debugger.canExecute()) {
+                return false;
+            }
+
+            // Faults point at the instruction, not at the one after it.
+            const address = this.pc;
+            this.instructionAddress = address;
+            let opcode = null;
+
+            try {
+                opcode = this.fetch();
+                if (this.tracer) {
+                    this.tracer.record(this.pc, opcode);
+                }
+
+                const access = this.checkMemoryAccess(opcode);
+                if (this.profiler) {
+                    this.profiler.record(this.pc, opcode, access);
+                }
+
                 this.executeInstruction(opcode);
+
+                if (access.write !== null) {
+                    this.memoryWritten(access.write[0], access.write[1]);
+                }
+            } catch (error) {
+                this.fail(error, opcode, address);
             }
+
+            this.ignoreFaults = false;
+            return true;
+        }
+
+        if (this.profiler && this.waitingRegister !== null) {
+            this.profiler.recordWait();
+        }
+        return false;
+    }
+
+    /**
+     * The opcode at PC. PC past the end of memory is a fault, or wraps around to 0.
+     */
+    fetch() {
+        if (this.pc + 1 >= this.addressSpace) {
+            this.raiseFault("pcOutOfRange", "PC " + this.pc.toString(16).toUpperCase() + " is past the end of memory");
+            this.pc = 0;
+        }
+
+        // Get opcode from memory
+        return (this.memory[this.pc] << 8 | this.memory[this.pc + 1]);
+    }
+
+    /**
+     * The instruction at `address` threw. The machine stops on the instruction that faulted.
+     * Bugs in the emulator halt it the same way.
+     */
+    fail(error, opcode, address) {
+        this.halt(error instanceof Fault ? error : new Fault(INTERNAL_ERROR, "Emulator error: " + error.message, opcode || 0, address));
+    }
+
+    /**
+     * Report a fault of the instruction at PC. Strict faults throw a Fault, which step() turns into a halt.
+     * Lenient ones return, and the caller carries on the lenient way.
+     */
+    raiseFault(type, message) {
+        if (this.faultPolicy[type] === "lenient" || this.ignoreFaults) {
+            return;
+        }
+
+        const opcode = (this.memory[this.instructionAddress] << 8) | this.memory[this.instructionAddress + 1];
+        throw new Fault(type, FAULTS[type].name + ": " + message, opcode, this.instructionAddress);
+    }
+
+    /**
+     * Halt on a fault: PC goes back to the faulting instruction and nothing runs until continueAfterFault or a reset.
+     */
+    halt(fault) {
+        this.fault = fault;
+        this.pc = fault.address;
+        this.speaker.stop();
+
+        if (this.onFault) {
+            this.onFault(fault);
         }
+    }
 
-        if (!this.paused) {
+    /**
+     * Carry on after a halt. The faulting instruction runs again, this time the lenient way.
+     */
+    continueAfterFault() {
+        this.fault = null;
+        this.ignoreFaults = true;
+    }
+
+    /**
+     * Memory the instruction reads or writes through I has to be inside memory. Returns the access, see memoryAccess.
+     */
+    checkMemoryAccess(opcode) {
+        const access = memoryAccess(this, opcode);
+
+        for (const range of [access.read, access.write]) {
+            if (range !== null && range[1] >= this.addressSpace) {
+                this.raiseFault("memoryOutOfRange", "I " + this.i.toString(16).toUpperCase() + " to " + range[1].toString(16).toUpperCase() + " is past the end of memory");
+            }
+        }
+
+        return access;
+    }
+
+    /**
+     * End of a frame: the timers count down and a Dxyn waiting for the display can continue.
+     */
+    vblank() {
+        if (!this.paused && !this.fault) {
             this.updateTimers();
         }
 
-        this.playSound();
-        this.renderer.render();
+        if (this.profiler) {
+            this.profiler.recordFrame();
+        }
+
+        this.waitingForVblank = false;
+    }
+
+    /**
+     * Pause until the next key press and store that key in Vx (Fx0A).
+     */
+    waitForKey(x) {
+        this.paused = true;
+        this.waitingRegister = x;
+
+        this.keyboard.onNextKeyPress = function(key) {
+            this.v[x] = key;
+            this.waitingRegister = null;
+            this.paused = false;
+        }.bind(this);
+    }
+
+    /**
+     * Copy the full machine state. The copy shares nothing with the running machine.
+     */
+    snapshot() {
+        return {
+            memory: this.memory.slice(),
+            v: this.v.slice(),
+            i: this.i,
+            pc: this.pc,
+            stack: this.stack.slice(),
+            delayTimer: this.delayTimer,
+            soundTimer: this.soundTimer,
+            paused: this.paused,
+            waitingRegister: this.waitingRegister,
+            waitingForVblank: this.waitingForVblank,
+            plane: this.plane,
+            audioPattern: this.audioPattern ? this.audioPattern.slice() : null,
+            pitch: this.pitch,
+            rpl: this.rpl.slice(),
+            exited: this.exited,
+            random: this.random.state,
+            model: this.model,
+            hires: this.renderer.hires,
+            display: this.renderer.display.slice(),
+            zoneColors: this.renderer.zoneColors ? this.renderer.zoneColors.slice() : null,
+            background: this.renderer.background
+        };
+    }
+
+    /**
+     * The state of snapshot() besides the memory, as bytes to hash: registers, timers, stack, the Fx0A and vblank
+     * waits, the random number generator and the display. Fields added to snapshot() that change how the machine
+     * runs on belong here too, netplay compares these bytes to find machines that drifted apart.
+     */
+    stateBytes() {
+        const bytes = [
+            this.i >> 8, this.i & 0xFF, this.pc >> 8, this.pc & 0xFF, this.delayTimer, this.soundTimer,
+            this.paused ? 1 : 0, this.waitingRegister === null ? 0xFF : this.waitingRegister, this.waitingForVblank ? 1 : 0,
+            this.plane, this.pitch, this.exited ? 1 : 0, this.renderer.hires ? 1 : 0, this.renderer.background || 0,
+            this.random.state >>> 24, (this.random.state >> 16) & 0xFF, (this.random.state >> 8) & 0xFF, this.random.state & 0xFF,
+            ...this.v, ...this.rpl, ...(this.audioPattern || [])
+        ];
+        for (const address of this.stack) {
+            bytes.push(address >> 8, address & 0xFF);
+        }
+
+        const zones = this.renderer.zoneColors || [];
+        const state = new Uint8Array(bytes.length + this.renderer.display.length + zones.length);
+        state.set(bytes);
+        state.set(this.renderer.display, bytes.length);
+        state.set(zones, bytes.length + this.renderer.display.length);
+        return state;
+    }
+
+    /**
+     * Put the machine back in the state of a snapshot.
+     */
+    restore(snapshot) {
+        // Older save states only hold 4KB of memory, the rest stays empty.
+        this.memory.fill(0);
+        this.memory.set(snapshot.memory);
+        this.v.set(snapshot.v);
+        this.i = snapshot.i;
+        this.pc = snapshot.pc;
+        this.stack = snapshot.stack.slice();
+        this.delayTimer = snapshot.delayTimer;
+        this.soundTimer = snapshot.soundTimer;
+        this.paused = snapshot.paused;
+        // Snapshots from before the vblank quirk was part of them never wait.
+        this.waitingForVblank = !!snapshot.waitingForVblank;
+        this.rpl.set(snapshot.rpl);
+        this.plane = snapshot.plane;
+        this.audioPattern = snapshot.audioPattern ? snapshot.audioPattern.slice() : null;
+        this.pitch = snapshot.pitch;
+        this.exited = snapshot.exited;
+        this.fault = null;
+        this.waitingRegister = null;
+        this.keyboard.onNextKeyPress = null;
+
+        // A snapshot taken during Fx0A has to keep waiting for that key.
+        if (snapshot.waitingRegister !== null) {
+            this.waitForKey(snapshot.waitingRegister);
+        }
+
+        // Save states written before the random number generator was part of the machine don't have it.
+        if (snapshot.random !== undefined) {
+            this.random.state = snapshot.random;
+        }
+
+        // Snapshots from before machine models are all CHIP-8. Switching the model resizes the display, rewinding
+        // within one model doesn't.
+        const model = snapshot.model || "chip8";
+        if (model !== this.model) {
+            this.setModel(model);
+        }
+
+        this.renderer.setResolution(snapshot.hires);
+        this.renderer.load(snapshot.display);
+        if (snapshot.zoneColors && this.renderer.zoneColors) {
+            this.renderer.zoneColors.set(snapshot.zoneColors);
+            this.renderer.background = snapshot.background;
+        }
+
+        this.memoryChanged();
     }
 
     updateTimers() {
@@ -125,12 +630,57 @@ class CPU {
 
     playSound() {
         if (this.soundTimer > 0) {
-            this.speaker.play(440);
+            if (this.audioPattern) {
+                this.speaker.playPattern(this.audioPattern, this.patternRate());
+            } else {
+                this.speaker.play();
+            }
         } else {
             this.speaker.stop();
         }
     }
 
+    /**
+     * XO-CHIP audio pattern playback rate in bits per second.
+     */
+    patternRate() {
+        return 4000 * Math.pow(2, (this.pitch - 64) / 48);
+    }
+
+    /**
+     * Skip the next instruction. XO-CHIP F000 NNNN is 4 bytes long, so it is skipped as a whole.
+     */
+    skipNextInstruction() {
+        if (this.memory[this.pc] === 0xF0 && this.memory[this.pc + 1] === 0x00) {
+            this.pc += 4;
+        } else {
+            this.pc += 2;
+        }
+    }
+
+    /**
+     * CHIP-8X Bxyn: colour zones of the display with colour Vy. The low nibble of Vx is the first column of zones
+     * (8 pixels each), the high nibble the number of columns after it. Bxy0 colours blocks of 4 rows, and V(x+1)
+     * gives the first block and the number of blocks after it the same way. Bxyn colours n rows from row V(x+1).
+     */
+    colorZones(x, y, n) {
+        const horizontal = this.v[x];
+        const vertical = this.v[(x + 1) & 0xF];
+
+        const left = (horizontal & 0xF) * 8;
+        const width = ((horizontal >> 4) + 1) * 8;
+
+        if (n === 0) {
+            this.renderer.setZoneColor(left, (vertical & 0xF) * 4, width, ((vertical >> 4) + 1) * 4, this.v[y] & 0x7);
+        } else {
+            this.renderer.setZoneColor(left, vertical, width, n, this.v[y] & 0x7);
+        }
+    }
+
+    secondKeyPressed(key) {
+        return this.secondKeypad !== null && !!this.secondKeypad.isKeyPressed(key);
+    }
+
     executeInstruction(opcode) {
         // When executing this function keep in mind to increment the program counter by 2 instead of 1.
         // Each instruction is 2 bytes.
@@ -151,14 +701,55 @@ class CPU {
                 switch (opcode) {
                     // Clear the display
                     case 0x00E0:
-                        this.renderer.clear();
+                        this.renderer.clear(this.plane);
                         break;
                     // Return from a subroutine.
                     // The interpreter sets the PC (program counter) to the address at the top of the stack, then subtracts 1 from the stack pointer.
                     // But because we use an array we don't need to worry about the stack pointer.
                     case 0x00EE:
+                        if (this.stack.length === 0) {
+                            this.raiseFault("stackUnderflow", "00EE with nothing on the stack");
+                            break;
+                        }
                         this.pc = this.stack.pop();
                         break;
+                    // SUPER-CHIP: scroll the display right by 4 pixels.
+                    case 0x00FB:
+                        this.renderer.scrollHorizontal(4, this.plane);
+                        break;
+                    // SUPER-CHIP: scroll the display left by 4 pixels.
+                    case 0x00FC:
+                        this.renderer.scrollHorizontal(-4, this.plane);
+                        break;
+                    // SUPER-CHIP: exit the interpreter. Nothing runs anymore until the machine is reset.
+                    case 0x00FD:
+                        this.exited = true;
+                        this.paused = true;
+                        break;
+                    // SUPER-CHIP: switch to the 64x32 lo-res display.
+                    case 0x00FE:
+                        this.renderer.setResolution(false);
+                        break;
+                    // SUPER-CHIP: switch to the 128x64 hi-res display.
+                    case 0x00FF:
+                        this.renderer.setResolution(true);
+                        break;
+                    default:
+                        // SUPER-CHIP 00Cn: scroll the display down by n pixels.
+                        // XO-CHIP 00Dn: scroll the display up by n pixels.
+                        // HiRes CHIP-8 0230: clear the 64x64 display. CHIP-8X 02A0: the next background colour.
+                        // Anything else is 0nnn: call a machine code routine of the COSMAC VIP, which we can't run.
+                        if ((opcode & 0xFFF0) === 0x00C0) {
+                            this.renderer.scrollDown(opcode & 0xF, this.plane);
+                        } else if ((opcode & 0xFFF0) === 0x00D0) {
+                            this.renderer.scrollUp(opcode & 0xF, this.plane);
+                        } else if (opcode === 0x0230 && this.model === "hires") {
+                            this.renderer.clear(this.plane);
+                        } else if (opcode === 0x02A0 && this.model === "chip8x") {
+                            this.renderer.stepBackground();
+                        } else {
+                            this.raiseFault("machineCode", "0nnn calls machine code at " + (opcode & 0xFFF).toString(16).toUpperCase());
+                        }
                 }
         
                 break;
@@ -168,6 +759,9 @@ class CPU {
                 break;
             // Grab value from nnn + push this.pc on stack.
             case 0x2000:
+                if (this.stack.length >= STACK_SIZE) {
+                    this.raiseFault("stackOverflow", "2nnn with " + STACK_SIZE + " return addresses on the stack");
+                }
                 this.stack.push(this.pc);
                 this.pc = (opcode & 0xFFF);
                 break;
@@ -176,20 +770,46 @@ class CPU {
             case 0x3000:
                 // 0xFF will grab the last byte of the opcode (kk portion of opcode)
                 if (this.v[x] === (opcode & 0xFF)) {
-                    this.pc += 2;
+                    this.skipNextInstruction();
                 }
                 break;
             // Skip next instruction if Vx != kk.
             // If not equal PC is incremented by 2.
             case 0x4000:
                 if (this.v[x] !== (opcode & 0xFF)) {
-                    this.pc += 2;
+                    this.skipNextInstruction();
                 }
                 break;
-            // Skip next instruction if Vx = Vy.
             case 0x5000:
-                if (this.v[x] === this.v[y]) {
-                    this.pc += 2;
+                switch (opcode & 0xF) {
+                    // Skip next instruction if Vx = Vy.
+                    case 0x0:
+                        if (this.v[x] === this.v[y]) {
+                            this.skipNextInstruction();
+                        }
+                        break;
+                    // CHIP-8X: Vx = Vx + Vy, the two nibbles added separately, each one modulo 8.
+                    case 0x1:
+                        if (this.model !== "chip8x") {
+                            this.raiseFault("unknownOpcode", opcode.toString(16).toUpperCase() + " is not an instruction");
+                            break;
+                        }
+                        this.v[x] = (((this.v[x] >> 4) + (this.v[y] >> 4)) & 0x7) << 4 | (((this.v[x] & 0xF) + (this.v[y] & 0xF)) & 0x7);
+                        break;
+                    // XO-CHIP: store Vx through Vy in memory starting at I, in either order. I is left unchanged.
+                    case 0x2:
+                        for (let n = 0; n <= Math.abs(x - y); n++) {
+                            this.memory[this.i + n] = this.v[x < y ? x + n : x - n];
+                        }
+                        break;
+                    // XO-CHIP: read Vx through Vy from memory starting at I, in either order. I is left unchanged.
+                    case 0x3:
+                        for (let n = 0; n <= Math.abs(x - y); n++) {
+                            this.v[x < y ? x + n : x - n] = this.memory[this.i + n];
+                        }
+                        break;
+                    default:
+                        this.raiseFault("unknownOpcode", opcode.toString(16).toUpperCase() + " is not an instruction");
                 }
                 break;
             // Set Vx == kk. Put value kk in register Vx.
@@ -212,69 +832,90 @@ class CPU {
                     // Bitwise OR on Vx and Vy and stores the result.
                     case 0x1:
                         this.v[x] |= this.v[y];
+
+                        if (this.quirks.logic) {
+                            this.v[0xF] = 0;
+                        }
                         break;
                     // Vx = Vx AND Vy
                     case 0x2:
                         this.v[x] &= this.v[y];
+
+                        if (this.quirks.logic) {
+                            this.v[0xF] = 0;
+                        }
                         break;
                     // Vx = Vx XOR Vy
                     case 0x3:
                         this.v[x] ^= this.v[y]
+
+                        if (this.quirks.logic) {
+                            this.v[0xF] = 0;
+                        }
                         break;
                     // Vx = Vx + Vy, VF = carry
                     // Vx and Vy are added together, if the result is more than 8 bits (>255), VF is set to 1. Otherwise VF is set to 0. The lowest 8 bits are kept.
+                    // VF is set last, so it holds the flag even when x is F.
                     case 0x4:
-                        let sum = (this.v[x] += this.v[y]);
-
-                        // VF
-                        this.v[0xF] = 0;
-
-                        if (sum > 0xFF) {
-                            this.v[0xF] = 1;
-                        }
+                        let sum = this.v[x] + this.v[y];
 
                         // this.v is a unit8array and will automatically keep the lowest 8 bits when the result is over 8 bits.
                         this.v[x] = sum;
+
+                        // VF
+                        this.v[0xF] = sum > 0xFF ? 1 : 0;
                         break;
                     // Set Vx = Vx - Vy, set VF = NOT borrow
-                    // IF Vx > Vy, then VF is set to 1, otherwise 0. Then Vy is subtracted from Vx and the result is stored in Vx.
+                    // IF Vx >= Vy (no borrow), then VF is set to 1, otherwise 0. Then Vy is subtracted from Vx and the result is stored in Vx.
                     case 0x5:
-                        this.v[0xF] = 0;
-
-                        if (this.v[x] > this.v[y]) {
-                            this.v[0xF] = 1
-                        }
+                        let noBorrow = this.v[x] >= this.v[y] ? 1 : 0;
 
                         this.v[x] -= this.v[y];
+
+                        this.v[0xF] = noBorrow;
                         break;
                     // Set Vx = Vx SHR 1
                     // If the least significant bit of Vx is 1, then VF is set to 1, otherwise 0. Then Vx is divided by 2.
                     case 0x6:
+                        // Without the shift quirk Vy is shifted and the result is stored in Vx.
+                        if (!this.quirks.shift) {
+                            this.v[x] = this.v[y];
+                        }
+
                         // 0x1 is hex for 00000001
-                        this.v[0xF] = (this.v[x] & 0x1);
+                        let shiftedOut = (this.v[x] & 0x1);
 
                         this.v[x] >>= 1;
+
+                        this.v[0xF] = shiftedOut;
                         break;
                     // Set Vx = Vy - Vx, set VF = NOT borrow
-                    // if Vy > Vx, then VF is set to 1, otherwise 0. Then Vx is subtracted from Vy and result is stored in Vx.
+                    // if Vy >= Vx (no borrow), then VF is set to 1, otherwise 0. Then Vx is subtracted from Vy and result is stored in Vx.
                     case 0x7:
-                        this.v[0xF] = 0;
-
-                        if (this.v[x] < this.v[y]) {
-                            this.v[0xF] = 1;
-                        }
+                        let noBorrowN = this.v[y] >= this.v[x] ? 1 : 0;
 
                         this.v[x] = this.v[y] - this.v[x];
+
+                        this.v[0xF] = noBorrowN;
                         break;
                     // Set Vx = Vx SHL 1
                     // If most significant bit of Vx is 1, the VF is set 1, otherwise to 0. Then Vx is multiplied by 2.
                     case 0xE:
+                        if (!this.quirks.shift) {
+                            this.v[x] = this.v[y];
+                        }
+
                         // 0x80 is hex for 10000000.
                         // 0x8 = 1000 and 0x0 = 0000.
-                        this.v[0xF] = (this.v[x] & 0x80);
+                        // Shift the bit down to position 0, so VF is 0 or 1.
+                        let shiftedOutLeft = (this.v[x] & 0x80) >> 7;
 
                         this.v[x] <<= 1;
+
+                        this.v[0xF] = shiftedOutLeft;
                         break;
+                    default:
+                        this.raiseFault("unknownOpcode", opcode.toString(16).toUpperCase() + " is not an instruction");
                 }
         
                 break;
@@ -282,7 +923,7 @@ class CPU {
             // Values of Vx and Vy are compared, if not equal, the PC is increased by 2.
             case 0x9000:
                 if (this.v[x] !== this.v[y]) {
-                    this.pc += 2;
+                    this.skipNextInstruction();
                 }
                 break;
             // Set I = nnn
@@ -291,14 +932,19 @@ class CPU {
                 this.i = (opcode & 0xFFF);
                 break;
             // Jump to location nnn + V0
-            // PC is set to nnn + V0
+            // PC is set to nnn + V0, or nnn + Vx with the jump quirk.
+            // CHIP-8X has no such jump, Bxyn colours the display instead.
             case 0xB000:
-                this.pc = (opcode & 0xFFF) + this.v[0];
+                if (this.model === "chip8x") {
+                    this.colorZones(x, y, opcode & 0xF);
+                    break;
+                }
+                this.pc = (opcode & 0xFFF) + this.v[this.quirks.jump ? x : 0];
                 break;
             // Set Vx = random byte AND kk
             // Interpreter generates random number from 0 to 255, which is ANDed with kk.
             case 0xC000:
-                let rand = Math.floor(Math.random() * 0xFF);
+                let rand = this.random.nextByte();
 
                 // opcode & 0xFF will allow us to use the lowest byte of the opcode.
                 this.v[x] = rand & (opcode & 0xFF);
@@ -310,28 +956,72 @@ class CPU {
                 // opcode = 0xD235 => height will be 5.
                 let height = (opcode & 0xF);
 
+                // SUPER-CHIP Dxy0 draws a 16x16 sprite, 2 bytes per row.
+                if (height === 0) {
+                    width = 16;
+                    height = 16;
+                }
+                let bytesPerRow = width / 8;
+
+                // The left most bit of a sprite row.
+                let leftBit = 1 << (width - 1);
+
                 // VF = 0, if pixels are erased this will be set to 1.
                 this.v[0xF] = 0;
 
-                for (let row = 0; row < height; row++) {
-                    // Grabs a single row of a sprite (8 bits).
-                    // this.i is equal to I in the technical documentation and contains the address where we should start.
-                    let sprite = this.memory[this.i + row];
-
-                    for (let col = 0; col < width; col++) {
-                        // Grab the left most bit and check if > 0.
-                        if ((sprite & 0x80) > 0) {
-                            // If it is bigger than 0, there is a 1 here and we have to be cautious when we draw or erase it.
-                            // This checks the return value of setPixel, if this is 1 a pixel was erased.
-                            if (this.renderer.setPixel(this.v[x] + col, this.v[y] + row)) {
-                                this.v[0xF] = 1;
+                // The sprite starts on screen even when Vx/Vy are past the edge.
+                let startX = this.v[x] % this.renderer.cols;
+                let startY = this.v[y] % this.renderer.rows;
+
+                // XO-CHIP draws the sprite on every selected plane, the data for plane 2 follows right after the data for plane 1.
+                let address = this.i;
+
+                for (let plane = 1; plane <= 2; plane++) {
+                    if (!(this.plane & plane)) {
+                        continue;
+                    }
+
+                    for (let row = 0; row < height; row++) {
+                        // Grabs a single row of a sprite (8 bits).
+                        // address starts at I (this.i), which is the address where we should start.
+                        let sprite = this.memory[address + (row * bytesPerRow)];
+
+                        if (bytesPerRow === 2) {
+                            sprite = (sprite << 8) | this.memory[address + (row * 2) + 1];
+                        }
+
+                        // Without the wrap quirk, rows below the screen are clipped.
+                        if (!this.quirks.wrap && startY + row >= this.renderer.rows) {
+                            break;
+                        }
+
+                        for (let col = 0; col < width; col++) {
+                            // Same for columns past the right edge.
+                            if (!this.quirks.wrap && startX + col >= this.renderer.cols) {
+                                break;
+                            }
+
+                            // Grab the left most bit and check if > 0.
+                            if ((sprite & leftBit) > 0) {
+                                // If it is bigger than 0, there is a 1 here and we have to be cautious when we draw or erase it.
+                                // This checks the return value of setPixel, if this is 1 a pixel was erased.
+                                if (this.renderer.setPixel(startX + col, startY + row, plane)) {
+                                    this.v[0xF] = 1;
+                                }
                             }
+
+                            // Shift left 1, so the next column's bit is the left most bit.
+                            // 10010000 << 1 => 0010000 (left most bit is cut off)
+                            sprite <<= 1;
                         }
                     }
 
-                    // Shift left 1.
-                    // 10010000 << 1 => 0010000 (left most bit is cut off)
-                    sprite <<= 1;
+                    address += height * bytesPerRow;
+                }
+
+                // With the vblank quirk nothing else runs until the next frame.
+                if (this.quirks.vblank) {
+                    this.waitingForVblank = true;
                 }
                 break;
             case 0xE000:
@@ -339,32 +1029,57 @@ class CPU {
                     // Skip next instruction if key with value Vx is pressed.
                     case 0x9E:
                         if (this.keyboard.isKeyPressed(this.v[x])) {
-                            this.pc += 2;
+                            this.skipNextInstruction();
                         }
                         break;
                     // Skip next instruction if key with value Vx is not pressed.
                     case 0xA1:
                         if (!this.keyboard.isKeyPressed(this.v[x])) {
-                            this.pc += 2;
+                            this.skipNextInstruction();
+                        }
+                        break;
+                    // CHIP-8X: skip next instruction if key Vx on the second keypad is pressed, or (ExF5) is not.
+                    case 0xF2:
+                    case 0xF5:
+                        if (this.model !== "chip8x") {
+                            this.raiseFault("unknownOpcode", opcode.toString(16).toUpperCase() + " is not an instruction");
+                            break;
+                        }
+                        if (this.secondKeyPressed(this.v[x]) === ((opcode & 0xFF) === 0xF2)) {
+                            this.skipNextInstruction();
                         }
                         break;
+                    default:
+                        this.raiseFault("unknownOpcode", opcode.toString(16).toUpperCase() + " is not an instruction");
                 }
         
                 break;
             case 0xF000:
                 switch (opcode & 0xFF) {
+                    // XO-CHIP F000 NNNN: set I to the 16 bit address in the next 2 bytes.
+                    case 0x00:
+                        if (opcode !== 0xF000) {
+                            this.raiseFault("unknownOpcode", opcode.toString(16).toUpperCase() + " is not an instruction");
+                            break;
+                        }
+                        this.i = (this.memory[this.pc] << 8) | this.memory[this.pc + 1];
+                        this.pc += 2;
+                        break;
+                    // XO-CHIP Fn01: select the bitplanes (n = 0 -> 3) for drawing, clearing and scrolling.
+                    case 0x01:
+                        this.plane = x;
+                        break;
+                    // XO-CHIP F002: load the 16 byte audio pattern at I.
+                    case 0x02:
+                        this.audioPattern = this.memory.slice(this.i, this.i + 16);
+                        break;
                     // Set Vx = delay timer value.
                     case 0x07:
                         this.v[x] = this.delayTimer;
                         break;
                     // Stop all execution until a key is pressed. Value of pressed key is stored in Vx.
                     case 0x0A:
-                        this.paused = true;
-
-                        this.keyboard.onNextKeyPress = function(key) {
-                            this.v[x] = key;
-                            this.paused = false;
-                        }.bind(this);
+                        this.waitForKey(x);
                         break;
                     // Set delay timer to Vx
                     case 0x15:
@@ -374,14 +1089,22 @@ class CPU {
                     case 0x18:
                         this.soundTimer = this.v[x];
                         break;
+                    // XO-CHIP: set the audio pattern playback pitch to Vx.
+                    case 0x3A:
+                        this.pitch = this.v[x];
+                        break;
                     // Set I to I + Vx
                     case 0x1E:
                         this.i += this.v[x]
                         break;
                     // Set I to location of sprite for digit Vx
                     case 0x29:
-                        // Multiply by 5 because a sprite is 5 bytes long
-                        this.i = this.v[x] * 5
+                        // Multiply by 5 because a sprite is 5 bytes long, only the low nibble is a digit.
+                        this.i = (this.v[x] & 0xF) * 5
+                        break;
+                    // SUPER-CHIP: set I to location of the big (10 byte) sprite for digit Vx.
+                    case 0x30:
+                        this.i = 0x50 + (this.v[x] & 0xF) * 10;
                         break;
                     // Store BCD representation of Vx in memory location I, I+1 and I+2.
                     // The interpreter takes the decimal value of Vx and stores the hundres in I, the tens in I+1 and the ones in I+2.
@@ -397,19 +1120,41 @@ class CPU {
                         for (let registerIndex = 0; registerIndex <= x; registerIndex++) {
                             this.memory[this.i + registerIndex] = this.v[registerIndex];
                         }
+
+                        if (this.quirks.memory) {
+                            this.i += x + 1;
+                        }
                         break;
                     // Read registers V0 through Vx starting at I.
                     case 0x65:
                         for (let registerIndex = 0; registerIndex <= x; registerIndex++) {
                             this.v[registerIndex] = this.memory[this.i + registerIndex];
                         }
+
+                        if (this.quirks.memory) {
+                            this.i += x + 1;
+                        }
+                        break;
+                    // SUPER-CHIP: store V0 through Vx in the RPL user flags.
+                    case 0x75:
+                        for (let registerIndex = 0; registerIndex <= x; registerIndex++) {
+                            this.rpl[registerIndex] = this.v[registerIndex];
+                        }
+                        break;
+                    // SUPER-CHIP: read V0 through Vx from the RPL user flags.
+                    case 0x85:
+                        for (let registerIndex = 0; registerIndex <= x; registerIndex++) {
+                            this.v[registerIndex] = this.rpl[registerIndex];
+                        }
                         break;
+                    default:
+                        this.raiseFault("unknownOpcode", opcode.toString(16).toUpperCase() + " is not an instruction");
                 }
         
                 break;
         
             default:
-                throw new Error('Unknown opcode ' + opcode);
+                this.raiseFault("unknownOpcode", opcode.toString(16).toUpperCase() + " is not an instruction");
         }
     }
 }
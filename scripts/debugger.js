@@ -0,0 +1,323 @@
+/**
+ * Debugger for the CPU: pausing, stepping, breakpoints and watchpoints.
+ *
+ * The CPU asks the debugger before every instruction (canExecute). The debugger decodes the instruction that is about to run,
+ * so a breakpoint or watchpoint stops the machine *before* the instruction executes and the state can be inspected.
+ *
+ * Breakpoints stop at an address, optionally only when a condition holds ("v3 == 5", "i >= 0x300", "dt == 0").
+ * A breakpoint without address stops on any instruction while its condition holds.
+ * Watchpoints stop on instructions that read or write a memory range, or read or write I.
+ */
+const CONDITION = /^\s*(v[0-9a-f]|i|dt|st|sp)\s*(==|!=|<=|>=|<|>)\s*(0x[0-9a-f]+|\d+)\s*$/i;
+
+/**
+ * Parse a condition like "v3 == 5" into a function of the CPU. Throws on anything else.
+ */
+export function parseCondition(text) {
+    const match = CONDITION.exec(text);
+
+    if (!match) {
+        throw new Error("Invalid condition: " + text);
+    }
+
+    const register = match[1].toLowerCase();
+    const comparison = match[2];
+    const value = parseInt(match[3]);
+
+    const read = (cpu) => {
+        switch (register) {
+            case "i":
+                return cpu.i;
+            case "dt":
+                return cpu.delayTimer;
+            case "st":
+                return cpu.soundTimer;
+            case "sp":
+                return cpu.stack.length;
+            default:
+                return cpu.v[parseInt(register[1], 16)];
+        }
+    };
+
+    return (cpu) => {
+        const current = read(cpu);
+        switch (comparison) {
+            case "==": return current === value;
+            case "!=": return current !== value;
+            case "<": return current < value;
+            case "<=": return current <= value;
+            case ">": return current > value;
+            case ">=": return current >= value;
+        }
+    };
+}
+
+/**
+ * Memory range and I register accesses of the instruction `opcode`, when executed in the current state of the CPU.
+ * Ranges are inclusive [start, end], null when there is no access.
+ */
+export function memoryAccess(cpu, opcode) {
+    const x = (opcode & 0x0F00) >> 8;
+    const y = (opcode & 0x00F0) >> 4;
+    const n = opcode & 0xF;
+    const access = { read: null, write: null, readsI: false, writesI: false };
+
+    switch (opcode & 0xF000) {
+        case 0x5000:
+            if (n === 0x2) {
+                access.write = [cpu.i, cpu.i + Math.abs(x - y)];
+                access.readsI = true;
+            } else if (n === 0x3) {
+                access.read = [cpu.i, cpu.i + Math.abs(x - y)];
+                access.readsI = true;
+            }
+            break;
+        case 0xA000:
+            access.writesI = true;
+            break;
+        case 0xD000: {
+            // Every selected plane has its own sprite data, see the Dxyn case in the CPU.
+            const planes = (cpu.plane & 1) + ((cpu.plane >> 1) & 1);
+            const bytes = (n === 0 ? 32 : n) * planes;
+            if (bytes > 0) {
+                access.read = [cpu.i, cpu.i + bytes - 1];
+            }
+            access.readsI = true;
+            break;
+        }
+        case 0xF000:
+            switch (opcode & 0xFF) {
+                case 0x00:
+                    access.writesI = opcode === 0xF000;
+                    break;
+                case 0x02:
+                    access.read = [cpu.i, cpu.i + 15];
+                    access.readsI = true;
+                    break;
+                case 0x1E:
+                    access.readsI = true;
+                    access.writesI = true;
+                    break;
+                case 0x29:
+                case 0x30:
+                    access.writesI = true;
+                    break;
+                case 0x33:
+                    access.write = [cpu.i, cpu.i + 2];
+                    access.readsI = true;
+                    break;
+                case 0x55:
+                    access.write = [cpu.i, cpu.i + x];
+                    access.readsI = true;
+                    access.writesI = cpu.quirks.memory;
+                    break;
+                case 0x65:
+                    access.read = [cpu.i, cpu.i + x];
+                    access.readsI = true;
+                    access.writesI = cpu.quirks.memory;
+                    break;
+            }
+            break;
+    }
+
+    return access;
+}
+
+function overlaps(range, start, end) {
+    return range !== null && range[0] <= end && range[1] >= start;
+}
+
+class Debugger {
+    constructor(cpu) {
+        this.cpu = cpu;
+        cpu.debugger = this;
+
+        this.paused = false;
+        // Why the debugger paused: "pause", "step", "breakpoint", "watchpoint", ...
+        this.reason = null;
+
+        this.breakpoints = [];
+        this.watchpoints = [];
+
+        // Watchpoint on the I register.
+        this.watchI = { read: false, write: false };
+
+        // Pending step over/out or run to address. null when there is none.
+        this.target = null;
+
+        // Let exactly one instruction run without checking breakpoints, used to step off a breakpoint.
+        this.skipChecks = false;
+
+        // Called with the debugger whenever it pauses.
+        this.onPause = null;
+    }
+
+    pause(reason) {
+        this.paused = true;
+        this.reason = reason || "pause";
+        this.target = null;
+
+        if (this.onPause) {
+            this.onPause(this);
+        }
+    }
+
+    resume() {
+        this.paused = false;
+        this.reason = null;
+        // Continue past a breakpoint on the current instruction.
+        this.skipChecks = true;
+    }
+
+    /**
+     * Execute exactly one instruction and stay paused.
+     */
+    stepInstruction() {
+        this.paused = false;
+        this.skipChecks = true;
+        this.cpu.step();
+        this.skipChecks = false;
+
+        if (!this.paused) {
+            this.pause("step");
+        }
+    }
+
+    /**
+     * Like stepInstruction, but a subroutine call (2nnn) runs until it returns to the next instruction.
+     */
+    stepOver() {
+        const opcode = this.currentOpcode();
+
+        if ((opcode & 0xF000) !== 0x2000) {
+            this.stepInstruction();
+            return;
+        }
+
+        const depth = this.cpu.stack.length;
+        const returnAddress = this.cpu.pc + 2;
+        this.resume();
+        this.target = () => this.cpu.pc === returnAddress && this.cpu.stack.length === depth;
+    }
+
+    /**
+     * Run until the current subroutine returns (its 00EE executed).
+     */
+    stepOut() {
+        const depth = this.cpu.stack.length;
+
+        if (depth === 0) {
+            return;
+        }
+
+        this.resume();
+        this.target = () => this.cpu.stack.length < depth;
+    }
+
+    /**
+     * Run until the instruction at `address` is about to execute.
+     */
+    runTo(address) {
+        this.resume();
+        this.target = () => this.cpu.pc === address;
+    }
+
+    /**
+     * Stop before the instruction at `address`, or whenever `condition` holds, or only at the address when the
+     * condition holds. Either may be null, but not both: that would stop on every instruction.
+     */
+    addBreakpoint(address, condition) {
+        if ((address === undefined || address === null) && !condition) {
+            throw new Error("A breakpoint needs an address or a condition");
+        }
+
+        const breakpoint = {
+            address: address === undefined ? null : address,
+            condition: condition || null,
+            test: condition ? parseCondition(condition) : null
+        };
+        this.breakpoints.push(breakpoint);
+        return breakpoint;
+    }
+
+    removeBreakpoint(breakpoint) {
+        this.breakpoints = this.breakpoints.filter((item) => item !== breakpoint);
+    }
+
+    /**
+     * Stop on instructions that read and/or write memory from start to end (inclusive).
+     */
+    addWatchpoint(start, end, read, write) {
+        const watchpoint = { start: start, end: end === undefined ? start : end, read: !!read, write: !!write };
+        this.watchpoints.push(watchpoint);
+        return watchpoint;
+    }
+
+    removeWatchpoint(watchpoint) {
+        this.watchpoints = this.watchpoints.filter((item) => item !== watchpoint);
+    }
+
+    currentOpcode() {
+        return (this.cpu.memory[this.cpu.pc] << 8) | this.cpu.memory[this.cpu.pc + 1];
+    }
+
+    /**
+     * Called by the CPU before every instruction. Returns false when the instruction must not run (yet).
+     */
+    canExecute() {
+        if (this.skipChecks) {
+            this.skipChecks = false;
+            return true;
+        }
+
+        if (this.paused) {
+            return false;
+        }
+
+        if (this.target && this.target()) {
+            this.pause("step");
+            return false;
+        }
+
+        const reason = this.check();
+        if (reason) {
+            this.pause(reason);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check breakpoints and watchpoints against the instruction at PC.
+     */
+    check() {
+        for (const breakpoint of this.breakpoints) {
+            if ((breakpoint.address === null || breakpoint.address === this.cpu.pc) &&
+                (breakpoint.test === null || breakpoint.test(this.cpu))) {
+                return "breakpoint";
+            }
+        }
+
+        if (this.watchpoints.length === 0 && !this.watchI.read && !this.watchI.write) {
+            return null;
+        }
+
+        const access = memoryAccess(this.cpu, this.currentOpcode());
+
+        for (const watchpoint of this.watchpoints) {
+            if ((watchpoint.read && overlaps(access.read, watchpoint.start, watchpoint.end)) ||
+                (watchpoint.write && overlaps(access.write, watchpoint.start, watchpoint.end))) {
+                return "watchpoint";
+            }
+        }
+
+        if ((this.watchI.read && access.readsI) || (this.watchI.write && access.writesI)) {
+            return "watchpoint";
+        }
+
+        return null;
+    }
+}
+
+export default Debugger;
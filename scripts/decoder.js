@@ -0,0 +1,191 @@
+import { MODEL_NAMES } from './models.js';
+
+/**
+ * Turns opcodes into structured instructions: mnemonic, operands and a description.
+ *
+ * Every instruction is one entry in INSTRUCTIONS. An opcode matches an entry when (opcode & mask) === pattern.
+ * The operand templates say where the operand values live in the opcode:
+ * - Vx / Vy: register in the 2nd / 3rd nibble.
+ * - kk: the low byte.  nnn: the low 12 bits (address).  n: the low nibble.
+ * - p: a number in the 2nd nibble (XO-CHIP plane mask).
+ * - nnnn: the 16 bit word following the opcode (XO-CHIP F000 NNNN, the only 4 byte instruction).
+ * - Anything else (V0, I, DT, ST, K, F, HF, B, [I], R) is written literally.
+ * Instructions only some machine models (models.js) have list them in `models`, the others are there on every model.
+ *
+ * The assembler uses the same table the other way around.
+ */
+export const INSTRUCTIONS = [
+    { pattern: 0x00E0, mask: 0xFFFF, mnemonic: "CLS", operands: [], description: "Clear the display" },
+    { pattern: 0x00EE, mask: 0xFFFF, mnemonic: "RET", operands: [], description: "Return from a subroutine" },
+    { pattern: 0x00FB, mask: 0xFFFF, mnemonic: "SCR", operands: [], description: "Scroll the display right by 4 pixels (SUPER-CHIP)" },
+    { pattern: 0x00FC, mask: 0xFFFF, mnemonic: "SCL", operands: [], description: "Scroll the display left by 4 pixels (SUPER-CHIP)" },
+    { pattern: 0x00FD, mask: 0xFFFF, mnemonic: "EXIT", operands: [], description: "Exit the interpreter (SUPER-CHIP)" },
+    { pattern: 0x00FE, mask: 0xFFFF, mnemonic: "LOW", operands: [], description: "Switch to the 64x32 display (SUPER-CHIP)" },
+    { pattern: 0x00FF, mask: 0xFFFF, mnemonic: "HIGH", operands: [], description: "Switch to the 128x64 display (SUPER-CHIP)" },
+    { pattern: 0x00C0, mask: 0xFFF0, mnemonic: "SCD", operands: ["n"], description: "Scroll the display down by n pixels (SUPER-CHIP)" },
+    { pattern: 0x00D0, mask: 0xFFF0, mnemonic: "SCU", operands: ["n"], description: "Scroll the display up by n pixels (XO-CHIP)" },
+    { pattern: 0x02A0, mask: 0xFFFF, mnemonic: "BGND", operands: [], description: "Step the background to the next colour (CHIP-8X)", models: ["chip8x"] },
+    { pattern: 0x0000, mask: 0xF000, mnemonic: "SYS", operands: ["nnn"], description: "Call a machine code routine (ignored)" },
+    { pattern: 0x1000, mask: 0xF000, mnemonic: "JP", operands: ["nnn"], description: "Jump to nnn" },
+    { pattern: 0x2000, mask: 0xF000, mnemonic: "CALL", operands: ["nnn"], description: "Call the subroutine at nnn" },
+    { pattern: 0x3000, mask: 0xF000, mnemonic: "SE", operands: ["Vx", "kk"], description: "Skip next instruction if Vx = kk" },
+    { pattern: 0x4000, mask: 0xF000, mnemonic: "SNE", operands: ["Vx", "kk"], description: "Skip next instruction if Vx != kk" },
+    { pattern: 0x5000, mask: 0xF00F, mnemonic: "SE", operands: ["Vx", "Vy"], description: "Skip next instruction if Vx = Vy" },
+    { pattern: 0x5001, mask: 0xF00F, mnemonic: "ADDN", operands: ["Vx", "Vy"], description: "Set Vx = Vx + Vy nibble by nibble, each modulo 8 (CHIP-8X)", models: ["chip8x"] },
+    { pattern: 0x5002, mask: 0xF00F, mnemonic: "SAVE", operands: ["Vx", "Vy"], description: "Store Vx through Vy in memory starting at I (XO-CHIP)" },
+    { pattern: 0x5003, mask: 0xF00F, mnemonic: "LOAD", operands: ["Vx", "Vy"], description: "Read Vx through Vy from memory starting at I (XO-CHIP)" },
+    { pattern: 0x6000, mask: 0xF000, mnemonic: "LD", operands: ["Vx", "kk"], description: "Set Vx = kk" },
+    { pattern: 0x7000, mask: 0xF000, mnemonic: "ADD", operands: ["Vx", "kk"], description: "Set Vx = Vx + kk" },
+    { pattern: 0x8000, mask: 0xF00F, mnemonic: "LD", operands: ["Vx", "Vy"], description: "Set Vx = Vy" },
+    { pattern: 0x8001, mask: 0xF00F, mnemonic: "OR", operands: ["Vx", "Vy"], description: "Set Vx = Vx OR Vy" },
+    { pattern: 0x8002, mask: 0xF00F, mnemonic: "AND", operands: ["Vx", "Vy"], description: "Set Vx = Vx AND Vy" },
+    { pattern: 0x8003, mask: 0xF00F, mnemonic: "XOR", operands: ["Vx", "Vy"], description: "Set Vx = Vx XOR Vy" },
+    { pattern: 0x8004, mask: 0xF00F, mnemonic: "ADD", operands: ["Vx", "Vy"], description: "Set Vx = Vx + Vy, VF = carry" },
+    { pattern: 0x8005, mask: 0xF00F, mnemonic: "SUB", operands: ["Vx", "Vy"], description: "Set Vx = Vx - Vy, VF = NOT borrow" },
+    { pattern: 0x8006, mask: 0xF00F, mnemonic: "SHR", operands: ["Vx", "Vy"], description: "Set Vx = Vx SHR 1, VF = shifted out bit" },
+    { pattern: 0x8007, mask: 0xF00F, mnemonic: "SUBN", operands: ["Vx", "Vy"], description: "Set Vx = Vy - Vx, VF = NOT borrow" },
+    { pattern: 0x800E, mask: 0xF00F, mnemonic: "SHL", operands: ["Vx", "Vy"], description: "Set Vx = Vx SHL 1, VF = shifted out bit" },
+    { pattern: 0x9000, mask: 0xF00F, mnemonic: "SNE", operands: ["Vx", "Vy"], description: "Skip next instruction if Vx != Vy" },
+    { pattern: 0xA000, mask: 0xF000, mnemonic: "LD", operands: ["I", "nnn"], description: "Set I = nnn" },
+    { pattern: 0xB000, mask: 0xF000, mnemonic: "JP", operands: ["V0", "nnn"], description: "Jump to nnn + V0", models: ["chip8", "hires", "xochip"] },
+    { pattern: 0xB000, mask: 0xF000, mnemonic: "COLOR", operands: ["Vx", "Vy", "n"], description: "Colour the zones Vx and V(x+1) select with Vy, n rows or blocks of 4 rows for n = 0 (CHIP-8X)", models: ["chip8x"] },
+    { pattern: 0xC000, mask: 0xF000, mnemonic: "RND", operands: ["Vx", "kk"], description: "Set Vx = random byte AND kk" },
+    { pattern: 0xD000, mask: 0xF000, mnemonic: "DRW", operands: ["Vx", "Vy", "n"], description: "Draw n-byte sprite from I at (Vx, Vy), VF = collision" },
+    { pattern: 0xE09E, mask: 0xF0FF, mnemonic: "SKP", operands: ["Vx"], description: "Skip next instruction if key Vx is pressed" },
+    { pattern: 0xE0A1, mask: 0xF0FF, mnemonic: "SKNP", operands: ["Vx"], description: "Skip next instruction if key Vx is not pressed" },
+    { pattern: 0xE0F2, mask: 0xF0FF, mnemonic: "SKP2", operands: ["Vx"], description: "Skip next instruction if key Vx of the second keypad is pressed (CHIP-8X)", models: ["chip8x"] },
+    { pattern: 0xE0F5, mask: 0xF0FF, mnemonic: "SKNP2", operands: ["Vx"], description: "Skip next instruction if key Vx of the second keypad is not pressed (CHIP-8X)", models: ["chip8x"] },
+    { pattern: 0xF000, mask: 0xFFFF, mnemonic: "LONG", operands: ["I", "nnnn"], description: "Set I = nnnn, the 16 bit word after this instruction (XO-CHIP)" },
+    { pattern: 0xF001, mask: 0xF0FF, mnemonic: "PLANE", operands: ["p"], description: "Select the bitplanes to draw on (XO-CHIP)" },
+    { pattern: 0xF002, mask: 0xFFFF, mnemonic: "AUDIO", operands: [], description: "Load the 16 byte audio pattern at I (XO-CHIP)" },
+    { pattern: 0xF007, mask: 0xF0FF, mnemonic: "LD", operands: ["Vx", "DT"], description: "Set Vx = delay timer" },
+    { pattern: 0xF00A, mask: 0xF0FF, mnemonic: "LD", operands: ["Vx", "K"], description: "Wait for a key press, store the key in Vx" },
+    { pattern: 0xF015, mask: 0xF0FF, mnemonic: "LD", operands: ["DT", "Vx"], description: "Set delay timer = Vx" },
+    { pattern: 0xF018, mask: 0xF0FF, mnemonic: "LD", operands: ["ST", "Vx"], description: "Set sound timer = Vx" },
+    { pattern: 0xF01E, mask: 0xF0FF, mnemonic: "ADD", operands: ["I", "Vx"], description: "Set I = I + Vx" },
+    { pattern: 0xF029, mask: 0xF0FF, mnemonic: "LD", operands: ["F", "Vx"], description: "Set I = location of the sprite for digit Vx" },
+    { pattern: 0xF030, mask: 0xF0FF, mnemonic: "LD", operands: ["HF", "Vx"], description: "Set I = location of the big sprite for digit Vx (SUPER-CHIP)" },
+    { pattern: 0xF033, mask: 0xF0FF, mnemonic: "LD", operands: ["B", "Vx"], description: "Store BCD of Vx at I, I+1 and I+2" },
+    { pattern: 0xF03A, mask: 0xF0FF, mnemonic: "PITCH", operands: ["Vx"], description: "Set the audio pattern pitch = Vx (XO-CHIP)" },
+    { pattern: 0xF055, mask: 0xF0FF, mnemonic: "LD", operands: ["[I]", "Vx"], description: "Store V0 through Vx in memory starting at I" },
+    { pattern: 0xF065, mask: 0xF0FF, mnemonic: "LD", operands: ["Vx", "[I]"], description: "Read V0 through Vx from memory starting at I" },
+    { pattern: 0xF075, mask: 0xF0FF, mnemonic: "LD", operands: ["R", "Vx"], description: "Store V0 through Vx in the RPL user flags (SUPER-CHIP)" },
+    { pattern: 0xF085, mask: 0xF0FF, mnemonic: "LD", operands: ["Vx", "R"], description: "Read V0 through Vx from the RPL user flags (SUPER-CHIP)" }
+];
+
+/**
+ * The instructions of a machine model.
+ */
+export function instructionsFor(model = "chip8") {
+    if (!MODEL_NAMES.includes(model)) {
+        throw new Error("Unknown model " + model);
+    }
+    return INSTRUCTIONS.filter((instruction) => !instruction.models || instruction.models.includes(model));
+}
+
+// Bit count of a mask, entries with more fixed bits are more specific and are tried first.
+const fixedBits = (mask) => mask.toString(2).replace(/0/g, "").length;
+const BY_SPECIFICITY = new Map(MODEL_NAMES.map((model) => [
+    model,
+    instructionsFor(model).sort((a, b) => fixedBits(b.mask) - fixedBits(a.mask))
+]));
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+/**
+ * Value of an operand template in the opcode (and the word after it for nnnn), undefined for literals.
+ */
+export function operandValue(template, opcode, next) {
+    switch (template) {
+        case "Vx": return (opcode & 0x0F00) >> 8;
+        case "Vy": return (opcode & 0x00F0) >> 4;
+        case "p": return (opcode & 0x0F00) >> 8;
+        case "kk": return opcode & 0xFF;
+        case "nnn": return opcode & 0xFFF;
+        case "n": return opcode & 0xF;
+        case "nnnn": return next;
+    }
+    return undefined;
+}
+
+/**
+ * Text of an operand, the way the assembler reads it back.
+ */
+export function formatOperand(template, value) {
+    switch (template) {
+        case "Vx":
+        case "Vy":
+            return "V" + hex(value, 1);
+        case "p":
+        case "n":
+            return String(value);
+        case "kk":
+            return "0x" + hex(value, 2);
+        case "nnn":
+            return "0x" + hex(value, 3);
+        case "nnnn":
+            return "0x" + hex(value, 4);
+    }
+    return template;
+}
+
+/**
+ * Find the table entry for an opcode on a machine model, or null for data that is not an instruction.
+ */
+export function lookup(opcode, model = "chip8") {
+    if (!BY_SPECIFICITY.has(model)) {
+        throw new Error("Unknown model " + model);
+    }
+    return BY_SPECIFICITY.get(model).find((instruction) => (opcode & instruction.mask) === instruction.pattern) || null;
+}
+
+/**
+ * Decode an opcode of a machine model. `next` is the 16 bit word after it, only used by the 4 byte F000 NNNN.
+ * Returns { opcode, mnemonic, operands: [{ template, value, text }], description, size, text },
+ * with mnemonic null for opcodes that are not an instruction.
+ */
+export function decode(opcode, next = 0, model = "chip8") {
+    const instruction = lookup(opcode, model);
+
+    if (!instruction) {
+        return {
+            opcode: opcode,
+            mnemonic: null,
+            operands: [],
+            description: "Unknown opcode",
+            size: 2,
+            text: "DW 0x" + hex(opcode, 4)
+        };
+    }
+
+    const operands = instruction.operands.map((template) => {
+        const value = operandValue(template, opcode, next);
+        return { template: template, value: value, text: formatOperand(template, value) };
+    });
+
+    return {
+        opcode: opcode,
+        mnemonic: instruction.mnemonic,
+        operands: operands,
+        description: instruction.description,
+        size: instruction.operands.includes("nnnn") ? 4 : 2,
+        text: instruction.mnemonic + (operands.length ? " " + operands.map((operand) => operand.text).join(", ") : "")
+    };
+}
+
+/**
+ * Decode the instruction at an address in memory.
+ */
+export function decodeAt(memory, address, model = "chip8") {
+    const opcode = (memory[address] << 8) | memory[address + 1];
+    const next = (memory[address + 2] << 8) | memory[address + 3];
+
+    return decode(opcode, next, model);
+}
+
+/**
+ * Assembly text for an opcode.
+ */
+export function disassemble(opcode, next, model = "chip8") {
+    return decode(opcode, next, model).text;
+}
@@ -0,0 +1,141 @@
+import { decode, formatOperand } from './decoder.js';
+import { MODELS } from './models.js';
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+// Instructions that can skip the next instruction, so both the next and the one after that can run.
+const SKIPS = ["SE", "SNE", "SKP", "SKNP", "SKP2", "SKNP2"];
+
+/**
+ * Tell code from data by following the program from its start address: jumps, calls and skips lead to more code,
+ * everything that is never reached is data. Jumps through V0 (Bnnn) can't be followed, code only reached that way is data.
+ * Instructions are read the way the machine model (models.js) runs them.
+ * Returns { code: address => decoded instruction, labels: address => label name }.
+ */
+export function traceCode(rom, origin = 0x200, model = "chip8") {
+    const end = origin + rom.length;
+    const byteAt = (address) => rom[address - origin];
+    const wordAt = (address) => (byteAt(address) << 8) | byteAt(address + 1);
+
+    // Address => decoded instruction, for every address that is reached as code.
+    const code = new Map();
+    // Address => label name.
+    const labels = new Map();
+
+    const label = (address, prefix) => {
+        if (address >= origin && address < end && !labels.has(address)) {
+            labels.set(address, prefix + hex(address, 3));
+        }
+    };
+
+    const queue = [origin];
+    labels.set(origin, "start");
+
+    while (queue.length) {
+        let address = queue.pop();
+
+        // Follow straight-line code until a jump, return or already visited code.
+        while (address >= origin && address + 1 < end && !code.has(address)) {
+            const instruction = decode(wordAt(address), wordAt(address + 2), model);
+            code.set(address, instruction);
+
+            const next = address + instruction.size;
+            const target = instruction.operands.length ? instruction.operands[instruction.operands.length - 1].value : null;
+
+            if (instruction.mnemonic === null) {
+                // Not an instruction: the program went into data, stop following this path.
+                code.delete(address);
+                break;
+            } else if (instruction.mnemonic === "JP" && instruction.operands.length === 1) {
+                label(target, "L");
+                queue.push(target);
+                break;
+            } else if (instruction.mnemonic === "JP" || instruction.mnemonic === "RET" || instruction.mnemonic === "EXIT") {
+                if (instruction.mnemonic === "JP") {
+                    label(target, "T");
+                }
+                break;
+            } else if (instruction.mnemonic === "CALL") {
+                label(target, "SUB");
+                queue.push(target);
+            } else if (SKIPS.includes(instruction.mnemonic)) {
+                // The skipped instruction may be 4 bytes long (F000 NNNN).
+                const skipped = decode(wordAt(next), wordAt(next + 2), model);
+                queue.push(next + skipped.size);
+            } else if (instruction.mnemonic === "LD" && instruction.operands[0].template === "I") {
+                label(target, "DATA");
+            } else if (instruction.mnemonic === "LONG") {
+                label(target, "DATA");
+            }
+
+            address = next;
+        }
+    }
+
+    return { code: code, labels: labels };
+}
+
+/**
+ * Disassemble a whole ROM into a labelled listing that the assembler reads back into the same bytes.
+ * Code is found with traceCode, everything else is listed as data (DB). Listings of other models than CHIP-8 only
+ * assemble back for the same model.
+ */
+export function disassembleRom(rom, origin = 0x200, model = "chip8") {
+    const end = origin + rom.length;
+    const byteAt = (address) => rom[address - origin];
+    const wordAt = (address) => (byteAt(address) << 8) | byteAt(address + 1);
+
+    const { code, labels } = traceCode(rom, origin, model);
+
+    // Addresses covered by code, including the second half of every instruction.
+    const covered = new Set();
+    for (const [address, instruction] of code) {
+        for (let n = 0; n < instruction.size; n++) {
+            covered.add(address + n);
+        }
+    }
+
+    // Labels that point into the middle of an instruction can't be written as labels.
+    for (const address of labels.keys()) {
+        if (covered.has(address) && !code.has(address)) {
+            labels.delete(address);
+        }
+    }
+
+    const lines = [];
+    lines.push("; " + rom.length + " bytes, " + code.size + " instructions" + (model === "chip8" ? "" : ", " + MODELS[model].name));
+    lines.push("        ORG 0x" + hex(origin, 3));
+
+    let address = origin;
+    while (address < end) {
+        if (labels.has(address)) {
+            lines.push(labels.get(address) + ":");
+        }
+
+        if (code.has(address)) {
+            const instruction = code.get(address);
+            const operands = instruction.operands.map((operand) => {
+                const isAddress = operand.template === "nnn" || operand.template === "nnnn";
+                return isAddress && labels.has(operand.value) ? labels.get(operand.value) : formatOperand(operand.template, operand.value);
+            });
+            const text = instruction.mnemonic + (operands.length ? " " + operands.join(", ") : "");
+            const bytes = hex(wordAt(address), 4) + (instruction.size === 4 ? " " + hex(wordAt(address + 2), 4) : "");
+
+            lines.push("        " + text.padEnd(24) + "; " + hex(address, 3) + ": " + bytes + "  " + instruction.description);
+            address += instruction.size;
+            continue;
+        }
+
+        // Data runs until the next code or label, 8 bytes per line.
+        const bytes = [];
+        const start = address;
+        do {
+            bytes.push("0x" + hex(byteAt(address), 2));
+            address++;
+        } while (address < end && bytes.length < 8 && !code.has(address) && !labels.has(address));
+
+        lines.push("        DB " + bytes.join(", ").padEnd(48) + "; " + hex(start, 3));
+    }
+
+    return lines.join("\n") + "\n";
+}
@@ -0,0 +1,210 @@
+// CHIP-8X colour zones are 8 pixels wide and 1 high. The colour board starts with red zones on a blue background,
+// 02A0 steps through 4 backgrounds (see CHIP8X_COLORS and CHIP8X_BACKGROUNDS in renderer.js).
+const ZONE_WIDTH = 8;
+const DEFAULT_ZONE_COLOR = 1;
+const BACKGROUNDS = 4;
+
+/**
+ * The chip-8 framebuffer without any drawing attached to it.
+ * The CPU only talks to this interface (setPixel, clear, scroll and render), so the machine can run without a browser.
+ * Renderer extends this class and draws the framebuffer on a canvas.
+ *
+ * XO-CHIP draws on two bitplanes. Every pixel holds a 2-bit colour: bit 0 is plane 1, bit 1 is plane 2.
+ * Plain chip-8 and SUPER-CHIP programs only ever touch plane 1, so their pixels are 0 or 1.
+ *
+ * CHIP-8X pixels are on or off, the colour of a pixel that is on comes from the zone it is in.
+ *
+ * `dirty` is set whenever a pixel changes, so a renderer can skip frames in which nothing was drawn.
+ */
+class Display {
+    constructor() {
+        this.cols = 64;
+        this.rows = 32;
+
+        // Size of the lo-res display of the machine model, 64x64 on HiRes CHIP-8. See setModel.
+        this.loresCols = 64;
+        this.loresRows = 32;
+
+        // SUPER-CHIP hi-res mode doubles the resolution to 128x64.
+        this.hires = false;
+
+        // CHIP-8X: the colour (0-7) of every zone of the lo-res display, row by row, and the background colour (0-3).
+        // Null on monochrome models.
+        this.zoneColors = null;
+        this.background = 0;
+
+        this.display = new Uint8Array(this.cols * this.rows);
+        this.dirty = true;
+    }
+
+    /**
+     * Switch to the display of a machine model (models.js): its lo-res size, and colour zones or not.
+     * The display is cleared and back in lo-res, zones and background have their starting colours.
+     */
+    setModel(model) {
+        this.loresCols = model.cols;
+        this.loresRows = model.rows;
+
+        this.zoneColors = model.colors ? new Uint8Array(model.cols / ZONE_WIDTH * model.rows).fill(DEFAULT_ZONE_COLOR) : null;
+        this.background = 0;
+
+        this.setResolution(false);
+    }
+
+    /**
+     * Switch between the lo-res (64x32, or the size of the model) and 128x64 (hi-res) display. Switching clears the display.
+     */
+    setResolution(hires) {
+        this.hires = hires;
+        this.cols = hires ? 128 : this.loresCols;
+        this.rows = hires ? 64 : this.loresRows;
+
+        this.clear();
+    }
+
+    /**
+     * CHIP-8X: give the zones from (left, top) on, `width` and `height` lo-res pixels big, a colour (0-7).
+     * Zones past the edge of the display are left out.
+     */
+    setZoneColor(left, top, width, height, color) {
+        if (this.zoneColors === null) {
+            return;
+        }
+
+        const zonesPerRow = this.loresCols / ZONE_WIDTH;
+        const firstZone = Math.floor(left / ZONE_WIDTH);
+        const lastZone = Math.min(Math.ceil((left + width) / ZONE_WIDTH), zonesPerRow) - 1;
+
+        for (let y = top; y < Math.min(top + height, this.loresRows); y++) {
+            for (let zone = firstZone; zone <= lastZone; zone++) {
+                this.zoneColors[zone + (y * zonesPerRow)] = color;
+            }
+        }
+
+        this.dirty = true;
+    }
+
+    /**
+     * CHIP-8X 02A0: the next background colour.
+     */
+    stepBackground() {
+        this.background = (this.background + 1) % BACKGROUNDS;
+        this.dirty = true;
+    }
+
+    /**
+     * CHIP-8X: the colour of the zone the pixel at `index` of the display is in. In hi-res a zone covers twice the pixels.
+     */
+    zoneColor(index) {
+        const x = Math.floor((index % this.cols) * this.loresCols / this.cols);
+        const y = Math.floor(Math.floor(index / this.cols) * this.loresRows / this.rows);
+
+        return this.zoneColors[Math.floor(x / ZONE_WIDTH) + (y * this.loresCols / ZONE_WIDTH)];
+    }
+
+    /**
+     * Flip a pixel on the given plane (1 or 2, default 1). Returns true when the pixel was erased (collision).
+     */
+    setPixel(x, y, plane = 1) {
+        // Wrap around: x = cols is the first column again, x = -1 the last one.
+        if (x >= this.cols) {
+            x -= this.cols;
+        } else if (x < 0) {
+            x += this.cols;
+        }
+        
+        if (y >= this.rows) {
+            y -= this.rows;
+        } else if (y < 0) {
+            y += this.rows;
+        }
+
+        let pixelLoc = x + (y * this.cols);
+
+        this.display[pixelLoc] ^= plane;
+        this.dirty = true;
+
+        return !(this.display[pixelLoc] & plane);
+    }
+
+    /**
+     * Clear the planes in the mask (default both).
+     */
+    clear(planes = 3) {
+        if (planes === 3) {
+            this.display = new Uint8Array(this.cols * this.rows);
+        } else {
+            for (let i = 0; i < this.display.length; i++) {
+                this.display[i] &= ~planes;
+            }
+        }
+
+        this.dirty = true;
+    }
+
+    /**
+     * Replace all pixels, for example with the display of a save state. The resolution has to match already.
+     */
+    load(pixels) {
+        this.display = Uint8Array.from(pixels);
+        this.dirty = true;
+    }
+
+    /**
+     * Move the whole display down by n pixels. Rows scrolled in at the top are empty.
+     */
+    scrollDown(n, planes = 3) {
+        this.scroll(0, n, planes);
+    }
+
+    /**
+     * XO-CHIP: move the whole display up by n pixels. Rows scrolled in at the bottom are empty.
+     */
+    scrollUp(n, planes = 3) {
+        this.scroll(0, -n, planes);
+    }
+
+    /**
+     * Move the whole display left (negative n) or right (positive n) by n pixels.
+     */
+    scrollHorizontal(n, planes = 3) {
+        this.scroll(n, 0, planes);
+    }
+
+    /**
+     * Move the pixels of the planes in the mask by (dx, dy). Other planes stay where they are.
+     */
+    scroll(dx, dy, planes) {
+        const display = new Uint8Array(this.cols * this.rows);
+
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                const i = x + (y * this.cols);
+                const fromX = x - dx;
+                const fromY = y - dy;
+
+                display[i] = this.display[i] & ~planes;
+
+                if (fromX >= 0 && fromX < this.cols && fromY >= 0 && fromY < this.rows) {
+                    display[i] |= this.display[fromX + (fromY * this.cols)] & planes;
+                }
+            }
+        }
+
+        this.display = display;
+        this.dirty = true;
+    }
+
+    /**
+     * Nothing to draw on without a canvas. Implementations that can show the display override this.
+     */
+    render() {
+    }
+
+    testRender() {
+        this.setPixel(0, 0);
+        this.setPixel(5, 2);
+    }
+}
+
+export default Display;
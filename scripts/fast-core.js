@@ -0,0 +1,403 @@
+/**
+ * The cores that can run a CPU's instructions, see CPU.setCore.
+ * - interpreter: executeInstruction decodes every opcode every time it runs. This is the reference.
+ * - fast: FastCore, which gives the same results faster.
+ */
+export const CORES = ["interpreter", "fast"];
+
+// Most instructions in one compiled block. Longer runs of code make several blocks.
+const MAX_BLOCK = 64;
+
+// How an instruction is compiled:
+// - inline: straight JS that leaves PC alone, the block sets PC once at its end.
+// - call: runs through executeInstruction, after which PC is on the next instruction and the block carries on,
+//   unless its `exit` condition holds (Dxyn waiting for the next frame).
+// - skip: a condition, the block leaves when it holds and carries on with the next instruction when it doesn't.
+// - branch: ends the block. It jumps, calls, returns, waits, writes memory (which can change the code that follows)
+//   or faults.
+const INLINE = "inline";
+const CALL = "call";
+const SKIP = "skip";
+const BRANCH = "branch";
+
+const hex = (value) => "0x" + value.toString(16).toUpperCase();
+
+/**
+ * Instructions that read or write memory through I, the ones memoryAccess (debugger.js) checks.
+ */
+function accessesMemory(opcode) {
+    switch (opcode & 0xF000) {
+        case 0x5000:
+            return (opcode & 0xF) === 0x2 || (opcode & 0xF) === 0x3;
+        case 0xD000:
+            return true;
+        case 0xF000:
+            return [0x02, 0x33, 0x55, 0x65].includes(opcode & 0xFF);
+    }
+    return false;
+}
+
+/**
+ * An instruction that runs through the interpreter, with the memory check of CPU.step in front of it.
+ * Code that a write may have changed is compiled again.
+ */
+function delegate(kind, opcode, size = 2) {
+    let source = "cpu.executeInstruction(" + hex(opcode) + ");\n";
+
+    if (accessesMemory(opcode)) {
+        source = "const access = cpu.checkMemoryAccess(" + hex(opcode) + ");\n" + source
+            + "if (access.write !== null) {\n    cpu.memoryWritten(access.write[0], access.write[1]);\n}\n";
+    }
+
+    return { kind: kind, size: size, source: source, exit: null };
+}
+
+function inline(source) {
+    return { kind: INLINE, size: 2, source: source, exit: null };
+}
+
+function skip(condition) {
+    return { kind: SKIP, size: 2, source: null, exit: condition };
+}
+
+function branch(source) {
+    return { kind: BRANCH, size: 2, source: source, exit: null };
+}
+
+/**
+ * Compile one opcode: { kind, size, source, exit }. The source is the body of a function (cpu, v, memory) that does
+ * what executeInstruction does for the opcode. Inline code only does the work of the instruction, calls and branches
+ * expect PC on the instruction and move it on themselves. A skip is only its condition.
+ */
+function compileInstruction(opcode) {
+    const x = (opcode & 0x0F00) >> 8;
+    const y = (opcode & 0x00F0) >> 4;
+    const kk = opcode & 0xFF;
+
+    // Vx = Vx op Vy, VF is set last like the interpreter does.
+    const flag = (result, value) => "{\n    const flag = " + value + ";\n    " + result + "\n    v[15] = flag;\n}\n";
+    const logic = (operator) => "v[" + x + "] " + operator + "= v[" + y + "];\nif (cpu.quirks.logic) {\n    v[15] = 0;\n}\n";
+    const shift = (result, value) => "if (!cpu.quirks.shift) {\n    v[" + x + "] = v[" + y + "];\n}\n" + flag(result, value);
+    const registers = (statement) => Array.from({ length: x + 1 }, (_, r) => statement(r)).join("\n") + "\n";
+
+    switch (opcode & 0xF000) {
+        case 0x0000:
+            if (opcode === 0x00E0) {
+                return inline("cpu.renderer.clear(cpu.plane);\n");
+            }
+            if ([0x00FB, 0x00FC, 0x00FE, 0x00FF].includes(opcode) || (opcode & 0xFFE0) === 0x00C0) {
+                return delegate(CALL, opcode);
+            }
+            return delegate(BRANCH, opcode);
+        case 0x1000:
+            return branch("cpu.pc = " + hex(opcode & 0xFFF) + ";\n");
+        case 0x3000:
+            return skip("v[" + x + "] === " + kk);
+        case 0x4000:
+            return skip("v[" + x + "] !== " + kk);
+        case 0x5000:
+            if ((opcode & 0xF) === 0x0) {
+                return skip("v[" + x + "] === v[" + y + "]");
+            }
+            return delegate((opcode & 0xF) === 0x3 ? CALL : BRANCH, opcode);
+        case 0x6000:
+            return inline("v[" + x + "] = " + kk + ";\n");
+        case 0x7000:
+            return inline("v[" + x + "] += " + kk + ";\n");
+        case 0x8000:
+            switch (opcode & 0xF) {
+                case 0x0:
+                    return inline("v[" + x + "] = v[" + y + "];\n");
+                case 0x1:
+                    return inline(logic("|"));
+                case 0x2:
+                    return inline(logic("&"));
+                case 0x3:
+                    return inline(logic("^"));
+                case 0x4:
+                    return inline("{\n    const sum = v[" + x + "] + v[" + y + "];\n    v[" + x + "] = sum;\n    v[15] = sum > 0xFF ? 1 : 0;\n}\n");
+                case 0x5:
+                    return inline(flag("v[" + x + "] -= v[" + y + "];", "v[" + x + "] >= v[" + y + "] ? 1 : 0"));
+                case 0x6:
+                    return inline(shift("v[" + x + "] >>= 1;", "v[" + x + "] & 0x1"));
+                case 0x7:
+                    return inline(flag("v[" + x + "] = v[" + y + "] - v[" + x + "];", "v[" + y + "] >= v[" + x + "] ? 1 : 0"));
+                case 0xE:
+                    return inline(shift("v[" + x + "] <<= 1;", "(v[" + x + "] & 0x80) >> 7"));
+            }
+            return delegate(BRANCH, opcode);
+        case 0x9000:
+            if ((opcode & 0xF) === 0x0) {
+                return skip("v[" + x + "] !== v[" + y + "]");
+            }
+            return delegate(BRANCH, opcode);
+        case 0xA000:
+            return inline("cpu.i = " + hex(opcode & 0xFFF) + ";\n");
+        case 0xC000:
+            return inline("v[" + x + "] = cpu.random.nextByte() & " + kk + ";\n");
+        case 0xD000: {
+            // With the vblank quirk nothing else runs this frame.
+            const draw = delegate(CALL, opcode);
+            draw.exit = "cpu.waitingForVblank";
+            return draw;
+        }
+        case 0xE000:
+            if (kk === 0x9E) {
+                return skip("cpu.keyboard.isKeyPressed(v[" + x + "])");
+            }
+            if (kk === 0xA1) {
+                return skip("!cpu.keyboard.isKeyPressed(v[" + x + "])");
+            }
+            return delegate(BRANCH, opcode);
+        case 0xF000:
+            switch (kk) {
+                case 0x00:
+                    // F000 NNNN reads its address from the 2 bytes after it, they belong to the instruction.
+                    return opcode === 0xF000 ? delegate(CALL, opcode, 4) : delegate(BRANCH, opcode);
+                case 0x01:
+                    return inline("cpu.plane = " + x + ";\n");
+                case 0x02:
+                    return delegate(CALL, opcode);
+                case 0x07:
+                    return inline("v[" + x + "] = cpu.delayTimer;\n");
+                case 0x15:
+                    return inline("cpu.delayTimer = v[" + x + "];\n");
+                case 0x18:
+                    return inline("cpu.soundTimer = v[" + x + "];\n");
+                case 0x3A:
+                    return inline("cpu.pitch = v[" + x + "];\n");
+                case 0x1E:
+                    return inline("cpu.i += v[" + x + "];\n");
+                case 0x29:
+                    return inline("cpu.i = (v[" + x + "] & 0xF) * 5;\n");
+                case 0x30:
+                    return inline("cpu.i = 0x50 + (v[" + x + "] & 0xF) * 10;\n");
+                case 0x65:
+                    return inline("cpu.checkMemoryAccess(" + hex(opcode) + ");\n"
+                        + registers((r) => "v[" + r + "] = memory[cpu.i + " + r + "];")
+                        + "if (cpu.quirks.memory) {\n    cpu.i += " + (x + 1) + ";\n}\n");
+                case 0x75:
+                    return inline(registers((r) => "cpu.rpl[" + r + "] = v[" + r + "];"));
+                case 0x85:
+                    return inline(registers((r) => "v[" + r + "] = cpu.rpl[" + r + "];"));
+            }
+            return delegate(BRANCH, opcode);
+    }
+
+    return delegate(BRANCH, opcode);
+}
+
+// Opcode => compiled instruction, and opcode => handler. Opcodes are only compiled the first time they run.
+const instructions = new Array(0x10000);
+const handlers = new Array(0x10000);
+
+function instruction(opcode) {
+    if (instructions[opcode] === undefined) {
+        instructions[opcode] = compileInstruction(opcode);
+    }
+    return instructions[opcode];
+}
+
+/**
+ * The dispatch table: a function (cpu, v, memory) per opcode that executes it with PC on the instruction.
+ */
+function handler(opcode) {
+    if (handlers[opcode] === undefined) {
+        const compiled = instruction(opcode);
+        let source = compiled.source;
+
+        if (compiled.kind === INLINE) {
+            source += "cpu.pc += 2;\n";
+        } else if (compiled.kind === SKIP) {
+            source = "cpu.pc += 2;\nif (" + compiled.exit + ") {\n    cpu.skipNextInstruction();\n}\n";
+        }
+
+        handlers[opcode] = new Function("cpu", "v", "memory", source);
+    }
+    return handlers[opcode];
+}
+
+/**
+ * A faster way to run the instructions of a CPU, with exactly the same results as its interpreter.
+ *
+ * Opcodes are decoded once into a table of handlers. Straight runs of instructions, up to the next jump, call,
+ * return or memory write, are compiled into one JS function (a block) the first time PC gets there, and that
+ * function runs every time after. A block leaves early where a skip is taken. Blocks are cached by address and
+ * thrown away when their memory is written, by Fx33, Fx55 and 5xy2 or from outside the CPU (see
+ * CPU.memoryChanged), so self-modifying code works.
+ *
+ * With a debugger attached, a profiler or tracer running or right after continueAfterFault the CPU's own step()
+ * runs instead, because those look at every single instruction.
+ */
+class FastCore {
+    constructor(cpu) {
+        this.cpu = cpu;
+
+        // Address => { start, end, count, addresses, run }: the addresses of its instructions, and a function
+        // run(cpu, v, memory) that returns how many instructions ran.
+        this.blocks = new Map();
+
+        // 1 for every byte that belongs to a compiled block, so most writes know at once that no block changed.
+        this.compiled = new Uint8Array(cpu.memory.length);
+    }
+
+    /**
+     * Run `instructions` instructions, like CPU.runFrame does without its timers.
+     * Returns how many really ran, see CPU.runFrame.
+     */
+    run(instructions) {
+        const cpu = this.cpu;
+        // Instruction slots of the frame used up, and instructions that ran in them.
+        let slots = 0;
+        let executed = 0;
+
+        while (slots < instructions) {
+            if (cpu.fault || (cpu.debugger && cpu.debugger.paused)) {
+                break;
+            }
+
+            if (cpu.debugger || cpu.profiler || cpu.tracer || cpu.ignoreFaults) {
+                if (cpu.step()) {
+                    executed++;
+                }
+                slots++;
+                continue;
+            }
+
+            // Fx0A, 00FD and the vblank quirk stop the CPU for the rest of the frame, step() would do nothing.
+            if (cpu.paused || cpu.waitingForVblank) {
+                break;
+            }
+
+            // A block that doesn't fit in the frame anymore runs one instruction at a time.
+            const block = this.blocks.get(cpu.pc) || this.compile(cpu.pc);
+            if (block === null || block.count > instructions - slots) {
+                this.step();
+                slots++;
+                executed++;
+                continue;
+            }
+
+            try {
+                const count = block.run(cpu, cpu.v, cpu.memory);
+                slots += count;
+                executed += count;
+            } catch (error) {
+                // The block stopped on the instruction that faulted, and nothing runs after a fault.
+                executed += block.addresses.indexOf(cpu.instructionAddress) + 1;
+                this.fail(error);
+            }
+        }
+
+        return executed;
+    }
+
+    /**
+     * Execute the instruction at PC through the dispatch table. The same as CPU.step without a debugger, profiler or tracer.
+     */
+    step() {
+        const cpu = this.cpu;
+        cpu.instructionAddress = cpu.pc;
+
+        try {
+            const opcode = cpu.fetch();
+            handler(opcode)(cpu, cpu.v, cpu.memory);
+        } catch (error) {
+            this.fail(error);
+        }
+    }
+
+    /**
+     * The instruction at cpu.instructionAddress threw: a strict fault or a bug in the emulator.
+     */
+    fail(error) {
+        const cpu = this.cpu;
+        const address = cpu.instructionAddress;
+        cpu.fail(error, (cpu.memory[address] << 8) | cpu.memory[address + 1], address);
+    }
+
+    /**
+     * Compile the block that starts at `start`. Returns null when there is no whole instruction at `start`,
+     * step() deals with that.
+     */
+    compile(start) {
+        const memory = this.cpu.memory;
+        let source = "";
+        let address = start;
+        let count = 0;
+        let kind = null;
+        const addresses = [];
+
+        while (count < MAX_BLOCK && kind !== BRANCH) {
+            const opcode = (memory[address] << 8) | memory[address + 1];
+            const compiled = instruction(opcode);
+
+            if (address + compiled.size > this.cpu.addressSpace) {
+                break;
+            }
+
+            // Faults point at the instruction that raised them.
+            source += "cpu.instructionAddress = " + hex(address) + ";\n";
+            kind = compiled.kind;
+            addresses.push(address);
+            count++;
+
+            if (kind === SKIP) {
+                // The instruction that is skipped decides how far, F000 NNNN is 4 bytes.
+                source += "cpu.pc = " + hex(address + 2) + ";\nif (" + compiled.exit + ") {\n"
+                    + "    cpu.skipNextInstruction();\n    return " + count + ";\n}\n";
+            } else {
+                if (kind !== INLINE) {
+                    source += "cpu.pc = " + hex(address) + ";\n";
+                }
+                source += "{\n" + compiled.source + "}\n";
+                if (compiled.exit) {
+                    source += "if (" + compiled.exit + ") {\n    return " + count + ";\n}\n";
+                }
+            }
+
+            address += compiled.size;
+        }
+
+        if (count === 0) {
+            return null;
+        }
+
+        if (kind !== BRANCH) {
+            source += "cpu.pc = " + hex(address) + ";\n";
+        }
+        source += "return " + count + ";\n";
+
+        const block = { start: start, end: address, count: count, addresses: addresses, run: new Function("cpu", "v", "memory", source) };
+        this.blocks.set(start, block);
+        this.compiled.fill(1, start, address);
+
+        return block;
+    }
+
+    /**
+     * Memory from `start` to `end` (inclusive) changed, blocks with code in it are compiled again when they run next.
+     * Without arguments every block is thrown away.
+     */
+    invalidate(start, end) {
+        if (start === undefined) {
+            this.blocks.clear();
+            this.compiled.fill(0);
+            return;
+        }
+
+        end = Math.min(end, this.compiled.length - 1);
+        if (!this.compiled.subarray(start, end + 1).includes(1)) {
+            return;
+        }
+
+        for (const block of this.blocks.values()) {
+            if (block.start <= end && block.end > start) {
+                this.blocks.delete(block.start);
+            }
+        }
+        this.compiled.fill(0, start, end + 1);
+    }
+}
+
+export default FastCore;
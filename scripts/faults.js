@@ -0,0 +1,69 @@
+/**
+ * Things a program can do wrong, and what the CPU does about them.
+ *
+ * Every fault is either strict or lenient. A strict fault halts the machine before the faulting instruction changed
+ * anything, with PC on that instruction, so the state can be inspected (cpu.fault holds the Fault). A lenient fault
+ * does what the description says and the program carries on, which is how most interpreters behave.
+ *
+ * Memory is 4KB, addresses past 0xFFF are out of range. XO-CHIP has 64KB, up to 0xFFFF (see models.js).
+ */
+export const FAULTS = {
+    unknownOpcode: { name: "Unknown opcode", strict: true, lenient: "The opcode is skipped" },
+    stackOverflow: { name: "Stack overflow", strict: true, lenient: "The stack grows past 16 return addresses" },
+    stackUnderflow: { name: "Return with an empty stack", strict: true, lenient: "The return is skipped" },
+    pcOutOfRange: { name: "PC out of memory", strict: true, lenient: "PC wraps around to 0x000" },
+    memoryOutOfRange: { name: "Memory access out of range", strict: true, lenient: "Reads past the end are 0, writes are dropped" },
+    machineCode: { name: "Machine code routine (0nnn)", strict: false, lenient: "The call is skipped" }
+};
+
+export const FAULT_NAMES = Object.keys(FAULTS);
+
+// Errors of the emulator itself always halt, whatever the policy says.
+export const INTERNAL_ERROR = "internalError";
+
+// The COSMAC VIP has room for 12 return addresses, SUPER-CHIP for 16. Nothing needs more.
+export const STACK_SIZE = 16;
+
+/**
+ * A policy, { fault: "strict" or "lenient" } for every fault, from the defaults with single faults overridden.
+ */
+export function createFaultPolicy(overrides) {
+    const policy = {};
+
+    for (const fault of FAULT_NAMES) {
+        policy[fault] = FAULTS[fault].strict ? "strict" : "lenient";
+    }
+
+    return Object.assign(policy, overrides);
+}
+
+/**
+ * A strict fault: `type` is a key of FAULTS or INTERNAL_ERROR, `address` the address of the faulting instruction.
+ */
+export class Fault extends Error {
+    constructor(type, message, opcode, address) {
+        super(message);
+        this.name = "Fault";
+        this.type = type;
+        this.opcode = opcode;
+        this.address = address;
+    }
+}
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+/**
+ * The crash report of a halted CPU as text: the fault, registers, timers and stack.
+ */
+export function crashReport(cpu) {
+    const fault = cpu.fault;
+
+    return [
+        fault.message,
+        "Opcode " + hex(fault.opcode, 4) + " at " + hex(fault.address, 3),
+        "",
+        "PC " + hex(cpu.pc, 3) + "  I " + hex(cpu.i, 3) + "  DT " + hex(cpu.delayTimer, 2) + "  ST " + hex(cpu.soundTimer, 2),
+        Array.from(cpu.v, (value, index) => "V" + hex(index, 1) + " " + hex(value, 2)).join("  "),
+        "Stack (" + cpu.stack.length + ") [" + cpu.stack.map((address) => hex(address, 3)).join(", ") + "]"
+    ].join("\n");
+}
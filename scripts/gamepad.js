@@ -0,0 +1,130 @@
+/**
+ * Gamepads as an input source for the keypad. The Gamepad API has no events for buttons,
+ * so poll() reads every connected gamepad once per animation frame.
+ */
+
+// How far the stick has to be pushed before it counts as a direction.
+const STICK_THRESHOLD = 0.5;
+
+class GamepadInput {
+    constructor(keypad, bindings) {
+        this.keypad = keypad;
+        this.bindings = bindings;
+
+        // Per gamepad index, the buttons and stick directions that were down at the last poll and the chip-8 key
+        // each of them pressed, so they let go of that key even if the bindings changed meanwhile.
+        this.held = new Map();
+
+        // The settings screen sets this to receive the next button that goes down instead of the keypad.
+        this.onCapture = null;
+
+        window.addEventListener("gamepaddisconnected", (event) => this.releaseGamepad(event.gamepad.index));
+    }
+
+    /**
+     * Names of the buttons and stick directions that are down on a gamepad.
+     */
+    pressedInputs(gamepad) {
+        const inputs = new Set();
+
+        gamepad.buttons.forEach((button, index) => {
+            if (button.pressed) {
+                inputs.add(String(index));
+            }
+        });
+
+        const [x = 0, y = 0] = gamepad.axes;
+        if (y < -STICK_THRESHOLD) {
+            inputs.add("up");
+        } else if (y > STICK_THRESHOLD) {
+            inputs.add("down");
+        }
+        if (x < -STICK_THRESHOLD) {
+            inputs.add("left");
+        } else if (x > STICK_THRESHOLD) {
+            inputs.add("right");
+        }
+
+        return inputs;
+    }
+
+    poll() {
+        if (!navigator.getGamepads) {
+            return;
+        }
+
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad) {
+                continue;
+            }
+
+            if (!this.held.has(gamepad.index)) {
+                this.held.set(gamepad.index, new Map());
+            }
+            const held = this.held.get(gamepad.index);
+            const now = this.pressedInputs(gamepad);
+
+            for (const input of held.keys()) {
+                if (!now.has(input)) {
+                    this.release(gamepad.index, input);
+                }
+            }
+
+            for (const input of now) {
+                if (held.has(input)) {
+                    continue;
+                }
+
+                if (this.onCapture !== null) {
+                    const capture = this.onCapture;
+                    this.onCapture = null;
+                    capture(input);
+
+                    // The captured button doesn't press a key until it goes down again.
+                    held.set(input, undefined);
+                    continue;
+                }
+
+                // Every gamepad input is its own source, so the d-pad and the stick can hold the same key.
+                // Unbound inputs are held too, a new binding only takes effect the next time they go down.
+                const key = this.bindings.gamepadKey(input);
+                held.set(input, key);
+                if (key !== undefined) {
+                    this.keypad.press(key, "gamepad" + gamepad.index + ":" + input);
+                }
+            }
+        }
+    }
+
+    release(index, input) {
+        const held = this.held.get(index);
+        const key = held.get(input);
+
+        held.delete(input);
+        if (key !== undefined) {
+            this.keypad.release(key, "gamepad" + index + ":" + input);
+        }
+    }
+
+    releaseGamepad(index) {
+        if (!this.held.has(index)) {
+            return;
+        }
+
+        for (const input of this.held.get(index).keys()) {
+            this.release(index, input);
+        }
+        this.held.delete(index);
+    }
+
+    /**
+     * Let go of every button on every gamepad, for example when an embedded emulator loses the focus.
+     */
+    releaseAll() {
+        for (const index of Array.from(this.held.keys())) {
+            this.releaseGamepad(index);
+        }
+    }
+}
+
+export default GamepadInput;
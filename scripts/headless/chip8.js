@@ -0,0 +1,141 @@
+import Display from '../display.js';
+import Keypad from '../keypad.js';
+import SilentSpeaker from './speaker.js';
+import FileRomLoader from './rom-loader.js';
+import CPU from '../cpu.js';
+import { createQuirks } from '../quirks.js';
+
+/**
+ * The same wiring as scripts/chip8.js, but without a browser.
+ * There is no animation frame loop either: whoever drives the machine calls runFrame/runCycles.
+ */
+class HeadlessChip8 {
+    constructor(options = {}) {
+        this.renderer = new Display();
+        this.keyboard = new Keypad();
+        this.speaker = new SilentSpeaker();
+        this.romLoader = new FileRomLoader(options.basePath);
+        this.cpu = new CPU(this.renderer, this.keyboard, this.speaker, this.romLoader, createQuirks(options.quirks));
+
+        // CHIP-8X has a second keypad.
+        this.secondKeypad = new Keypad();
+        this.cpu.secondKeypad = this.secondKeypad;
+
+        // "chip8", "hires", "chip8x" or "xochip", see models.js. Set before loading a ROM, it decides where the ROM goes.
+        if (options.model) {
+            this.cpu.setModel(options.model);
+        }
+
+        if (options.speed) {
+            this.cpu.speed = options.speed;
+        }
+
+        // "interpreter" or "fast", see CPU.setCore.
+        if (options.core) {
+            this.cpu.setCore(options.core);
+        }
+
+        // A fixed seed makes Cxkk return the same numbers on every run.
+        if (options.seed !== undefined) {
+            this.cpu.seed = options.seed;
+        }
+
+        // Set to a SoundLog (audio.js) to log the sound of every frame, for a WAV file.
+        this.soundLog = null;
+
+        // Number of frames and instruction slots executed so far, and the instructions that really ran in those slots:
+        // a CPU waiting for a key or the next frame lets slots go by.
+        this.frame = 0;
+        this.cycles = 0;
+        this.instructions = 0;
+
+        this.cpu.loadSpritesIntoMemory();
+    }
+
+    loadRom(romName) {
+        return this.cpu.loadRom(romName);
+    }
+
+    /**
+     * Run one frame: `instructions` instructions (default `speed`), one timer tick and a render.
+     * Returns how many instructions really ran, see CPU.runFrame.
+     */
+    runFrame(instructions = this.cpu.speed) {
+        const executed = this.cpu.runFrame(instructions);
+        this.instructions += executed;
+        this.renderer.render();
+        if (this.soundLog) {
+            this.soundLog.record(this.cpu);
+        }
+        this.cycles += instructions;
+        this.frame++;
+
+        return executed;
+    }
+
+    /**
+     * Run a number of single instructions. Timers tick every `speed` instructions, like they do in a frame.
+     */
+    runCycles(count) {
+        for (let n = 0; n < count; n++) {
+            if (this.cpu.step()) {
+                this.instructions++;
+            }
+            this.cycles++;
+
+            if (this.cycles % this.cpu.speed === 0) {
+                this.cpu.vblank();
+                this.cpu.playSound();
+                if (this.soundLog) {
+                    this.soundLog.record(this.cpu);
+                }
+                this.frame++;
+            }
+        }
+    }
+
+    /**
+     * The framebuffer as text, one line per row. Lit pixels are '#', dark pixels are '.'.
+     */
+    displayToString() {
+        const lines = [];
+
+        for (let y = 0; y < this.renderer.rows; y++) {
+            let line = '';
+            for (let x = 0; x < this.renderer.cols; x++) {
+                line += this.renderer.display[x + (y * this.renderer.cols)] ? '#' : '.';
+            }
+            lines.push(line);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * The framebuffer as a plain PBM (portable bitmap) image, which most image viewers can open.
+     */
+    displayToPbm() {
+        return 'P1\n' + this.renderer.cols + ' ' + this.renderer.rows + '\n' +
+            this.displayToString().replace(/#/g, '1').replace(/\./g, '0') + '\n';
+    }
+
+    /**
+     * Registers, timers and stack in a JSON friendly shape.
+     */
+    registers() {
+        return {
+            frame: this.frame,
+            cycles: this.cycles,
+            pc: this.cpu.pc,
+            i: this.cpu.i,
+            v: Array.from(this.cpu.v),
+            delayTimer: this.cpu.delayTimer,
+            soundTimer: this.cpu.soundTimer,
+            stack: this.cpu.stack.slice(),
+            paused: this.cpu.paused,
+            fault: this.cpu.fault ? { type: this.cpu.fault.type, message: this.cpu.fault.message, address: this.cpu.fault.address } : null
+        };
+    }
+}
+
+export default HeadlessChip8;
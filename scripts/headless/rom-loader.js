@@ -0,0 +1,25 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Grab ROMs from the local filesystem when running under Node.
+ * Relative names are resolved against basePath, absolute paths are used as they are.
+ */
+class FileRomLoader {
+    constructor(basePath) {
+        this.basePath = basePath || process.cwd();
+    }
+
+    async load(romName) {
+        let buffer;
+        try {
+            buffer = await readFile(path.resolve(this.basePath, romName));
+        } catch (error) {
+            throw new Error("Could not load " + romName + ": " + (error.code === 'ENOENT' ? "file not found" : error.message));
+        }
+
+        return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+    }
+}
+
+export default FileRomLoader;
@@ -0,0 +1,33 @@
+/**
+ * Speaker for machines without audio output.
+ * It only remembers whether the sound timer is making a sound, and for how many frames it did so.
+ */
+class SilentSpeaker {
+    constructor() {
+        this.playing = false;
+        this.frequency = 0;
+        this.framesPlayed = 0;
+    }
+
+    play(frequency) {
+        this.playing = true;
+        this.frequency = frequency || 440;
+        this.framesPlayed++;
+    }
+
+    /**
+     * XO-CHIP pattern playback. `frequency` is the rate the whole 128 bit pattern repeats at.
+     */
+    playPattern(pattern, rate) {
+        this.playing = true;
+        this.pattern = pattern.slice();
+        this.frequency = rate / 128;
+        this.framesPlayed++;
+    }
+
+    stop() {
+        this.playing = false;
+    }
+}
+
+export default SilentSpeaker;
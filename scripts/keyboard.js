@@ -1,52 +1,61 @@
+/**
+ * The computer keyboard as an input source for the keypad. Keys are looked up by `event.code` in the bindings.
+ * Listens on `target`: the whole window, or a focusable element (an embedded emulator) that only plays while it has the focus.
+ */
 class Keyboard {
-    constructor() {
-        this.KEYMAP = {
-            49: 0x1, // 1
-            50: 0x2, // 2
-            51: 0x3, // 3
-            52: 0xc, // 4
-            81: 0x4, // Q
-            87: 0x5, // W
-            69: 0x6, // E
-            82: 0xD, // R
-            65: 0x7, // A
-            83: 0x8, // S
-            68: 0x9, // D
-            70: 0xE, // F
-            90: 0xA, // Z
-            88: 0x0, // X
-            67: 0xB, // C
-            86: 0xF  // V
-        }
-
-        this.keyPressed = [];
+    constructor(keypad, bindings, target = window) {
+        this.keypad = keypad;
+        this.bindings = bindings;
 
-        // some chip-8 instructions require waiting for the next keypress. We initialize this function elsewhere when needed.
-        this.onNextKeyPress = null;
+        // The settings screen sets this to receive the code of the next key instead of the keypad.
+        this.onCapture = null;
 
-        window.addEventListener("keydown", this.onKeyDown.bind(this), false);
-        window.addEventListener("keyup", this.onKeyUp.bind(this), false);
+        // The chip-8 key every held keyboard key pressed, so it lets go of that key even if the bindings changed meanwhile.
+        this.held = new Map();
 
-    }
+        target.addEventListener("keydown", this.onKeyDown.bind(this), false);
+        target.addEventListener("keyup", this.onKeyUp.bind(this), false);
 
-    isKeyPressed(keyCode) {
-        return this.keyPressed[keyCode];
+        // Key up events get lost while something else has the focus.
+        target.addEventListener("blur", () => {
+            for (const code of this.held.keys()) {
+                this.release(code);
+            }
+        });
     }
 
     onKeyDown(event) {
-        let key = this.KEYMAP[event.which];
-        this.keyPressed[key] = true;
-        //Initialize onNextKeyPress and the pressed key is mapped to an chip-8 key.
-        if (this.onNextKeyPress!==null && key) {
-            this.onNextKeyPress(parseInt(key));
-            this.onNextKeyPress = null;
+        if (this.onCapture !== null) {
+            event.preventDefault();
+            const capture = this.onCapture;
+            this.onCapture = null;
+            capture(event.code);
+            return;
+        }
+
+        // Typing in a field of the page isn't playing.
+        if (event.target instanceof HTMLInputElement || event.target instanceof HTMLSelectElement || event.target instanceof HTMLTextAreaElement) {
+            return;
+        }
+
+        let key = this.bindings.keyboardKey(event.code);
+        //Only keys that are mapped to a chip-8 key are passed on to the keypad.
+        if (key !== undefined && !this.held.has(event.code)) {
+            this.held.set(event.code, key);
+            this.keypad.press(key, "keyboard:" + event.code);
         }
     }
 
     onKeyUp(event) {
-        let key = this.KEYMAP[event.which];
-        this.keyPressed[key] = false;
+        this.release(event.code);
+    }
+
+    release(code) {
+        if (this.held.has(code)) {
+            this.keypad.release(this.held.get(code), "keyboard:" + code);
+            this.held.delete(code);
+        }
     }
-} 
+}
 
-export default Keyboard;
\ No newline at end of file
+export default Keyboard;
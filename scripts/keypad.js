@@ -0,0 +1,95 @@
+/**
+ * The 16-key hexadecimal keypad state without any input source attached to it.
+ * The CPU reads it through isKeyPressed and onNextKeyPress (Fx0A).
+ *
+ * In the browser the keyboard, gamepads and the touch keypad all press keys through press/release with their own
+ * source name, so a key held on two of them stays down until both let go. The headless runner and movie playback
+ * call pressKey/releaseKey directly.
+ */
+class Keypad {
+    constructor() {
+        this.keyPressed = [];
+
+        // some chip-8 instructions require waiting for the next keypress. We initialize this function elsewhere when needed.
+        this.onNextKeyPress = null;
+
+        // Called with (key, down) on every press and release, a movie recorder listens here.
+        this.onKeyChange = null;
+
+        // While a movie plays back or netplay runs, keys only come from there: the input sources leave the keys
+        // alone. What they hold is still tracked, see heldKeys.
+        this.blocked = false;
+
+        // For every key, the input sources holding it down.
+        this.holders = Array.from({ length: 16 }, () => new Set());
+    }
+
+    isKeyPressed(keyCode) {
+        return this.keyPressed[keyCode];
+    }
+
+    pressKey(key) {
+        this.keyPressed[key] = true;
+        if (this.onKeyChange !== null) {
+            this.onKeyChange(key, true);
+        }
+        // A program waiting on Fx0A receives the first key that goes down.
+        if (this.onNextKeyPress !== null) {
+            this.onNextKeyPress(key);
+            this.onNextKeyPress = null;
+        }
+    }
+
+    releaseKey(key) {
+        this.keyPressed[key] = false;
+        if (this.onKeyChange !== null) {
+            this.onKeyChange(key, false);
+        }
+    }
+
+    /**
+     * Let go of every key, without telling anyone.
+     */
+    releaseAll() {
+        this.keyPressed = [];
+
+        for (const holders of this.holders) {
+            holders.clear();
+        }
+    }
+
+    /**
+     * An input source pressed a key. The key goes down unless another source already holds it.
+     */
+    press(key, source) {
+        this.holders[key].add(source);
+        if (!this.blocked && !this.keyPressed[key]) {
+            this.pressKey(key);
+        }
+    }
+
+    /**
+     * An input source let go of a key. The key goes up when no other source holds it.
+     */
+    release(key, source) {
+        this.holders[key].delete(source);
+        if (!this.blocked && this.holders[key].size === 0 && this.keyPressed[key]) {
+            this.releaseKey(key);
+        }
+    }
+
+    /**
+     * The keys the input sources hold down as a 16 bit mask (bit n is key n), also while the keypad is blocked.
+     */
+    heldKeys() {
+        let keys = 0;
+        this.holders.forEach((holders, key) => {
+            if (holders.size) {
+                keys |= 1 << key;
+            }
+        });
+        return keys;
+    }
+}
+
+export default Keypad;
@@ -0,0 +1,24 @@
+/**
+ * Machine models: the chip-8 variants a ROM can be written for. Quirks (quirks.js) tune how instructions behave,
+ * a model decides where the program lives, the size of the display and which extra instructions there are.
+ * - load / start: where the ROM is loaded, and where execution starts.
+ * - cols / rows: the lo-res display. SUPER-CHIP 00FF still switches to 128x64.
+ * - colors: CHIP-8X colour zones instead of a monochrome display.
+ * - memory: size of the address space. PC and I past it fault, and ROMs have to fit in it.
+ *
+ * - chip8: the COSMAC VIP interpreter, and the variants that build on it (SUPER-CHIP), with 4KB of memory.
+ * - hires: HiRes CHIP-8, a 64x64 display. ROMs load at 0x200 like other ones, but their first 0xC0 bytes are the
+ *   patch that switches the VIP to the taller display, the program proper starts at 0x2C0. 0230 clears the display.
+ * - chip8x: CHIP-8X for the VP-590 colour board and its second keypad. ROMs load and start at 0x300.
+ *   02A0 steps the background colour, BxyN colours zones of the display, 5xy1 adds nibble by nibble and
+ *   ExF2/ExF5 read the second keypad.
+ * - xochip: XO-CHIP, chip8 with 64KB of memory. F000 NNNN points I anywhere in it, code runs past 0xFFF.
+ */
+export const MODELS = {
+    chip8: { name: "CHIP-8", load: 0x200, start: 0x200, cols: 64, rows: 32, colors: false, memory: 0x1000 },
+    hires: { name: "HiRes CHIP-8 (64x64)", load: 0x200, start: 0x2C0, cols: 64, rows: 64, colors: false, memory: 0x1000 },
+    chip8x: { name: "CHIP-8X", load: 0x300, start: 0x300, cols: 64, rows: 32, colors: true, memory: 0x1000 },
+    xochip: { name: "XO-CHIP", load: 0x200, start: 0x200, cols: 64, rows: 32, colors: false, memory: 0x10000 }
+};
+
+export const MODEL_NAMES = Object.keys(MODELS);
@@ -0,0 +1,211 @@
+import Random from './random.js';
+import { checksum } from './checksum.js';
+
+/**
+ * Input recordings ("movies") that play back exactly, frame for frame.
+ *
+ * A recording starts from a reset with a known random seed, and logs per frame the keys that went down or up
+ * and the number of instructions the frame ran. Nothing else feeds into the machine, so feeding the same
+ * keys in at the same frames through the keypad reproduces the run. The checksum of the framebuffer at the
+ * end tells whether it did.
+ *
+ * {
+ *     format: "ts-chip8-movie", version: 1,
+ *     rom: "BLITZ", romHash: "1a2b3c4d",       checksum of the ROM bytes, see checksum.js
+ *     seed: 123456, quirks: { shift: true, ... },
+ *     model: "chip8",                          machine model, see models.js (chip8 when missing)
+ *     frames: 600,                             length of the movie
+ *     input: [[frame, key, 1 (down) or 0 (up)], ...],
+ *     instructions: [[frame, count], ...],     instructions per frame from that frame on
+ *     checksum: "5e6f7a8b"                     checksum of the framebuffer after the last frame
+ * }
+ */
+const FORMAT = "ts-chip8-movie";
+const VERSION = 1;
+
+/**
+ * Records a movie of the ROM the CPU has loaded. Call frame() right after every emulated frame ran.
+ */
+export class MovieRecorder {
+    constructor(cpu, rom) {
+        this.cpu = cpu;
+        this.rom = rom || null;
+        this.movie = null;
+        this.frameCount = 0;
+        this.instructions = null;
+    }
+
+    get recording() {
+        return this.movie !== null;
+    }
+
+    /**
+     * Reset the machine with a new seed and start logging the keypad.
+     */
+    start() {
+        if (!this.cpu.program) {
+            throw new Error("Load a ROM before recording");
+        }
+        if (this.cpu.debugger && this.cpu.debugger.paused) {
+            throw new Error("Resume the debugger before recording");
+        }
+
+        this.movie = {
+            format: FORMAT,
+            version: VERSION,
+            rom: this.rom,
+            romHash: checksum(this.cpu.program),
+            seed: Random.randomSeed(),
+            quirks: Object.assign({}, this.cpu.quirks),
+            model: this.cpu.model,
+            frames: 0,
+            input: [],
+            instructions: [],
+            checksum: null
+        };
+        this.frameCount = 0;
+        this.instructions = null;
+
+        resetWithSeed(this.cpu, this.movie.seed);
+
+        // Keys that change between two frames belong to the frame that runs next.
+        this.cpu.keyboard.onKeyChange = (key, down) => {
+            this.movie.input.push([this.frameCount, key, down ? 1 : 0]);
+        };
+    }
+
+    /**
+     * A frame ran `instructions` instructions, the count CPU.runFrame returned: a breakpoint or a halt can end
+     * a frame before the count it was asked for.
+     */
+    frame(instructions) {
+        if (instructions !== this.instructions) {
+            this.movie.instructions.push([this.frameCount, instructions]);
+            this.instructions = instructions;
+        }
+
+        this.frameCount++;
+    }
+
+    /**
+     * Stop recording and return the movie.
+     */
+    stop() {
+        const movie = this.movie;
+
+        this.cpu.keyboard.onKeyChange = null;
+        this.movie = null;
+
+        movie.frames = this.frameCount;
+        movie.checksum = checksum(this.cpu.renderer.display);
+
+        return movie;
+    }
+}
+
+/**
+ * Plays a movie on the CPU, which has to have the movie's ROM loaded. Call frame() before every emulated frame,
+ * it returns the number of instructions to run.
+ */
+export class MoviePlayer {
+    constructor(cpu, movie) {
+        this.cpu = cpu;
+        this.movie = movie;
+        this.frameCount = 0;
+        this.instructions = 0;
+
+        // Position in movie.input and movie.instructions.
+        this.nextInput = 0;
+        this.nextInstructions = 0;
+    }
+
+    get finished() {
+        return this.frameCount >= this.movie.frames;
+    }
+
+    /**
+     * Reset the machine the way the recording started. Keys only come from the movie until stop().
+     */
+    start() {
+        if (!this.cpu.program || checksum(this.cpu.program) !== this.movie.romHash) {
+            throw new Error("This movie was recorded with a different ROM" + (this.movie.rom ? " (" + this.movie.rom + ")" : ""));
+        }
+
+        this.cpu.quirks = Object.assign({}, this.movie.quirks);
+        this.cpu.setModel(this.movie.model || "chip8");
+        this.cpu.keyboard.blocked = true;
+
+        resetWithSeed(this.cpu, this.movie.seed);
+    }
+
+    /**
+     * Press and release the keys of the next frame. Returns the number of instructions the frame runs.
+     */
+    frame() {
+        const { input, instructions } = this.movie;
+
+        while (this.nextInput < input.length && input[this.nextInput][0] === this.frameCount) {
+            const [, key, down] = input[this.nextInput++];
+            if (down) {
+                this.cpu.keyboard.pressKey(key);
+            } else {
+                this.cpu.keyboard.releaseKey(key);
+            }
+        }
+
+        while (this.nextInstructions < instructions.length && instructions[this.nextInstructions][0] === this.frameCount) {
+            this.instructions = instructions[this.nextInstructions++][1];
+        }
+
+        this.frameCount++;
+        return this.instructions;
+    }
+
+    /**
+     * Hand the keypad back and compare the framebuffer with the one at the end of the recording.
+     * Returns { matched, checksum, expected }.
+     */
+    stop() {
+        this.cpu.keyboard.blocked = false;
+        this.cpu.keyboard.releaseAll();
+
+        const actual = checksum(this.cpu.renderer.display);
+
+        return {
+            matched: this.finished && actual === this.movie.checksum,
+            checksum: actual,
+            expected: this.movie.checksum
+        };
+    }
+}
+
+/**
+ * Reset the machine with its ROM, with Cxkk starting from `seed` and no keys held down.
+ */
+function resetWithSeed(cpu, seed) {
+    cpu.keyboard.releaseAll();
+
+    cpu.seed = seed;
+    cpu.loadProgram(cpu.program);
+    cpu.seed = null;
+}
+
+export function serializeMovie(movie) {
+    return JSON.stringify(movie);
+}
+
+/**
+ * Parse a movie file. Throws if the text isn't a movie or was written by a newer version.
+ */
+export function parseMovie(text) {
+    const movie = JSON.parse(text);
+
+    if (movie.format !== FORMAT) {
+        throw new Error("Not a chip-8 movie");
+    }
+    if (movie.version > VERSION) {
+        throw new Error("Movie version " + movie.version + " is not supported");
+    }
+
+    return movie;
+}
@@ -0,0 +1,329 @@
+import Random from './random.js';
+import { checksum } from './checksum.js';
+
+/**
+ * Settings of a netplay session the host picks:
+ * - delay: frames between pressing a key and the machine seeing it. Gives the key time to reach the other player,
+ *   so neither has to wait for it.
+ * - rollback: frames a player may run ahead of the other player's keys. Those frames guess the keys (the last ones
+ *   that came in) and run again from a snapshot when the guess was wrong. 0 is plain lockstep.
+ * - hashInterval: every this many frames the players compare hashes of the machine state, see stateHash.
+ */
+export const NETPLAY_DEFAULTS = { delay: 2, rollback: 0, hashInterval: 60 };
+
+/**
+ * Hash of the machine state: the memory, and everything else of a snapshot that decides how the machine runs on
+ * (CPU.stateBytes). Players that end up with different hashes for the same frame have desynced.
+ */
+export function stateHash(cpu) {
+    return checksum(cpu.memory) + checksum(cpu.stateBytes());
+}
+
+/**
+ * A netplay session for the ROM the CPU runs, with the settings of NETPLAY_DEFAULTS. The host sends it to the other
+ * player, and both start from it: the same program, seed, model, quirks and speed give the same game.
+ */
+export function createSession(cpu, rom, settings = {}) {
+    if (!cpu.program) {
+        throw new Error("Load a ROM before hosting");
+    }
+
+    return Object.assign({}, NETPLAY_DEFAULTS, settings, {
+        rom: rom || null,
+        program: Array.from(cpu.program),
+        seed: Random.randomSeed(),
+        model: cpu.model,
+        quirks: Object.assign({}, cpu.quirks),
+        speed: cpu.speed
+    });
+}
+
+/**
+ * Two players running the same machine in deterministic lockstep. They only exchange their keys, one 16 bit mask
+ * per frame, and the machine of each sees both players' keys together, as if they shared one keypad.
+ *
+ * The local keys are the ones the input sources hold on the CPU's keypad, which is blocked so only netplay
+ * presses its keys. Messages to the other player go to `send(message)`, messages from them come in through
+ * receive(message):
+ * - { type: "input", frame, keys }: the keys of a player for a frame.
+ * - { type: "hash", frame, hash }: stateHash at the start of a frame, once every key before it is known.
+ *
+ * Options:
+ * - onDesync({ frame, local, remote }): the hashes of a frame differ. The session stops.
+ * - onStop(): the session ended, after a desync too.
+ */
+class Netplay {
+    constructor(cpu, send, options = {}) {
+        this.cpu = cpu;
+        this.send = send;
+        this.onDesync = options.onDesync || (() => {});
+        this.onStop = options.onStop || (() => {});
+
+        // The running session, null when there is none.
+        this.session = null;
+        this.desync = null;
+    }
+
+    get active() {
+        return this.session !== null;
+    }
+
+    /**
+     * Reset the machine to the start of a session. Both players call this with the same session.
+     */
+    start(session) {
+        const cpu = this.cpu;
+
+        cpu.quirks = Object.assign({}, session.quirks);
+        cpu.setModel(session.model);
+        cpu.speed = session.speed;
+
+        // The CHIP-8X second keypad isn't shared, nobody presses it during a session.
+        for (const keypad of [cpu.keyboard, cpu.secondKeypad]) {
+            if (keypad) {
+                keypad.releaseAll();
+                keypad.blocked = true;
+            }
+        }
+
+        cpu.seed = session.seed;
+        cpu.loadProgram(Uint8Array.from(session.program));
+        cpu.seed = null;
+
+        this.session = session;
+        this.desync = null;
+
+        // Next frame to run.
+        this.frameCount = 0;
+
+        // Frame => keys of each player. Nobody presses anything in the first `delay` frames.
+        this.local = new Map();
+        this.remote = new Map();
+        for (let frame = 0; frame < session.delay; frame++) {
+            this.local.set(frame, 0);
+            this.remote.set(frame, 0);
+        }
+        // Last frame the other player's keys are known for. They arrive in order.
+        this.remoteFrame = session.delay - 1;
+
+        // Frame => { keys, snapshot, held } of frames that ran on guessed keys: the guess, the machine state and
+        // the keypad before the frame.
+        this.guesses = new Map();
+        // Earliest frame that ran on a wrong guess, null when none did.
+        this.rollbackFrom = null;
+
+        // Frame => hash, of frames not sent yet, and of frames the other player sent before this one got there.
+        this.pendingHashes = new Map();
+        this.sentHashes = new Map();
+        this.remoteHashes = new Map();
+
+        this.stalls = 0;
+        this.rollbacks = 0;
+    }
+
+    /**
+     * End the session and hand the keypad back.
+     */
+    stop() {
+        if (!this.active) {
+            return;
+        }
+
+        for (const keypad of [this.cpu.keyboard, this.cpu.secondKeypad]) {
+            if (keypad) {
+                keypad.blocked = false;
+                keypad.releaseAll();
+            }
+        }
+
+        this.session = null;
+        this.guesses = new Map();
+        this.onStop();
+    }
+
+    /**
+     * Run the next frame, when the other player's keys allow it. Called instead of CPU.runFrame for every emulated
+     * frame. Returns whether a frame ran: false while waiting for the other player.
+     */
+    frame() {
+        if (!this.active) {
+            return false;
+        }
+
+        if (this.rollbackFrom !== null) {
+            this.rollBack();
+        }
+
+        // The keys pressed now are the ones of the frame `delay` frames ahead. They go out before this frame runs,
+        // so without a delay both players still get each other's keys in time.
+        const inputFrame = this.frameCount + this.session.delay;
+        if (!this.local.has(inputFrame)) {
+            const keys = this.cpu.keyboard.heldKeys();
+            this.local.set(inputFrame, keys);
+            this.send({ type: "input", frame: inputFrame, keys: keys });
+        }
+
+        // Without the other player's keys a frame only runs on a guess, and only so far ahead.
+        if (!this.remote.has(this.frameCount) && this.frameCount - this.remoteFrame > this.session.rollback) {
+            this.stalls++;
+            return false;
+        }
+
+        this.runFrame(this.frameCount);
+        this.frameCount++;
+        this.confirm();
+
+        return true;
+    }
+
+    runFrame(frame) {
+        const cpu = this.cpu;
+
+        if (frame % this.session.hashInterval === 0) {
+            this.pendingHashes.set(frame, stateHash(cpu));
+        }
+
+        let remote = this.remote.get(frame);
+        if (remote === undefined) {
+            remote = this.remote.get(this.remoteFrame);
+            this.guesses.set(frame, { keys: remote, snapshot: cpu.snapshot(), held: this.pressedKeys() });
+        }
+
+        this.applyKeys(this.local.get(frame) | remote);
+        cpu.runFrame(this.session.speed);
+    }
+
+    /**
+     * A message from the other player.
+     */
+    receive(message) {
+        if (!this.active) {
+            return;
+        }
+
+        if (message.type === "input") {
+            this.remote.set(message.frame, message.keys);
+            this.remoteFrame = message.frame;
+
+            const guess = this.guesses.get(message.frame);
+            if (guess && guess.keys !== message.keys && (this.rollbackFrom === null || message.frame < this.rollbackFrom)) {
+                this.rollbackFrom = message.frame;
+            }
+            this.confirm();
+        } else if (message.type === "hash") {
+            this.remoteHashes.set(message.frame, message.hash);
+            this.compareHash(message.frame);
+        }
+    }
+
+    /**
+     * Run the frames since the first wrong guess again, from the snapshot before it, with the keys that came in.
+     */
+    rollBack() {
+        const from = this.rollbackFrom;
+        const guess = this.guesses.get(from);
+        this.rollbackFrom = null;
+
+        this.cpu.restore(guess.snapshot);
+        this.setPressedKeys(guess.held);
+
+        for (const frame of this.guesses.keys()) {
+            if (frame >= from) {
+                this.guesses.delete(frame);
+            }
+        }
+        for (let frame = from; frame < this.frameCount; frame++) {
+            this.runFrame(frame);
+        }
+
+        this.rollbacks++;
+        this.confirm();
+    }
+
+    /**
+     * Forget what frames with known keys no longer need, and send the hashes of frames every key before is known for.
+     */
+    confirm() {
+        // Frames from here on may still run again.
+        const unconfirmed = Math.min(this.rollbackFrom === null ? Infinity : this.rollbackFrom, this.remoteFrame + 1, this.frameCount);
+
+        for (const frame of this.guesses.keys()) {
+            if (frame < unconfirmed) {
+                this.guesses.delete(frame);
+            }
+        }
+        // The keys of the last frames stay, a guess repeats the last keys that came in.
+        for (const inputs of [this.local, this.remote]) {
+            for (const frame of inputs.keys()) {
+                if (frame < unconfirmed - 1) {
+                    inputs.delete(frame);
+                }
+            }
+        }
+
+        // The state at the start of a frame is final once the frames before it are.
+        for (const [frame, hash] of this.pendingHashes) {
+            if (frame <= unconfirmed) {
+                this.pendingHashes.delete(frame);
+                this.sentHashes.set(frame, hash);
+                this.send({ type: "hash", frame: frame, hash: hash });
+                this.compareHash(frame);
+            }
+        }
+    }
+
+    compareHash(frame) {
+        if (!this.sentHashes.has(frame) || !this.remoteHashes.has(frame)) {
+            return;
+        }
+
+        const local = this.sentHashes.get(frame);
+        const remote = this.remoteHashes.get(frame);
+        this.sentHashes.delete(frame);
+        this.remoteHashes.delete(frame);
+
+        if (local !== remote && this.active) {
+            this.desync = { frame: frame, local: local, remote: remote };
+            this.stop();
+            this.onDesync(this.desync);
+        }
+    }
+
+    /**
+     * Press and release the keypad's keys to match a mask, so Fx0A sees keys go down like it does in a single
+     * player game.
+     */
+    applyKeys(keys) {
+        const keypad = this.cpu.keyboard;
+
+        for (let key = 0; key < 16; key++) {
+            const down = (keys >> key & 1) === 1;
+            if (down && !keypad.isKeyPressed(key)) {
+                keypad.pressKey(key);
+            } else if (!down && keypad.isKeyPressed(key)) {
+                keypad.releaseKey(key);
+            }
+        }
+    }
+
+    pressedKeys() {
+        let keys = 0;
+        for (let key = 0; key < 16; key++) {
+            if (this.cpu.keyboard.isKeyPressed(key)) {
+                keys |= 1 << key;
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Put the keypad back the way it was, without anyone noticing keys go down or up.
+     */
+    setPressedKeys(keys) {
+        for (let key = 0; key < 16; key++) {
+            this.cpu.keyboard.keyPressed[key] = (keys >> key & 1) === 1;
+        }
+    }
+}
+
+export default Netplay;
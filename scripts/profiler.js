@@ -0,0 +1,215 @@
+import { lookup, decodeAt } from './decoder.js';
+import { traceCode } from './disassembler.js';
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+// Model => opcode => family name, there are only so many opcodes and a program uses few of them.
+const families = new Map();
+
+/**
+ * The instruction family of an opcode on a machine model: its mnemonic and operand templates, "ADD Vx, Vy" or
+ * "DRW Vx, Vy, n".
+ */
+export function opcodeFamily(opcode, model = "chip8") {
+    if (!families.has(model)) {
+        families.set(model, new Map());
+    }
+
+    const modelFamilies = families.get(model);
+    if (!modelFamilies.has(opcode)) {
+        const instruction = lookup(opcode, model);
+        modelFamilies.set(opcode, instruction ? instruction.mnemonic + (instruction.operands.length ? " " + instruction.operands.join(", ") : "") : "unknown");
+    }
+    return modelFamilies.get(opcode);
+}
+
+/**
+ * Execution profiler for ROM authors. While it runs, the CPU reports every instruction to it (record) and every
+ * instruction slot spent waiting in Fx0A (recordWait). It counts:
+ * - executions of every address, and of every instruction family,
+ * - reads and writes of every memory address through I,
+ * - call graph edges: 2nnn calls and the 00EE returns, with how often each was taken,
+ * - instructions, frames and Fx0A wait cycles.
+ *
+ * coverage() compares the executed addresses with the code of the ROM found by following its jumps and calls,
+ * which shows the code paths a play session never reached.
+ */
+class Profiler {
+    constructor(cpu) {
+        this.cpu = cpu;
+        this.reset();
+    }
+
+    get running() {
+        return this.cpu.profiler === this;
+    }
+
+    start() {
+        this.cpu.profiler = this;
+    }
+
+    stop() {
+        if (this.running) {
+            this.cpu.profiler = null;
+        }
+    }
+
+    /**
+     * Forget everything counted so far.
+     */
+    reset() {
+        const size = this.cpu.memory.length;
+
+        this.executions = new Uint32Array(size);
+        this.reads = new Uint32Array(size);
+        this.writes = new Uint32Array(size);
+
+        // Family name => count.
+        this.families = new Map();
+        // "type from to" => { type: "call" or "return", from, to, count }.
+        this.edges = new Map();
+
+        this.instructions = 0;
+        this.frames = 0;
+        this.waitCycles = 0;
+    }
+
+    /**
+     * The instruction `opcode` at `address` is about to execute, with the memory access of debugger.js memoryAccess.
+     */
+    record(address, opcode, access) {
+        this.instructions++;
+        this.executions[address]++;
+
+        const family = opcodeFamily(opcode, this.cpu.model);
+        this.families.set(family, (this.families.get(family) || 0) + 1);
+
+        this.count(this.reads, access.read);
+        this.count(this.writes, access.write);
+
+        if ((opcode & 0xF000) === 0x2000) {
+            this.edge("call", address, opcode & 0xFFF);
+        } else if (opcode === 0x00EE && this.cpu.stack.length) {
+            this.edge("return", address, this.cpu.stack[this.cpu.stack.length - 1]);
+        }
+    }
+
+    recordWait() {
+        this.waitCycles++;
+    }
+
+    recordFrame() {
+        this.frames++;
+    }
+
+    count(counts, range) {
+        if (range === null) {
+            return;
+        }
+
+        // A lenient out of range access only counts what is inside memory.
+        for (let address = range[0]; address <= Math.min(range[1], counts.length - 1); address++) {
+            counts[address]++;
+        }
+    }
+
+    edge(type, from, to) {
+        const key = type + " " + from + " " + to;
+        const edge = this.edges.get(key);
+
+        if (edge) {
+            edge.count++;
+        } else {
+            this.edges.set(key, { type: type, from: from, to: to, count: 1 });
+        }
+    }
+
+    /**
+     * Every executed address with its count and instruction, most executed first.
+     */
+    hotSpots() {
+        const spots = [];
+
+        for (let address = 0; address < this.executions.length; address++) {
+            if (this.executions[address]) {
+                spots.push({
+                    address: address,
+                    count: this.executions[address],
+                    share: this.executions[address] / this.instructions,
+                    text: decodeAt(this.cpu.memory, address, this.cpu.model).text
+                });
+            }
+        }
+
+        return spots.sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Code of the loaded ROM that ran and didn't run.
+     * Returns { code, executed, missed: [[start, end], ...] }: the number of instructions found in the ROM, how many
+     * of those executed, and the address ranges of the ones that never did.
+     */
+    coverage() {
+        if (!this.cpu.program) {
+            return { code: 0, executed: 0, missed: [] };
+        }
+
+        const { code } = traceCode(this.cpu.program, this.cpu.programStart, this.cpu.model);
+        const addresses = Array.from(code.keys()).sort((a, b) => a - b);
+        const missed = [];
+        let executed = 0;
+
+        for (const address of addresses) {
+            if (this.executions[address]) {
+                executed++;
+                continue;
+            }
+
+            // Instructions that follow each other make one range.
+            const last = missed[missed.length - 1];
+            const end = address + code.get(address).size - 1;
+            if (last && last[1] + 1 === address) {
+                last[1] = end;
+            } else {
+                missed.push([address, end]);
+            }
+        }
+
+        return { code: addresses.length, executed: executed, missed: missed };
+    }
+
+    /**
+     * Everything counted, as JSON friendly data. Address keyed counts only list the addresses that were used.
+     */
+    toJSON() {
+        const sparse = (counts) => {
+            const result = {};
+            counts.forEach((count, address) => {
+                if (count) {
+                    result[hex(address, 3)] = count;
+                }
+            });
+            return result;
+        };
+
+        const coverage = this.coverage();
+
+        return {
+            instructions: this.instructions,
+            frames: this.frames,
+            waitCycles: this.waitCycles,
+            executions: sparse(this.executions),
+            families: Object.fromEntries(Array.from(this.families).sort((a, b) => b[1] - a[1])),
+            reads: sparse(this.reads),
+            writes: sparse(this.writes),
+            calls: Array.from(this.edges.values(), (edge) => ({ type: edge.type, from: hex(edge.from, 3), to: hex(edge.to, 3), count: edge.count })),
+            coverage: {
+                code: coverage.code,
+                executed: coverage.executed,
+                missed: coverage.missed.map(([start, end]) => hex(start, 3) + "-" + hex(end, 3))
+            }
+        };
+    }
+}
+
+export default Profiler;
@@ -0,0 +1,38 @@
+/**
+ * Behaviours that differ between chip-8 platforms. Each quirk can be switched on its own:
+ * - shift:  8xy6/8xyE shift Vx in place and ignore Vy. Off: Vy is shifted and stored in Vx (COSMAC VIP).
+ * - memory: Fx55/Fx65 increment I by x + 1. Off: I is left unchanged.
+ * - jump:   Bnnn jumps to nnn + Vx (x is the high nibble of nnn). Off: nnn + V0.
+ * - logic:  8xy1/8xy2/8xy3 reset VF to 0. Off: VF is left alone.
+ * - wrap:   sprites wrap around to the other side of the screen. Off: pixels past the edge are clipped.
+ * - vblank: Dxyn waits for the next frame before execution continues, so at most one sprite is drawn per frame.
+ */
+export const PRESETS = {
+    // What this emulator always did before quirks were configurable.
+    default: { shift: true, memory: false, jump: false, logic: false, wrap: true, vblank: false },
+    vip: { shift: false, memory: true, jump: false, logic: true, wrap: false, vblank: true },
+    chip48: { shift: true, memory: true, jump: true, logic: false, wrap: false, vblank: false },
+    schip: { shift: true, memory: false, jump: true, logic: false, wrap: false, vblank: false },
+    xochip: { shift: false, memory: true, jump: false, logic: false, wrap: true, vblank: false }
+};
+
+export const PRESET_NAMES = {
+    default: "Default",
+    vip: "COSMAC VIP",
+    chip48: "CHIP-48",
+    schip: "SUPER-CHIP",
+    xochip: "XO-CHIP"
+};
+
+export const QUIRK_NAMES = Object.keys(PRESETS.default);
+
+/**
+ * A new quirks object from a preset name, with single quirks overridden by `overrides`.
+ */
+export function createQuirks(preset, overrides) {
+    if (preset && !PRESETS[preset]) {
+        throw new Error("Unknown quirk preset " + preset);
+    }
+
+    return Object.assign({}, PRESETS[preset || "default"], overrides);
+}
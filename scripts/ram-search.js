@@ -0,0 +1,80 @@
+/**
+ * Comparisons between the value of an address now and in the previous snapshot, `value` being the one given to filter.
+ */
+export const COMPARISONS = {
+    equal: { name: "Unchanged", test: (now, before) => now === before },
+    changed: { name: "Changed", test: (now, before) => now !== before },
+    increased: { name: "Increased", test: (now, before) => now > before },
+    decreased: { name: "Decreased", test: (now, before) => now < before },
+    value: { name: "Equal to", test: (now, before, value) => now === value }
+};
+
+/**
+ * Finds the address of a value in the memory of a running game, like the lives counter, by narrowing down the
+ * candidates: start() takes a snapshot of memory with every address a candidate, and every filter() keeps the
+ * candidates whose value compares with the previous snapshot the way it asks, then takes a new snapshot.
+ *
+ * Lose a life, filter on "decreased", play a bit, filter on "unchanged", and so on until a few addresses are left.
+ */
+class RamSearch {
+    constructor(cpu) {
+        this.cpu = cpu;
+        this.reset();
+    }
+
+    /**
+     * Forget the search. There are no candidates until start().
+     */
+    reset() {
+        this.snapshot = null;
+        this.candidates = [];
+        this.filters = 0;
+    }
+
+    get started() {
+        return this.snapshot !== null;
+    }
+
+    /**
+     * Start a search with every address of memory, or of `start` to `end` (inclusive), as a candidate.
+     */
+    start(start = 0, end = this.cpu.addressSpace - 1) {
+        this.candidates = [];
+        for (let address = start; address <= end; address++) {
+            this.candidates.push(address);
+        }
+
+        this.snapshot = this.cpu.memory.slice();
+        this.filters = 0;
+    }
+
+    /**
+     * Keep the candidates for which `comparison` (a COMPARISONS name) holds. Returns how many are left.
+     */
+    filter(comparison, value) {
+        if (!this.started) {
+            throw new Error("Start a search first");
+        }
+        if (!COMPARISONS[comparison]) {
+            throw new Error("Unknown comparison " + comparison);
+        }
+
+        const test = COMPARISONS[comparison].test;
+        const memory = this.cpu.memory;
+
+        this.candidates = this.candidates.filter((address) => test(memory[address], this.snapshot[address], value));
+        this.snapshot = memory.slice();
+        this.filters++;
+
+        return this.candidates.length;
+    }
+
+    /**
+     * The value of a candidate in the last snapshot.
+     */
+    previous(address) {
+        return this.snapshot[address];
+    }
+}
+
+export default RamSearch;
@@ -0,0 +1,32 @@
+/**
+ * A small seedable random number generator (mulberry32) for Cxkk.
+ * Its whole state is one 32 bit number, which is part of the machine state: snapshots, save states and
+ * movies store it, so the same seed always gives the same game.
+ */
+class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * A seed to start from when nobody asked for a particular one.
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * The next random byte, 0 to 255.
+     */
+    nextByte() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) >>> 24;
+    }
+}
+
+export default Random;
@@ -1,70 +1,243 @@
-class Renderer {
-    constructor(scale) {
-        this.cols = 64;
-        this.rows = 32;
+import Display from './display.js';
 
-        this.scale = scale;
+/**
+ * Colour palettes: the background and a colour for every pixel value, plane 1, plane 2 and both planes (XO-CHIP).
+ */
+export const PALETTES = {
+    classic: { name: "Classic", background: "#ffffff", colors: ["#000000", "#888888", "#444444"] },
+    green: { name: "Green phosphor", background: "#001100", colors: ["#33ff66", "#117733", "#99ffbb"] },
+    amber: { name: "Amber", background: "#140b00", colors: ["#ffb000", "#995c00", "#ffd680"] },
+    lcd: { name: "LCD", background: "#9bbc0f", colors: ["#0f380f", "#306230", "#8bac0f"] },
+    inverted: { name: "White on black", background: "#000000", colors: ["#ffffff", "#777777", "#bbbbbb"] }
+};
+
+/**
+ * Red, green and blue of a "#rgb" or "#rrggbb" colour.
+ */
+export function parseColor(color) {
+    let hex = color.replace("#", "");
+    if (hex.length === 3) {
+        hex = hex.split("").map((digit) => digit + digit).join("");
+    }
+    if (!/^[0-9a-f]{6}$/i.test(hex)) {
+        throw new Error("Invalid colour " + color);
+    }
+
+    const value = parseInt(hex, 16);
+    return [value >> 16, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * CHIP-8X colours: the 8 colours of the zones (red, blue and green bits) and the 4 backgrounds 02A0 steps through.
+ * The palette doesn't apply to CHIP-8X, its colours come from the colour board.
+ */
+export const CHIP8X_COLORS = ["#000000", "#ff0000", "#0000ff", "#ff00ff", "#00ff00", "#ffff00", "#00ffff", "#ffffff"];
+export const CHIP8X_BACKGROUNDS = ["#000080", "#000000", "#008000", "#800000"];
 
-        this.canvas = document.querySelector('canvas');
+/**
+ * Draws the framebuffer on the page canvas.
+ *
+ * Every chip-8 pixel is one pixel of a small ImageData (64x32, 64x64 or 128x64). A render writes the colours into it,
+ * puts it on an offscreen canvas and scales that up onto the page canvas in a single drawImage.
+ * Frames in which the display didn't change are skipped.
+ *
+ * Options:
+ * - scale: size of a lo-res pixel on the canvas, or "fit" to fill the window width (and height) while keeping the aspect ratio.
+ * - palette: a PALETTES entry or { background, colors }.
+ * - phosphor: number of frames a pixel that was switched off takes to fade out, 0 for none.
+ *   Sprites that are erased and drawn again right away (most chip-8 games) then don't flicker.
+ * - scanlines / grid: draw dark lines between the pixel rows, or between all pixels.
+ */
+class Renderer extends Display {
+    constructor(scale, options = {}) {
+        super();
+
+        this.canvas = options.canvas || document.querySelector('canvas');
         this.ctx = this.canvas.getContext('2d');
 
-        this.canvas.width = this.cols * this.scale;
-        this.canvas.height = this.rows * this.scale;
+        this.buffer = document.createElement('canvas');
+        this.bufferCtx = this.buffer.getContext('2d');
+
+        this.phosphor = options.phosphor || 0;
+        this.scanlines = options.scanlines || false;
+        this.grid = options.grid || false;
 
-        this.display = new Array(this.cols * this.rows);
+        this.createImage();
+        this.setPalette(options.palette || PALETTES.classic);
+        this.setScale(scale);
+
+        window.addEventListener('resize', () => {
+            if (this.scale === 'fit') {
+                this.resize();
+            }
+        });
     }
 
-    setPixel(x, y) {
-        if (x > this.cols) {
-            x -= this.cols;
-        } else if (x < 0) {
-            x += this.cols;
-        }
-        
-        if (y > this.rows) {
-            y -= this.rows;
-        } else if (y < 0) {
-            y += this.rows;
+    setResolution(hires) {
+        super.setResolution(hires);
+        this.createImage();
+    }
+
+    setModel(model) {
+        super.setModel(model);
+        this.resize();
+    }
+
+    /**
+     * Use a palette: { background, colors: [plane 1, plane 2, both planes] } as "#rrggbb" colours.
+     */
+    setPalette(palette) {
+        this.palette = { background: palette.background, colors: palette.colors.slice() };
+
+        // RGB of every pixel value, 0 is the background.
+        this.rgb = [palette.background].concat(palette.colors).map(parseColor);
+        this.dirty = true;
+    }
+
+    /**
+     * Size of a lo-res pixel in canvas pixels, or "fit" to fill the window.
+     */
+    setScale(scale) {
+        this.scale = scale;
+        this.resize();
+    }
+
+    setPhosphor(frames) {
+        this.phosphor = frames;
+        this.dirty = true;
+    }
+
+    setEffects(scanlines, grid) {
+        this.scanlines = scanlines;
+        this.grid = grid;
+        this.dirty = true;
+    }
+
+    /**
+     * Size the canvas for the scale. The canvas always has the lo-res aspect ratio (2:1, or 1:1 on HiRes CHIP-8),
+     * hi-res pixels are half as big.
+     */
+    resize() {
+        let pixelSize = this.scale;
+
+        if (this.scale === 'fit') {
+            const rect = this.canvas.getBoundingClientRect();
+            const width = window.innerWidth - rect.left * 2;
+            const height = window.innerHeight - rect.top;
+
+            // Whole canvas pixels per lo-res pixel, so every chip-8 pixel is the same size.
+            pixelSize = Math.max(1, Math.floor(Math.min(width / this.loresCols, height / this.loresRows)));
         }
 
-        let pixelLoc = x + (y * this.cols);
+        this.canvas.width = this.loresCols * pixelSize;
+        this.canvas.height = this.loresRows * pixelSize;
+        this.dirty = true;
+    }
+
+    /**
+     * The ImageData the pixels are written to, and the fade state of every pixel for the phosphor mode.
+     */
+    createImage() {
+        this.buffer.width = this.cols;
+        this.buffer.height = this.rows;
+        this.image = this.bufferCtx.createImageData(this.cols, this.rows);
+
+        // One 32 bit word per pixel, in the byte order of the platform.
+        this.pixels = new Uint32Array(this.image.data.buffer);
+        this.littleEndian = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
 
-        this.display[pixelLoc] ^= 1;
+        // Frames since a pixel was switched off, and the colour (an index into the colours) it had before.
+        this.age = new Uint8Array(this.cols * this.rows).fill(0xFF);
+        this.lastValue = new Uint8Array(this.cols * this.rows);
 
-        return !this.display[pixelLoc];
+        this.dirty = true;
     }
 
-    clear() {
-        this.display = new Array(this.cols * this.rows);
+    /**
+     * A colour as one word of the Uint32Array, fully opaque.
+     */
+    pack([r, g, b]) {
+        if (this.littleEndian) {
+            return ((0xFF << 24) | (b << 16) | (g << 8) | r) >>> 0;
+        }
+        return ((r << 24) | (g << 16) | (b << 8) | 0xFF) >>> 0;
     }
 
     render() {
-        // Clears the display every render cycle. Typical for a render loop.
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    
-        // Loop through our display array
-        for (let i = 0; i < this.cols * this.rows; i++) {
-            // Grabs the x position of the pixel based off of `i`
-            let x = (i % this.cols) * this.scale;
-    
-            // Grabs the y position of the pixel based off of `i`
-            let y = Math.floor(i / this.cols) * this.scale;
-    
-            // If the value at this.display[i] == 1, then draw a pixel.
-            if (this.display[i]) {
-                // Set the pixel color to black
-                this.ctx.fillStyle = '#000';
-    
-                // Place a pixel at position (x, y) with a width and height of scale
-                this.ctx.fillRect(x, y, this.scale, this.scale);
+        // Fading pixels change every frame, even when the display doesn't.
+        if (!this.dirty && !this.fading) {
+            return;
+        }
+
+        this.dirty = false;
+        this.fading = false;
+
+        // CHIP-8X colours pixels by their zone, the others by their value.
+        const zones = this.zoneColors !== null;
+        const rgb = zones ? CHIP8X_COLORS.map(parseColor) : this.rgb;
+        const packed = rgb.map((color) => this.pack(color));
+        const background = zones ? parseColor(CHIP8X_BACKGROUNDS[this.background]) : this.rgb[0];
+        const packedBackground = this.pack(background);
+
+        for (let i = 0; i < this.display.length; i++) {
+            const value = this.display[i];
+
+            if (value) {
+                this.age[i] = 0;
+                this.lastValue[i] = zones ? this.zoneColor(i) : value;
+                this.pixels[i] = packed[this.lastValue[i]];
+                continue;
+            }
+
+            // Off: straight to the background, or a step closer to it in phosphor mode.
+            if (this.age[i] < this.phosphor) {
+                this.age[i]++;
+            } else {
+                this.age[i] = 0xFF;
+            }
+
+            if (this.age[i] >= this.phosphor) {
+                this.pixels[i] = packedBackground;
+                continue;
             }
+
+            const color = rgb[this.lastValue[i]];
+            const fade = this.age[i] / this.phosphor;
+            this.pixels[i] = this.pack(color.map((channel, n) => Math.round(channel + (background[n] - channel) * fade)));
+            this.fading = true;
         }
+
+        this.bufferCtx.putImageData(this.image, 0, 0);
+
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(this.buffer, 0, 0, this.canvas.width, this.canvas.height);
+
+        this.drawEffects();
     }
 
-    testRender() {
-        this.setPixel(0, 0);
-        this.setPixel(5, 2);
+    /**
+     * Scanlines and grid lines, a third of a pixel wide, darkening whatever is below them.
+     */
+    drawEffects() {
+        if (!this.scanlines && !this.grid) {
+            return;
+        }
+
+        const size = this.canvas.width / this.cols;
+        const line = Math.max(1, Math.floor(size / 3));
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+
+        for (let y = 1; y <= this.rows; y++) {
+            this.ctx.fillRect(0, Math.round(y * size) - line, this.canvas.width, line);
+        }
+
+        if (this.grid) {
+            for (let x = 1; x <= this.cols; x++) {
+                this.ctx.fillRect(Math.round(x * size) - line, 0, line, this.canvas.height);
+            }
+        }
     }
 }
 
-export default Renderer;
\ No newline at end of file
+export default Renderer;
@@ -0,0 +1,206 @@
+/**
+ * Ring buffer of per-frame machine snapshots to step the game backwards.
+ *
+ * Storing a full snapshot every frame would cost 4KB+ per frame, so only every `keyframeInterval`th frame is a full copy (keyframe).
+ * The frames in between only store the memory bytes and pixels that differ from their keyframe.
+ *
+ * Options:
+ * - frames: how many frames can be rewound at most (the rewind window, default 10 seconds at 60fps).
+ * - memoryBudget: rough upper bound in bytes for everything stored, the oldest frames are dropped first.
+ * - keyframeInterval: frames between two keyframes.
+ */
+class RewindBuffer {
+    constructor(options = {}) {
+        this.frames = options.frames || 600;
+        this.memoryBudget = options.memoryBudget || 4 * 1024 * 1024;
+        this.keyframeInterval = options.keyframeInterval || 60;
+
+        this.clear();
+    }
+
+    clear() {
+        this.entries = new Array(this.frames);
+        // Index of the oldest entry and number of entries in the ring.
+        this.start = 0;
+        this.length = 0;
+
+        this.bytes = 0;
+
+        // The keyframe new frames are stored against, and how many frames were stored since.
+        this.keyframe = null;
+        this.sinceKeyframe = 0;
+    }
+
+    /**
+     * Change the window length or memory budget. Recorded frames are dropped.
+     */
+    configure(options) {
+        this.frames = options.frames || this.frames;
+        this.memoryBudget = options.memoryBudget || this.memoryBudget;
+        this.keyframeInterval = options.keyframeInterval || this.keyframeInterval;
+
+        this.clear();
+    }
+
+    /**
+     * Store a snapshot from CPU.snapshot() as the newest frame.
+     */
+    record(snapshot) {
+        let entry;
+
+        if (this.keyframe === null || this.sinceKeyframe >= this.keyframeInterval) {
+            entry = { keyframe: null, state: snapshot, bytes: this.snapshotSize(snapshot) };
+            this.keyframe = entry;
+            this.sinceKeyframe = 0;
+        } else {
+            entry = this.delta(this.keyframe, snapshot);
+            this.sinceKeyframe++;
+        }
+
+        // Make room: a full ring drops its oldest frame, and so does a ring over budget.
+        if (this.length === this.frames) {
+            this.dropOldest();
+        }
+
+        this.entries[(this.start + this.length) % this.frames] = entry;
+        this.length++;
+        this.bytes += entry.bytes;
+
+        while (this.bytes > this.memoryBudget && this.length > 1) {
+            this.dropOldest();
+        }
+    }
+
+    /**
+     * Remove the newest frame and return it as a full snapshot for CPU.restore(), or null when nothing is left.
+     */
+    pop() {
+        if (this.length === 0) {
+            return null;
+        }
+
+        this.length--;
+        const index = (this.start + this.length) % this.frames;
+        const entry = this.entries[index];
+        this.entries[index] = undefined;
+        this.bytes -= entry.bytes;
+
+        this.findKeyframe();
+
+        return entry.keyframe === null ? this.copy(entry.state) : this.apply(entry);
+    }
+
+    /**
+     * Number of frames that can currently be rewound.
+     */
+    get size() {
+        return this.length;
+    }
+
+    dropOldest() {
+        const entry = this.entries[this.start];
+        this.entries[this.start] = undefined;
+        this.start = (this.start + 1) % this.frames;
+        this.length--;
+        this.bytes -= entry.bytes;
+
+        // Deltas keep a reference to their keyframe, so dropping a keyframe from the ring is safe.
+    }
+
+    /**
+     * After a pop, new frames have to be stored against the keyframe of what is now the newest frame.
+     */
+    findKeyframe() {
+        this.keyframe = null;
+        this.sinceKeyframe = 0;
+
+        for (let n = this.length - 1; n >= 0; n--) {
+            const entry = this.entries[(this.start + n) % this.frames];
+            if (entry.keyframe === null) {
+                this.keyframe = entry;
+                return;
+            }
+            this.keyframe = entry.keyframe;
+            this.sinceKeyframe++;
+        }
+    }
+
+    delta(keyframe, snapshot) {
+        const memory = this.diff(keyframe.state.memory, snapshot.memory);
+        const display = this.diff(keyframe.state.display, snapshot.display);
+
+        const state = Object.assign({}, snapshot);
+        delete state.memory;
+        delete state.display;
+
+        return {
+            keyframe: keyframe,
+            state: state,
+            memory: memory,
+            display: display,
+            // The display size changes with the SUPER-CHIP resolution, so it can differ from the keyframe.
+            displayLength: snapshot.display.length,
+            bytes: 64 + state.stack.length * 2 + memory.indexes.byteLength + memory.values.byteLength +
+                display.indexes.byteLength + display.values.byteLength
+        };
+    }
+
+    /**
+     * Positions and new values of the bytes in `current` that differ from `base`.
+     */
+    diff(base, current) {
+        const indexes = [];
+        for (let i = 0; i < current.length; i++) {
+            if (base[i] !== current[i]) {
+                indexes.push(i);
+            }
+        }
+
+        const values = new Uint8Array(indexes.length);
+        for (let n = 0; n < indexes.length; n++) {
+            values[n] = current[indexes[n]];
+        }
+
+        return { indexes: Uint16Array.from(indexes), values: values };
+    }
+
+    apply(entry) {
+        const snapshot = Object.assign({}, entry.state, {
+            memory: entry.keyframe.state.memory.slice(),
+            display: new Uint8Array(entry.displayLength),
+            v: entry.state.v.slice(),
+            rpl: entry.state.rpl.slice(),
+            audioPattern: entry.state.audioPattern ? entry.state.audioPattern.slice() : null,
+            stack: entry.state.stack.slice()
+        });
+
+        // Pixels past the end of the keyframe display are always part of the delta.
+        snapshot.display.set(entry.keyframe.state.display.subarray(0, entry.displayLength));
+
+        for (let n = 0; n < entry.memory.indexes.length; n++) {
+            snapshot.memory[entry.memory.indexes[n]] = entry.memory.values[n];
+        }
+        for (let n = 0; n < entry.display.indexes.length; n++) {
+            snapshot.display[entry.display.indexes[n]] = entry.display.values[n];
+        }
+
+        return snapshot;
+    }
+
+    copy(snapshot) {
+        return Object.assign({}, snapshot, {
+            memory: snapshot.memory.slice(),
+            display: snapshot.display.slice(),
+            v: snapshot.v.slice(),
+            rpl: snapshot.rpl.slice(),
+            audioPattern: snapshot.audioPattern ? snapshot.audioPattern.slice() : null,
+            stack: snapshot.stack.slice()
+        });
+    }
+
+    snapshotSize(snapshot) {
+        return 64 + snapshot.memory.length + snapshot.display.length + snapshot.stack.length * 2;
+    }
+}
+
+export default RewindBuffer;
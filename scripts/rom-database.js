@@ -0,0 +1,236 @@
+import { sha1 } from './checksum.js';
+import { PRESETS, QUIRK_NAMES, createQuirks } from './quirks.js';
+import { PALETTES } from './renderer.js';
+import { MODELS } from './models.js';
+
+/**
+ * Settings per ROM, keyed by the SHA-1 of the ROM bytes, so a ROM is recognised whatever its file is called.
+ * roms/metadata.json is the bundled database, entries the user saves are kept in a Web Storage object and win
+ * over the bundled ones. Exported databases are the same JSON as the bundled one:
+ *
+ * {
+ *     format: "ts-chip8-metadata", version: 1,
+ *     roms: {
+ *         "6f6509f3...": {
+ *             title: "Blitz",
+ *             platform: "vip",                       quirk preset the ROM was written for, see quirks.js
+ *             model: "chip8",                        machine model, see models.js (optional, xochip for the xochip
+ *                                                    platform and chip8 for the others)
+ *             speed: 10,                             instructions per frame
+ *             quirks: { wrap: false },               quirks that differ from the platform (optional)
+ *             keys: { keyboard: { Space: 5 } },      bindings on top of the default ones, see bindings.js (optional)
+ *             controls: { "5": "Drop a bomb" },      what the chip-8 keys do (optional)
+ *             palette: "amber"                       a PALETTES name, or { background, colors } (optional)
+ *         }
+ *     }
+ * }
+ */
+const FORMAT = "ts-chip8-metadata";
+const VERSION = 1;
+
+const STORAGE_KEY = "chip8.metadata";
+
+/**
+ * A checked copy of an entry. Throws when a field has the wrong type or an unknown value.
+ */
+export function validateEntry(entry) {
+    const fail = (message) => {
+        throw new Error("Invalid ROM entry" + (entry && entry.title ? " " + entry.title : "") + ": " + message);
+    };
+
+    if (typeof entry !== "object" || entry === null) {
+        fail("not an object");
+    }
+    if (typeof entry.title !== "string" || entry.title === "") {
+        fail("no title");
+    }
+    if (!PRESETS[entry.platform]) {
+        fail("unknown platform " + entry.platform);
+    }
+    if (entry.model !== undefined && !MODELS[entry.model]) {
+        fail("unknown model " + entry.model);
+    }
+    if (entry.speed !== undefined && !(Number.isInteger(entry.speed) && entry.speed > 0)) {
+        fail("speed has to be a number of instructions per frame");
+    }
+    for (const quirk of Object.keys(entry.quirks || {})) {
+        if (!QUIRK_NAMES.includes(quirk) || typeof entry.quirks[quirk] !== "boolean") {
+            fail("unknown quirk " + quirk);
+        }
+    }
+    for (const device of Object.keys(entry.keys || {})) {
+        if (device !== "keyboard" && device !== "gamepad") {
+            fail("keys are bound for the keyboard and the gamepad, not " + device);
+        }
+        for (const key of Object.values(entry.keys[device])) {
+            if (!(Number.isInteger(key) && key >= 0 && key <= 0xF)) {
+                fail("keys have to press chip-8 keys 0 to 15");
+            }
+        }
+    }
+    for (const key of Object.keys(entry.controls || {})) {
+        if (!/^[0-9A-F]$/i.test(key)) {
+            fail("controls describe chip-8 keys 0 to F, not " + key);
+        }
+    }
+    if (entry.palette !== undefined && !PALETTES[entry.palette] && !(entry.palette && entry.palette.background && Array.isArray(entry.palette.colors))) {
+        fail("unknown palette " + entry.palette);
+    }
+
+    const copy = JSON.parse(JSON.stringify(entry));
+    if (copy.controls) {
+        // Keys are looked up as upper case hex digits.
+        copy.controls = Object.fromEntries(Object.entries(copy.controls).map(([key, text]) => [key.toUpperCase(), String(text)]));
+    }
+    return copy;
+}
+
+/**
+ * The quirks an entry asks for: its platform preset with its own quirks on top.
+ */
+export function entryQuirks(entry) {
+    return createQuirks(entry.platform, entry.quirks);
+}
+
+/**
+ * The machine model an entry runs on. XO-CHIP ROMs need its 64KB of memory.
+ */
+export function entryModel(entry) {
+    return entry.model || (entry.platform === "xochip" ? "xochip" : "chip8");
+}
+
+/**
+ * The palette an entry asks for, null when it doesn't ask for one.
+ */
+export function entryPalette(entry) {
+    if (entry.palette === undefined) {
+        return null;
+    }
+    return typeof entry.palette === "string" ? PALETTES[entry.palette] : entry.palette;
+}
+
+class RomDatabase {
+    constructor(storage) {
+        this.storage = storage;
+
+        // SHA-1 => entry, the bundled database and the user's own entries.
+        this.bundled = {};
+        this.user = {};
+
+        // Why stored entries were left out, null when they were all fine.
+        this.storageError = null;
+
+        const text = this.storage.getItem(STORAGE_KEY);
+        if (text !== null) {
+            this.loadStored(text);
+        }
+    }
+
+    /**
+     * Take the user's entries from storage. They are checked like imported ones, but one broken entry (or broken
+     * storage) only loses that entry rather than the page.
+     */
+    loadStored(text) {
+        let roms;
+        try {
+            roms = JSON.parse(text);
+        } catch (error) {
+            this.storageError = "Stored ROM entries are not JSON";
+            return;
+        }
+
+        for (const [hash, entry] of Object.entries(roms || {})) {
+            try {
+                Object.assign(this.user, this.parse({ format: FORMAT, version: VERSION, roms: { [hash]: entry } }));
+            } catch (error) {
+                this.storageError = error.message;
+            }
+        }
+    }
+
+    /**
+     * Use a parsed database (roms/metadata.json) as the bundled one.
+     */
+    setBundled(database) {
+        this.bundled = this.parse(database);
+    }
+
+    hash(program) {
+        return sha1(program);
+    }
+
+    /**
+     * The entry of a ROM by its SHA-1, the user's own one when there is one. Null for unknown ROMs.
+     */
+    entry(hash) {
+        return this.user[hash] || this.bundled[hash] || null;
+    }
+
+    /**
+     * Whether the entry of a ROM is the user's own.
+     */
+    isUserEntry(hash) {
+        return this.user[hash] !== undefined;
+    }
+
+    /**
+     * Save the user's own entry for a ROM, instead of the bundled one.
+     */
+    save(hash, entry) {
+        this.user[hash] = validateEntry(entry);
+        this.store();
+    }
+
+    /**
+     * Forget the user's own entry for a ROM, the bundled one applies again.
+     */
+    forget(hash) {
+        delete this.user[hash];
+        this.store();
+    }
+
+    store() {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.user));
+    }
+
+    /**
+     * Every entry, the user's own ones included, as JSON text.
+     */
+    exportText() {
+        return JSON.stringify({ format: FORMAT, version: VERSION, roms: Object.assign({}, this.bundled, this.user) }, null, 2);
+    }
+
+    /**
+     * Save all entries of an exported database as the user's own. Returns how many there were.
+     * Nothing is saved when any entry is invalid.
+     */
+    importText(text) {
+        const roms = this.parse(JSON.parse(text));
+
+        Object.assign(this.user, roms);
+        this.store();
+
+        return Object.keys(roms).length;
+    }
+
+    parse(database) {
+        if (!database || database.format !== FORMAT) {
+            throw new Error("Not a chip-8 ROM database");
+        }
+        if (database.version > VERSION) {
+            throw new Error("ROM database version " + database.version + " is not supported");
+        }
+
+        const roms = {};
+        for (const [hash, entry] of Object.entries(database.roms || {})) {
+            if (!/^[0-9a-f]{40}$/.test(hash)) {
+                throw new Error("Invalid ROM database: " + hash + " is not a SHA-1");
+            }
+            roms[hash] = validateEntry(entry);
+        }
+
+        return roms;
+    }
+}
+
+export default RomDatabase;
@@ -0,0 +1,65 @@
+/**
+ * Grab ROMs over HTTP.
+ * In this project they will be located in the roms folder next to index.html.
+ * roms/index.json lists them with their metadata, see loadLibrary.
+ */
+class RomLoader {
+    constructor(basePath) {
+        this.basePath = basePath || "roms/";
+    }
+
+    /**
+     * Resolves with the contents of the ROM in an 8-bit array.
+     * Rejects when the request fails or the server answers with an error (404 for a missing ROM).
+     */
+    load(romName) {
+        return this.request(romName, "arraybuffer").then((response) => {
+            // Store contents in 8-bit array
+            return new Uint8Array(response);
+        });
+    }
+
+    /**
+     * Resolves with the list of ROMs from roms/index.json:
+     * [{ file, title, author, controls, speed }], speed being the recommended instructions per frame.
+     */
+    loadLibrary() {
+        return this.request("index.json", "json").then((library) => {
+            if (!Array.isArray(library)) {
+                throw new Error("roms/index.json is not a list of ROMs");
+            }
+            return library;
+        });
+    }
+
+    /**
+     * Resolves with the bundled ROM metadata database from roms/metadata.json, see rom-database.js.
+     */
+    loadDatabase() {
+        return this.request("metadata.json", "json");
+    }
+
+    request(fileName, responseType) {
+        return new Promise((resolve, reject) => {
+            const request = new XMLHttpRequest;
+
+            request.onload = () => {
+                if (request.status !== 200) {
+                    reject(new Error("Could not load " + fileName + ": " + request.status + " " + request.statusText));
+                } else if (request.response === null) {
+                    reject(new Error("Could not read " + fileName));
+                } else {
+                    resolve(request.response);
+                }
+            }
+            request.onerror = () => reject(new Error("Could not load " + fileName + ": network error"));
+
+            request.open("GET", this.basePath + fileName);
+            request.responseType = responseType;
+
+            request.send();
+        });
+    }
+}
+
+export default RomLoader;
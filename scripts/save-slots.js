@@ -0,0 +1,67 @@
+import { serialize, deserialize } from './save-state.js';
+
+/**
+ * Numbered save slots per ROM, kept in a Web Storage object (localStorage in the browser).
+ * Each slot holds the text from save-state.js, so a slot can be exported to a file as it is.
+ */
+class SaveSlots {
+    constructor(cpu, storage, count) {
+        this.cpu = cpu;
+        this.storage = storage;
+        this.count = count || 4;
+
+        // Name of the running ROM, slots are kept separately for every ROM.
+        this.rom = null;
+
+        // Why states can't be loaded right now, null when they can.
+        this.blocked = null;
+    }
+
+    key(slot) {
+        return "chip8.save." + this.rom + "." + slot;
+    }
+
+    has(slot) {
+        return this.storage.getItem(this.key(slot)) !== null;
+    }
+
+    save(slot) {
+        this.storage.setItem(this.key(slot), serialize(this.cpu.snapshot(), this.rom));
+    }
+
+    load(slot) {
+        const text = this.storage.getItem(this.key(slot));
+
+        if (text === null) {
+            throw new Error("Save slot " + slot + " is empty");
+        }
+
+        this.loadText(text);
+    }
+
+    /**
+     * The stored text of a slot, to export it as a file.
+     */
+    exportText(slot) {
+        return this.storage.getItem(this.key(slot));
+    }
+
+    /**
+     * Restore a state from text, for example an imported file. States from other ROMs are refused.
+     */
+    loadText(text) {
+        if (this.blocked !== null) {
+            throw new Error(this.blocked);
+        }
+
+        const snapshot = deserialize(text);
+
+        if (snapshot.rom && this.rom && snapshot.rom !== this.rom) {
+            throw new Error("This save state belongs to " + snapshot.rom);
+        }
+
+        this.cpu.restore(snapshot);
+    }
+}
+
+export default SaveSlots;
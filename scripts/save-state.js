@@ -0,0 +1,141 @@
+/**
+ * Turns CPU snapshots into text and back, so they can be stored or shared as files.
+ *
+ * The format is JSON with a version number. Memory and display are the big parts,
+ * so they are stored as base64: memory byte for byte without the trailing zeros (most of the 64KB is empty),
+ * the display packed 8 pixels per byte, one bitplane after the other.
+ */
+const FORMAT = "ts-chip8-state";
+const VERSION = 5;
+
+function toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// 1 pixel per byte => 8 pixels per byte, left most pixel in the highest bit.
+// `planes` bitplanes are stored one after the other.
+function packPixels(pixels, planes) {
+    const planeBytes = Math.ceil(pixels.length / 8);
+    const packed = new Uint8Array(planeBytes * planes);
+    for (let plane = 0; plane < planes; plane++) {
+        for (let i = 0; i < pixels.length; i++) {
+            if (pixels[i] & (1 << plane)) {
+                packed[(plane * planeBytes) + (i >> 3)] |= 0x80 >> (i & 7);
+            }
+        }
+    }
+    return packed;
+}
+
+function unpackPixels(packed, length, planes) {
+    const planeBytes = Math.ceil(length / 8);
+    const pixels = new Uint8Array(length);
+    for (let plane = 0; plane < planes; plane++) {
+        for (let i = 0; i < length; i++) {
+            pixels[i] |= ((packed[(plane * planeBytes) + (i >> 3)] >> (7 - (i & 7))) & 1) << plane;
+        }
+    }
+    return pixels;
+}
+
+function trimZeros(bytes) {
+    let length = bytes.length;
+    while (length > 0 && bytes[length - 1] === 0) {
+        length--;
+    }
+    return bytes.subarray(0, length);
+}
+
+/**
+ * Serialize a snapshot from CPU.snapshot(). `rom` is stored alongside so a state isn't loaded into the wrong game.
+ */
+export function serialize(snapshot, rom) {
+    return JSON.stringify({
+        format: FORMAT,
+        version: VERSION,
+        rom: rom || null,
+        memoryLength: snapshot.memory.length,
+        memory: toBase64(trimZeros(snapshot.memory)),
+        v: Array.from(snapshot.v),
+        i: snapshot.i,
+        pc: snapshot.pc,
+        stack: snapshot.stack,
+        delayTimer: snapshot.delayTimer,
+        soundTimer: snapshot.soundTimer,
+        paused: snapshot.paused,
+        waitingRegister: snapshot.waitingRegister,
+        waitingForVblank: snapshot.waitingForVblank,
+        plane: snapshot.plane,
+        audioPattern: snapshot.audioPattern ? toBase64(snapshot.audioPattern) : null,
+        pitch: snapshot.pitch,
+        rpl: Array.from(snapshot.rpl),
+        exited: snapshot.exited,
+        random: snapshot.random,
+        model: snapshot.model,
+        hires: snapshot.hires,
+        displayLength: snapshot.display.length,
+        display: toBase64(packPixels(snapshot.display, 2)),
+        zoneColors: snapshot.zoneColors ? toBase64(snapshot.zoneColors) : null,
+        background: snapshot.background
+    });
+}
+
+/**
+ * Parse text from serialize() back into a snapshot for CPU.restore().
+ * Throws if the text isn't a save state or was written by a newer version.
+ */
+export function deserialize(text) {
+    const data = JSON.parse(text);
+
+    if (data.format !== FORMAT) {
+        throw new Error("Not a chip-8 save state");
+    }
+    if (data.version > VERSION) {
+        throw new Error("Save state version " + data.version + " is not supported");
+    }
+
+    // Version 1 and 2 states were written before XO-CHIP support: 4KB of memory and a single bitplane.
+    const memory = new Uint8Array(data.memoryLength || 4096);
+    memory.set(fromBase64(data.memory));
+
+    return {
+        rom: data.rom,
+        memory: memory,
+        v: Uint8Array.from(data.v),
+        i: data.i,
+        pc: data.pc,
+        stack: data.stack.slice(),
+        delayTimer: data.delayTimer,
+        soundTimer: data.soundTimer,
+        paused: data.paused,
+        waitingRegister: data.waitingRegister,
+        waitingForVblank: !!data.waitingForVblank,
+        plane: data.plane || 1,
+        audioPattern: data.audioPattern ? fromBase64(data.audioPattern) : null,
+        pitch: data.pitch === undefined ? 64 : data.pitch,
+        // Version 1 states were written before SUPER-CHIP support.
+        rpl: Uint8Array.from(data.rpl || []),
+        exited: !!data.exited,
+        // Version 3 and older states have no random number generator state, the running one is kept.
+        random: data.random,
+        // Version 4 and older states were written before machine models, on CHIP-8.
+        model: data.model || "chip8",
+        hires: !!data.hires,
+        display: unpackPixels(fromBase64(data.display), data.displayLength, data.version >= 3 ? 2 : 1),
+        zoneColors: data.zoneColors ? fromBase64(data.zoneColors) : null,
+        background: data.background || 0
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * Runs the machine in real time, independent of the display refresh rate.
+ *
+ * The emulated machine runs in 60Hz frames: every frame executes its share of instructionsPerSecond and ticks the timers once.
+ * Each animation frame, the scheduler runs as many emulated frames as real time has passed (times speedMultiplier),
+ * so a 144Hz monitor runs 0 to 1 frames per refresh and a 30Hz one 2, and the game runs at the same speed on both.
+ *
+ * Options:
+ * - frame(instructions): run one emulated frame. Defaults to nothing, the page passes cpu.runFrame plus its rewind recording.
+ * - render(): draw. Called once per animation frame, after the emulated frames.
+ * - instructionsPerSecond: CPU speed (default 600, the old 10 instructions per 60Hz frame).
+ */
+const FRAME_TIME = 1000 / 60;
+
+// Longest stretch of time to catch up on, so coming back from a long stall doesn't freeze the page running thousands of frames.
+const MAX_CATCH_UP = 250;
+
+class Scheduler {
+    constructor(options = {}) {
+        this.frame = options.frame || (() => {});
+        this.render = options.render || (() => {});
+
+        this.instructionsPerSecond = options.instructionsPerSecond || 600;
+
+        // 1 is real time, above 1 fast-forwards (turbo), below 1 is slow motion.
+        this.speedMultiplier = 1;
+
+        // Emulated time not yet run, in milliseconds, and instructions owed from fractional per-frame counts.
+        this.pendingTime = 0;
+        this.pendingInstructions = 0;
+
+        this.running = false;
+        this.lastTime = null;
+        this.loop = null;
+
+        // Pause while the tab is hidden: the browser throttles animation frames, and nobody is watching anyway.
+        this.pausedByVisibility = false;
+        if (typeof document !== "undefined") {
+            document.addEventListener("visibilitychange", () => this.onVisibilityChange());
+        }
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        this.lastTime = null;
+        this.loop = requestAnimationFrame((time) => this.tick(time));
+    }
+
+    stop() {
+        this.running = false;
+
+        if (this.loop !== null) {
+            cancelAnimationFrame(this.loop);
+            this.loop = null;
+        }
+    }
+
+    tick(time) {
+        // The first tick after starting only sets the clock.
+        if (this.lastTime !== null) {
+            const elapsed = Math.min(time - this.lastTime, MAX_CATCH_UP);
+            this.advance(elapsed * this.speedMultiplier);
+        }
+        this.lastTime = time;
+
+        this.render();
+
+        if (this.running) {
+            this.loop = requestAnimationFrame((next) => this.tick(next));
+        }
+    }
+
+    /**
+     * Run every emulated frame that fits in `milliseconds` more emulated time.
+     */
+    advance(milliseconds) {
+        this.pendingTime += milliseconds;
+
+        while (this.pendingTime >= FRAME_TIME) {
+            this.pendingTime -= FRAME_TIME;
+
+            // 700 instructions per second is 11.67 per frame: run 11 or 12 so it adds up over time.
+            this.pendingInstructions += this.instructionsPerSecond / 60;
+            const instructions = Math.floor(this.pendingInstructions);
+            this.pendingInstructions -= instructions;
+
+            this.frame(instructions);
+        }
+    }
+
+    onVisibilityChange() {
+        if (document.hidden && this.running) {
+            this.pausedByVisibility = true;
+            this.stop();
+        } else if (!document.hidden && this.pausedByVisibility) {
+            this.pausedByVisibility = false;
+            this.start();
+        }
+    }
+}
+
+export default Scheduler;
@@ -1,40 +1,224 @@
+import { ATTACK, RELEASE, LEVEL, DEFAULT_SOUND, patternSample } from './audio.js';
+
+/**
+ * The buzzer, through Web Audio.
+ *
+ * Browsers keep an AudioContext suspended until the user clicked or pressed a key on the page, so the context is only
+ * created by unlock(), which the first click or key press on `target` (the whole window by default) calls.
+ *
+ * The CPU calls play or stop after every frame. The oscillator (or XO-CHIP pattern) keeps running once started and an
+ * envelope gain ramps it in and out, which avoids the clicks of starting and stopping it on the spot.
+ * Sources -> envelope -> volume -> speakers.
+ */
 class Speaker {
-    constructor() {
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
+    constructor(target = window) {
+        this.audioCtx = null;
+        this.target = target;
+
+        this.volume = DEFAULT_SOUND.volume;
+        this.muted = false;
+        this.waveform = DEFAULT_SOUND.waveform;
+        this.frequency = DEFAULT_SOUND.frequency;
+
+        // Whether the envelope is ramping up or held open.
+        this.playing = false;
+
+        // Called once the audio context runs.
+        this.onUnlock = null;
+
+        this.unlockListener = () => this.unlock();
+        for (const type of ["pointerdown", "keydown"]) {
+            target.addEventListener(type, this.unlockListener, true);
+        }
+    }
+
+    get locked() {
+        return !this.audioCtx || this.audioCtx.state !== "running";
+    }
+
+    /**
+     * Create (or resume) the audio context. Has to be called from a user gesture.
+     */
+    unlock() {
+        if (!this.audioCtx) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            this.audioCtx = new AudioContext();
+
+            this.output = this.audioCtx.createGain();
+            this.output.connect(this.audioCtx.destination);
+            this.setVolume(this.volume);
+
+            this.envelope = this.audioCtx.createGain();
+            this.envelope.gain.value = 0;
+            this.envelope.connect(this.output);
+        }
+
+        const resumed = this.audioCtx.state === "suspended" ? this.audioCtx.resume() : Promise.resolve();
 
-        this.audioCtx = new AudioContext();
+        return resumed.then(() => {
+            for (const type of ["pointerdown", "keydown"]) {
+                this.target.removeEventListener(type, this.unlockListener, true);
+            }
 
-        // Create a gain, which will allow us to control the volumne.
-        this.gain = this.audioCtx.createGain();
-        this.finish = this.audioCtx.destination;
+            if (this.onUnlock) {
+                this.onUnlock();
+            }
+        });
+    }
 
-        // Connect the gain to the audio context
-        this.gain.connect(this.finish);
+    /**
+     * Volume from 0 to 1.
+     */
+    setVolume(volume) {
+        this.volume = volume;
+        this.updateOutput();
     }
 
+    setMuted(muted) {
+        this.muted = muted;
+        this.updateOutput();
+    }
+
+    updateOutput() {
+        if (this.audioCtx) {
+            // A short glide, a jump in volume clicks just like switching the sound on.
+            this.output.gain.setTargetAtTime(this.muted ? 0 : this.volume * LEVEL, this.audioCtx.currentTime, 0.01);
+        }
+    }
+
+    /**
+     * One of the waveforms in audio.js.
+     */
+    setWaveform(waveform) {
+        this.waveform = waveform;
+
+        if (this.oscillator) {
+            this.oscillator.type = waveform;
+        }
+    }
+
+    /**
+     * Pitch of the buzzer in Hz.
+     */
+    setFrequency(frequency) {
+        this.frequency = frequency;
+
+        if (this.oscillator) {
+            this.oscillator.frequency.setValueAtTime(frequency, this.audioCtx.currentTime);
+        }
+    }
+
+    /**
+     * Sound the buzzer, at `frequency` or the pitch set with setFrequency.
+     */
     play(frequency) {
-        if ( this.audioCtx && !this.oscillator) {
+        if (!this.audioCtx) {
+            return;
+        }
+
+        this.stopPattern();
+
+        if (!this.oscillator) {
             this.oscillator = this.audioCtx.createOscillator();
+            this.oscillator.type = this.waveform;
+            this.oscillator.connect(this.envelope);
+            this.oscillator.start();
+        }
 
-            // Set the frequency
-            this.oscillator.frequency.setValueAtTime(frequency || 440, this.audioCtx.currentTime);
+        const pitch = frequency || this.frequency;
+        if (this.oscillator.frequency.value !== pitch) {
+            this.oscillator.frequency.setValueAtTime(pitch, this.audioCtx.currentTime);
+        }
 
-            // Square wave
-            this.oscillator.type = "square";
+        this.open();
+    }
 
-            // Connect the gain and start the sound
-            this.oscillator.connect(this.gain);
-            this.oscillator.start();
+    /**
+     * XO-CHIP: loop a 128 bit pattern, every bit is one sample (1 = high, 0 = low) played at `rate` bits per second.
+     */
+    playPattern(pattern, rate) {
+        if (!this.audioCtx) {
+            return;
+        }
+
+        this.stopOscillator();
+
+        // A different pattern needs a new buffer. A different rate only changes the playback speed.
+        if (this.patternSource && !this.samePattern(pattern)) {
+            this.stopPattern();
+        }
+
+        if (!this.patternSource) {
+            // Every bit lasts sampleRate / rate samples. The playback rate below makes up for later pitch changes.
+            const samplesPerBit = this.audioCtx.sampleRate / rate;
+            const buffer = this.audioCtx.createBuffer(1, Math.round(128 * samplesPerBit), this.audioCtx.sampleRate);
+            const data = buffer.getChannelData(0);
+
+            for (let i = 0; i < data.length; i++) {
+                data[i] = patternSample(pattern, Math.min(127, Math.floor(i / samplesPerBit)));
+            }
+
+            this.patternSource = this.audioCtx.createBufferSource();
+            this.patternSource.buffer = buffer;
+            this.patternSource.loop = true;
+            this.patternSource.connect(this.envelope);
+            this.patternSource.start();
+
+            this.pattern = pattern.slice();
+            this.patternBaseRate = rate;
         }
+
+        this.patternSource.playbackRate.setValueAtTime(rate / this.patternBaseRate, this.audioCtx.currentTime);
+
+        this.open();
+    }
+
+    samePattern(pattern) {
+        return this.pattern.every((byte, i) => byte === pattern[i]);
     }
 
+    /**
+     * Fade the sound out. The source keeps running silently, so the next play only has to fade it back in.
+     */
     stop() {
+        if (this.playing) {
+            this.ramp(0, RELEASE);
+            this.playing = false;
+        }
+    }
+
+    open() {
+        if (!this.playing) {
+            this.ramp(1, ATTACK);
+            this.playing = true;
+        }
+    }
+
+    ramp(value, duration) {
+        const gain = this.envelope.gain;
+        const now = this.audioCtx.currentTime;
+
+        // Start from wherever a ramp that is still going got to.
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(value, now + duration);
+    }
+
+    stopOscillator() {
         if (this.oscillator) {
             this.oscillator.stop();
             this.oscillator.disconnect();
             this.oscillator = null;
         }
     }
+
+    stopPattern() {
+        if (this.patternSource) {
+            this.patternSource.stop();
+            this.patternSource.disconnect();
+            this.patternSource = null;
+        }
+    }
 }
 
-export default Speaker;
\ No newline at end of file
+export default Speaker;
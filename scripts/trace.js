@@ -0,0 +1,227 @@
+import { decodeAt } from './decoder.js';
+import { opcodeFamily } from './profiler.js';
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+/**
+ * Instruction traces, to find where this emulator and another implementation part ways.
+ *
+ * A trace has one line per instruction with the machine state right before it executes, as KEY=VALUE fields and
+ * the disassembly after a semicolon:
+ *
+ *     CYC=41 PC=0208 OP=D015 V=0A05000000000000000000000000000000 I=0050 DT=00 ST=00 SP=1 ; DRW V0, V1, 5
+ *
+ * CYC is the number of instructions that ran before this one (decimal), PC, OP and I are 4 hex digits, V is
+ * V0 through VF as 2 hex digits each, DT and ST are the timers and SP is the depth of the stack (decimal).
+ * Other emulators only have to write the fields they know: diffTraces compares the fields both traces have.
+ */
+export const TRACE_FIELDS = ["CYC", "PC", "OP", "V", "I", "DT", "ST", "SP"];
+
+/**
+ * Which instructions a trace keeps: an address range and instruction families.
+ * - start / end: addresses of the instructions to keep (inclusive), null for no limit.
+ * - families: mnemonics ("DRW") or families ("ADD Vx, Vy", see profiler.js opcodeFamily) to keep, empty for all.
+ */
+export function createTraceFilter(options = {}) {
+    return {
+        start: options.start === undefined ? null : options.start,
+        end: options.end === undefined ? null : options.end,
+        families: options.families || []
+    };
+}
+
+/**
+ * An address range for the filter, "200-2FF" in hex with or without 0x: { start, end }. Throws when it is invalid.
+ */
+export function parseAddressRange(text) {
+    const range = /^\s*(?:0x)?([0-9A-F]{1,4})\s*-\s*(?:0x)?([0-9A-F]{1,4})\s*$/i.exec(text);
+    if (!range || parseInt(range[1], 16) > parseInt(range[2], 16)) {
+        throw new Error("Invalid address range \"" + text + "\": ranges look like 200-2FF");
+    }
+    return { start: parseInt(range[1], 16), end: parseInt(range[2], 16) };
+}
+
+function matches(filter, address, opcode, model) {
+    if ((filter.start !== null && address < filter.start) || (filter.end !== null && address > filter.end)) {
+        return false;
+    }
+    if (filter.families.length === 0) {
+        return true;
+    }
+
+    const family = opcodeFamily(opcode, model);
+    return filter.families.some((name) => name === family || name === family.split(" ")[0]);
+}
+
+/**
+ * Writes a trace line for every instruction the CPU executes, while it runs. The CPU reports every instruction
+ * to it (record) before executing it, the lines the filter keeps go to `write(line)`.
+ */
+class Tracer {
+    constructor(cpu, write, filter) {
+        this.cpu = cpu;
+        this.write = write;
+        this.filter = filter || createTraceFilter();
+
+        // Instructions that ran since the tracer started, also the ones the filter left out.
+        this.cycle = 0;
+    }
+
+    get running() {
+        return this.cpu.tracer === this;
+    }
+
+    start() {
+        this.cycle = 0;
+        this.cpu.tracer = this;
+    }
+
+    stop() {
+        if (this.running) {
+            this.cpu.tracer = null;
+        }
+    }
+
+    /**
+     * The instruction `opcode` at `address` is about to execute.
+     */
+    record(address, opcode) {
+        if (matches(this.filter, address, opcode, this.cpu.model)) {
+            this.write(this.line(address, opcode));
+        }
+        this.cycle++;
+    }
+
+    line(address, opcode) {
+        const cpu = this.cpu;
+        let registers = "";
+        for (let r = 0; r < 16; r++) {
+            registers += hex(cpu.v[r], 2);
+        }
+
+        return "CYC=" + this.cycle + " PC=" + hex(address, 4) + " OP=" + hex(opcode, 4) + " V=" + registers
+            + " I=" + hex(cpu.i, 4) + " DT=" + hex(cpu.delayTimer, 2) + " ST=" + hex(cpu.soundTimer, 2)
+            + " SP=" + cpu.stack.length + " ; " + decodeAt(cpu.memory, address, cpu.model).text;
+    }
+}
+
+/**
+ * The last `capacity` lines of a trace, for the page. Older lines are dropped.
+ */
+export class TraceBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.lines = [];
+        // Lines dropped because the buffer was full.
+        this.dropped = 0;
+    }
+
+    write(line) {
+        this.lines.push(line);
+
+        // Dropping in batches keeps writing cheap.
+        if (this.lines.length >= this.capacity * 2) {
+            this.drop(this.lines.length - this.capacity);
+        }
+    }
+
+    drop(count) {
+        this.lines.splice(0, count);
+        this.dropped += count;
+    }
+
+    clear() {
+        this.lines = [];
+        this.dropped = 0;
+    }
+
+    /**
+     * The kept lines, the last `capacity` of them.
+     */
+    text() {
+        if (this.lines.length > this.capacity) {
+            this.drop(this.lines.length - this.capacity);
+        }
+        return this.lines.join("\n");
+    }
+}
+
+/**
+ * The fields of a trace line: { CYC: "41", PC: "0208", ..., text: "DRW V0, V1, 5", source } with the line itself
+ * as source. Values are upper case, numbers are compared as numbers so leading zeros don't matter.
+ * Null for empty lines and # comments.
+ */
+export function parseTraceLine(line) {
+    const semicolon = line.indexOf(";");
+    const fields = semicolon === -1 ? line : line.slice(0, semicolon);
+
+    if (fields.trim() === "" || line.trim().startsWith("#")) {
+        return null;
+    }
+
+    const parsed = { text: semicolon === -1 ? "" : line.slice(semicolon + 1).trim(), source: line.trim() };
+    for (const field of fields.trim().split(/\s+/)) {
+        const equals = field.indexOf("=");
+        if (equals === -1) {
+            throw new Error("Invalid trace field \"" + field + "\": fields are KEY=VALUE");
+        }
+        parsed[field.slice(0, equals).toUpperCase()] = field.slice(equals + 1).toUpperCase();
+    }
+
+    return parsed;
+}
+
+/**
+ * The differences between two parsed trace lines, in the fields both have: [{ field, a, b }].
+ * V is compared register by register.
+ */
+export function compareTraceLines(a, b, ignore = []) {
+    const differences = [];
+    const decimal = (field) => field === "CYC" || field === "SP";
+
+    for (const field of TRACE_FIELDS) {
+        if (a[field] === undefined || b[field] === undefined || ignore.includes(field)) {
+            continue;
+        }
+
+        if (field === "V") {
+            for (let r = 0; r < 16; r++) {
+                const valueA = a.V.substr(r * 2, 2);
+                const valueB = b.V.substr(r * 2, 2);
+                if (parseInt(valueA, 16) !== parseInt(valueB, 16)) {
+                    differences.push({ field: "V" + hex(r, 1), a: valueA, b: valueB });
+                }
+            }
+        } else if (parseInt(a[field], decimal(field) ? 10 : 16) !== parseInt(b[field], decimal(field) ? 10 : 16)) {
+            differences.push({ field: field, a: a[field], b: b[field] });
+        }
+    }
+
+    return differences;
+}
+
+/**
+ * Compare two traces (text) line by line. Returns null when they agree, or the first divergence:
+ * { line, a, b, previous, differences } with the 1-based line number, both parsed lines, the line before them in
+ * trace a (the instruction whose result differs, null for the first line) and the differing fields.
+ * A trace that ends before the other one diverges with a null line.
+ */
+export function diffTraces(textA, textB, ignore = []) {
+    const parse = (text) => text.split("\n").map(parseTraceLine).filter((line) => line !== null);
+    const linesA = parse(textA);
+    const linesB = parse(textB);
+
+    for (let n = 0; n < Math.max(linesA.length, linesB.length); n++) {
+        const a = linesA[n] || null;
+        const b = linesB[n] || null;
+        const differences = a && b ? compareTraceLines(a, b, ignore) : [];
+
+        if (a === null || b === null || differences.length) {
+            return { line: n + 1, a: a, b: b, previous: n > 0 ? linesA[n - 1] : null, differences: differences };
+        }
+    }
+
+    return null;
+}
+
+export default Tracer;
@@ -0,0 +1,97 @@
+import { GAMEPAD_BUTTON_NAMES } from '../bindings.js';
+
+const hex = (key) => key.toString(16).toUpperCase();
+
+/**
+ * Settings for the controls of the running ROM: the keyboard key of every chip-8 key, and the chip-8 key of every
+ * gamepad button. "Rebind" waits for the next key on the keyboard, "Detect" for the next button on a gamepad.
+ * Keys that `descriptions` (chip-8 key => text, from the ROM's metadata) describes say what they do.
+ */
+class ControlsPanel {
+    constructor(container, bindings, keyboard, gamepad) {
+        this.container = container;
+        this.bindings = bindings;
+        this.keyboard = keyboard;
+        this.gamepad = gamepad;
+        this.descriptions = {};
+
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = "";
+        this.keyboard.onCapture = null;
+        this.gamepad.onCapture = null;
+
+        const title = document.createElement("div");
+        title.textContent = "Controls for " + (this.bindings.rom || "every ROM");
+        this.container.appendChild(title);
+
+        const keyboardTable = document.createElement("table");
+        keyboardTable.className = "controls-keyboard";
+        for (let key = 0; key < 16; key++) {
+            const row = keyboardTable.insertRow();
+            row.insertCell().textContent = hex(key);
+
+            const codes = row.insertCell();
+            codes.textContent = this.bindings.keyboardCodes(key).join(", ") || "-";
+
+            row.insertCell().textContent = this.descriptions[hex(key)] || "";
+
+            row.insertCell().appendChild(this.button("Rebind", () => {
+                codes.textContent = "Press a key...";
+                this.keyboard.onCapture = (code) => {
+                    this.bindings.bindKeyboard(code, key);
+                    this.build();
+                };
+            }));
+        }
+        this.container.appendChild(keyboardTable);
+
+        const gamepadTable = document.createElement("table");
+        gamepadTable.className = "controls-gamepad";
+        for (const button in GAMEPAD_BUTTON_NAMES) {
+            const row = gamepadTable.insertRow();
+            row.insertCell().textContent = GAMEPAD_BUTTON_NAMES[button];
+
+            const select = document.createElement("select");
+            select.appendChild(new Option("-", ""));
+            for (let key = 0; key < 16; key++) {
+                select.appendChild(new Option(hex(key), key));
+            }
+
+            const key = this.bindings.gamepadKey(button);
+            select.value = key === undefined ? "" : key;
+            select.addEventListener("change", () => {
+                this.bindings.bindGamepad(button, select.value === "" ? null : Number(select.value));
+            });
+            row.insertCell().appendChild(select);
+        }
+        this.container.appendChild(gamepadTable);
+
+        this.detectStatus = document.createElement("span");
+
+        this.container.appendChild(this.button("Detect gamepad button", () => {
+            this.detectStatus.textContent = " Press a button on the gamepad...";
+            this.gamepad.onCapture = (button) => {
+                const name = GAMEPAD_BUTTON_NAMES[button] || "Button " + button;
+                const key = this.bindings.gamepadKey(button);
+                this.detectStatus.textContent = " " + name + (key === undefined ? " is not bound" : " presses " + hex(key));
+            };
+        }));
+        this.container.appendChild(this.button("Reset to defaults", () => {
+            this.bindings.reset();
+            this.build();
+        }));
+        this.container.appendChild(this.detectStatus);
+    }
+
+    button(text, onClick) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", onClick);
+        return button;
+    }
+}
+
+export default ControlsPanel;
@@ -0,0 +1,84 @@
+import { FAULTS, FAULT_NAMES, crashReport } from '../faults.js';
+
+/**
+ * The crash report of a halted machine, with buttons to continue or reset, and the fault policy:
+ * a checkbox per fault that makes it halt (strict) or not (lenient).
+ *
+ * Options:
+ * - onReset(): called after Reset restarted the ROM.
+ */
+class CrashPanel {
+    constructor(container, cpu, options = {}) {
+        this.container = container;
+        this.cpu = cpu;
+        this.onReset = options.onReset || (() => {});
+
+        this.cpu.onFault = () => this.update();
+
+        this.build();
+        this.update();
+    }
+
+    build() {
+        this.report = document.createElement("div");
+        this.report.className = "crash-report";
+
+        const title = document.createElement("strong");
+        title.textContent = "The machine halted";
+        this.report.appendChild(title);
+
+        this.text = document.createElement("pre");
+        this.report.appendChild(this.text);
+
+        this.report.appendChild(this.button("Continue", () => this.cpu.continueAfterFault()));
+        this.report.appendChild(this.button("Reset", () => {
+            this.cpu.loadProgram(this.cpu.program);
+            this.onReset();
+        }));
+
+        this.container.appendChild(this.report);
+
+        const policy = document.createElement("div");
+        policy.textContent = "Halt on ";
+
+        this.checkboxes = {};
+        for (const fault of FAULT_NAMES) {
+            const label = document.createElement("label");
+            label.title = "Otherwise: " + FAULTS[fault].lenient;
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.addEventListener("change", () => {
+                this.cpu.faultPolicy[fault] = checkbox.checked ? "strict" : "lenient";
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(" " + FAULTS[fault].name));
+
+            this.checkboxes[fault] = checkbox;
+            policy.appendChild(label);
+        }
+
+        this.container.appendChild(policy);
+    }
+
+    button(text, onClick) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", () => {
+            onClick();
+            this.update();
+        });
+        return button;
+    }
+
+    update() {
+        this.report.hidden = !this.cpu.fault;
+        this.text.textContent = this.cpu.fault ? crashReport(this.cpu) : "";
+
+        for (const fault of FAULT_NAMES) {
+            this.checkboxes[fault].checked = this.cpu.faultPolicy[fault] === "strict";
+        }
+    }
+}
+
+export default CrashPanel;
@@ -0,0 +1,184 @@
+import { decodeAt } from '../decoder.js';
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+/**
+ * Page controls for the Debugger: run controls, registers, call stack, disassembly around PC,
+ * and the breakpoint and watchpoint lists.
+ */
+class DebugPanel {
+    constructor(container, debug) {
+        this.container = container;
+        this.debugger = debug;
+        this.cpu = debug.cpu;
+
+        this.build();
+        this.update();
+    }
+
+    build() {
+        const controls = this.section("Debugger");
+
+        this.pauseButton = this.button(controls, "Pause", () => {
+            if (this.debugger.paused) {
+                this.debugger.resume();
+            } else {
+                this.debugger.pause();
+            }
+        });
+        this.button(controls, "Step", () => this.debugger.stepInstruction());
+        this.button(controls, "Step over", () => this.debugger.stepOver());
+        this.button(controls, "Step out", () => this.debugger.stepOut());
+
+        const runToAddress = this.input(controls, "200", 5);
+        this.button(controls, "Run to", () => this.debugger.runTo(this.parseAddress(runToAddress.value)));
+
+        this.status = document.createElement("span");
+        controls.appendChild(this.status);
+
+        this.registers = document.createElement("pre");
+        this.container.appendChild(this.registers);
+
+        this.disassembly = document.createElement("pre");
+        this.container.appendChild(this.disassembly);
+
+        const breakpoints = this.section("Breakpoints");
+        const address = this.input(breakpoints, "address", 6);
+        const condition = this.input(breakpoints, "condition, e.g. v3 == 5", 20);
+        this.button(breakpoints, "Add", () => {
+            this.debugger.addBreakpoint(address.value.trim() ? this.parseAddress(address.value) : null, condition.value.trim() || null);
+            this.updateLists();
+        });
+        this.breakpointList = document.createElement("ul");
+        breakpoints.appendChild(this.breakpointList);
+
+        const watchpoints = this.section("Watchpoints");
+        const start = this.input(watchpoints, "start", 6);
+        const end = this.input(watchpoints, "end", 6);
+        const read = this.checkbox(watchpoints, "read");
+        const write = this.checkbox(watchpoints, "write");
+        this.button(watchpoints, "Add", () => {
+            this.debugger.addWatchpoint(this.parseAddress(start.value), end.value ? this.parseAddress(end.value) : undefined, read.checked, write.checked);
+            this.updateLists();
+        });
+
+        const watchIRead = this.checkbox(watchpoints, "I read");
+        watchIRead.addEventListener("change", () => this.debugger.watchI.read = watchIRead.checked);
+        const watchIWrite = this.checkbox(watchpoints, "I write");
+        watchIWrite.addEventListener("change", () => this.debugger.watchI.write = watchIWrite.checked);
+
+        this.watchpointList = document.createElement("ul");
+        watchpoints.appendChild(this.watchpointList);
+    }
+
+    section(title) {
+        const section = document.createElement("div");
+        const heading = document.createElement("strong");
+        heading.textContent = title + " ";
+        section.appendChild(heading);
+        this.container.appendChild(section);
+        return section;
+    }
+
+    button(parent, text, onClick) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", () => {
+            try {
+                onClick();
+            } catch (error) {
+                alert(error.message);
+            }
+            this.update();
+        });
+        parent.appendChild(button);
+        return button;
+    }
+
+    input(parent, placeholder, size) {
+        const input = document.createElement("input");
+        input.placeholder = placeholder;
+        input.size = size;
+        parent.appendChild(input);
+        return input;
+    }
+
+    checkbox(parent, text) {
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(" " + text + " "));
+        parent.appendChild(label);
+        return checkbox;
+    }
+
+    /**
+     * Addresses are typed in hex, with or without 0x.
+     */
+    parseAddress(text) {
+        const address = parseInt(text.replace(/^0x/i, ""), 16);
+        if (isNaN(address)) {
+            throw new Error("Invalid address: " + text);
+        }
+        return address;
+    }
+
+    /**
+     * Refresh registers and disassembly. Called every frame, so it also stays live while paused.
+     */
+    update() {
+        const cpu = this.cpu;
+
+        this.pauseButton.textContent = this.debugger.paused ? "Resume" : "Pause";
+        this.status.textContent = this.debugger.paused ? " Paused (" + this.debugger.reason + ")" : " Running";
+
+        let registers = "";
+        for (let r = 0; r < 16; r++) {
+            registers += "V" + hex(r, 1) + " " + hex(cpu.v[r], 2) + (r % 8 === 7 ? "\n" : "  ");
+        }
+        registers += "PC " + hex(cpu.pc, 4) + "  I " + hex(cpu.i, 4) + "  DT " + hex(cpu.delayTimer, 2) + "  ST " + hex(cpu.soundTimer, 2) + "\n";
+        registers += "Stack: " + (cpu.stack.length ? cpu.stack.map((address) => hex(address, 4)).join(" > ") : "empty");
+        this.registers.textContent = registers;
+
+        // 8 instructions before PC and 12 after it.
+        let lines = "";
+        for (let address = Math.max(0, cpu.pc - 16); address < cpu.pc + 24 && address < cpu.memory.length - 1; address += 2) {
+            const opcode = (cpu.memory[address] << 8) | cpu.memory[address + 1];
+            const instruction = decodeAt(cpu.memory, address, cpu.model);
+            const marker = address === cpu.pc ? ">" : (this.debugger.breakpoints.some((breakpoint) => breakpoint.address === address) ? "*" : " ");
+            lines += marker + " " + hex(address, 4) + "  " + hex(opcode, 4) + "  " + instruction.text + "\n";
+        }
+        this.disassembly.textContent = lines;
+    }
+
+    updateLists() {
+        this.breakpointList.innerHTML = "";
+        for (const breakpoint of this.debugger.breakpoints) {
+            const text = (breakpoint.address === null ? "any" : hex(breakpoint.address, 4)) + (breakpoint.condition ? " if " + breakpoint.condition : "");
+            this.listItem(this.breakpointList, text, () => this.debugger.removeBreakpoint(breakpoint));
+        }
+
+        this.watchpointList.innerHTML = "";
+        for (const watchpoint of this.debugger.watchpoints) {
+            const text = hex(watchpoint.start, 4) + "-" + hex(watchpoint.end, 4) + " " + (watchpoint.read ? "r" : "") + (watchpoint.write ? "w" : "");
+            this.listItem(this.watchpointList, text, () => this.debugger.removeWatchpoint(watchpoint));
+        }
+    }
+
+    listItem(list, text, onRemove) {
+        const item = document.createElement("li");
+        item.textContent = text + " ";
+        const remove = document.createElement("button");
+        remove.textContent = "x";
+        remove.addEventListener("click", () => {
+            onRemove();
+            this.updateLists();
+            this.update();
+        });
+        item.appendChild(remove);
+        list.appendChild(item);
+    }
+}
+
+export default DebugPanel;
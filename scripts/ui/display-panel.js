@@ -0,0 +1,122 @@
+import { PALETTES } from '../renderer.js';
+
+const SCALES = [4, 6, 8, 10, 12, 16, "fit"];
+
+const PHOSPHOR = [
+    { value: 0, text: "Off" },
+    { value: 2, text: "Short (2 frames)" },
+    { value: 4, text: "Medium (4 frames)" },
+    { value: 8, text: "Long (8 frames)" }
+];
+
+const COLOR_NAMES = ["Background", "Plane 1", "Plane 2", "Both planes"];
+
+/**
+ * Palette, colours, scale, phosphor persistence and overlay effects of the renderer.
+ */
+class DisplayPanel {
+    constructor(container, renderer) {
+        this.container = container;
+        this.renderer = renderer;
+
+        this.build();
+        this.update();
+    }
+
+    build() {
+        this.paletteSelect = this.select("Palette ", Object.keys(PALETTES).map((name) => ({ value: name, text: PALETTES[name].name })), () => {
+            this.renderer.setPalette(PALETTES[this.paletteSelect.value]);
+            this.update();
+        });
+
+        // Editing a colour turns the palette into a custom one.
+        this.colorInputs = COLOR_NAMES.map((name) => {
+            const label = document.createElement("label");
+            label.textContent = name + " ";
+
+            const input = document.createElement("input");
+            input.type = "color";
+            input.addEventListener("input", () => {
+                const colors = this.colorInputs.map((colorInput) => colorInput.value);
+                this.renderer.setPalette({ background: colors[0], colors: colors.slice(1) });
+                this.update();
+            });
+            label.appendChild(input);
+            this.container.appendChild(label);
+
+            return input;
+        });
+
+        this.scaleSelect = this.select("Scale ", SCALES.map((scale) => ({ value: scale, text: scale === "fit" ? "Fit to window" : scale + "x" })), () => {
+            const value = this.scaleSelect.value;
+            this.renderer.setScale(value === "fit" ? value : Number(value));
+        });
+
+        this.phosphorSelect = this.select("Phosphor ", PHOSPHOR, () => {
+            this.renderer.setPhosphor(Number(this.phosphorSelect.value));
+        });
+
+        this.scanlinesCheckbox = this.checkbox("Scanlines");
+        this.gridCheckbox = this.checkbox("Grid");
+    }
+
+    select(text, options, onChange) {
+        const label = document.createElement("label");
+        label.textContent = text;
+
+        const select = document.createElement("select");
+        for (const item of options) {
+            const option = document.createElement("option");
+            option.value = item.value;
+            option.textContent = item.text;
+            select.appendChild(option);
+        }
+        select.addEventListener("change", onChange);
+
+        label.appendChild(select);
+        this.container.appendChild(label);
+
+        return select;
+    }
+
+    checkbox(text) {
+        const label = document.createElement("label");
+
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.addEventListener("change", () => {
+            this.renderer.setEffects(this.scanlinesCheckbox.checked, this.gridCheckbox.checked);
+        });
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(" " + text));
+        this.container.appendChild(label);
+
+        return checkbox;
+    }
+
+    /**
+     * Show the settings of the renderer. The palette selector is empty for custom colours.
+     */
+    update() {
+        const palette = this.renderer.palette;
+        const colors = [palette.background].concat(palette.colors);
+
+        this.colorInputs.forEach((input, index) => {
+            input.value = colors[index];
+        });
+
+        const preset = Object.keys(PALETTES).find((name) => {
+            const candidate = [PALETTES[name].background].concat(PALETTES[name].colors);
+            return candidate.every((color, index) => color.toLowerCase() === colors[index].toLowerCase());
+        });
+        this.paletteSelect.value = preset || "";
+
+        this.scaleSelect.value = this.renderer.scale;
+        this.phosphorSelect.value = this.renderer.phosphor;
+        this.scanlinesCheckbox.checked = this.renderer.scanlines;
+        this.gridCheckbox.checked = this.renderer.grid;
+    }
+}
+
+export default DisplayPanel;
@@ -0,0 +1,15 @@
+/**
+ * Let the browser download `contents` (text or bytes) as a file called `fileName`.
+ */
+export function downloadFile(fileName, contents, type) {
+    const blob = new Blob([contents], { type: type || "application/octet-stream" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    // Some browsers only start reading the blob after the click returns, it has to outlive it.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,297 @@
+import { COMPARISONS } from '../ram-search.js';
+import { formatCheat } from '../cheats.js';
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+// The hex view shows this many rows of 16 bytes.
+const ROWS = 16;
+const COLUMNS = 16;
+
+// Bytes written by an instruction stay highlighted for this many animation frames.
+const HIGHLIGHT_FRAMES = 60;
+
+// The RAM search lists at most this many candidates.
+const CANDIDATES = 50;
+
+/**
+ * Memory tools for finding and changing game state:
+ * - a hex view of CPU memory that updates every frame and highlights the bytes instructions (Fx33, Fx55, ...) wrote
+ *   recently. Clicking a byte edits it, Enter writes it into the running machine.
+ * - RAM search (ram-search.js): narrows down addresses by comparing their values between snapshots.
+ * - cheats (cheats.js) of the running ROM: add, enable, remove, and share them as text codes.
+ */
+class MemoryPanel {
+    constructor(container, cpu, ramSearch, cheats) {
+        this.container = container;
+        this.cpu = cpu;
+        this.ramSearch = ramSearch;
+        this.cheats = cheats;
+
+        // First address of the hex view.
+        this.start = 0x200;
+
+        // Animation frame an instruction last wrote every address in, 0 for never.
+        this.frames = 1;
+        this.written = new Uint32Array(cpu.memory.length);
+        this.cpu.onMemoryWrite = (start, end) => this.written.fill(this.frames, start, Math.min(end, this.written.length - 1) + 1);
+
+        // Index of the cell being edited, null when none is.
+        this.editing = null;
+
+        this.build();
+        this.update();
+        this.updateSearch();
+        this.updateCheats();
+    }
+
+    build() {
+        const view = this.section("Memory");
+        const goTo = this.input(view, "address", 6);
+        this.button(view, "Go to", () => this.show(this.parseHex(goTo.value)));
+        this.button(view, "Page up", () => this.show(this.start - ROWS * COLUMNS));
+        this.button(view, "Page down", () => this.show(this.start + ROWS * COLUMNS));
+        this.followI = this.checkbox(view, "Follow I");
+
+        this.table = document.createElement("table");
+        this.table.className = "memory-view";
+        this.rowAddresses = [];
+        this.cells = [];
+        for (let row = 0; row < ROWS; row++) {
+            const tableRow = this.table.insertRow();
+            this.rowAddresses.push(tableRow.insertCell());
+
+            for (let column = 0; column < COLUMNS; column++) {
+                const index = row * COLUMNS + column;
+                const cell = tableRow.insertCell();
+                cell.addEventListener("click", () => this.edit(index));
+                this.cells.push(cell);
+            }
+        }
+        this.container.appendChild(this.table);
+
+        const search = this.section("RAM search");
+        this.button(search, "New search", () => this.ramSearch.start());
+        this.comparisonSelect = document.createElement("select");
+        for (const [comparison, { name }] of Object.entries(COMPARISONS)) {
+            this.comparisonSelect.appendChild(new Option(name, comparison));
+        }
+        search.appendChild(this.comparisonSelect);
+        const value = this.input(search, "value", 4);
+        this.button(search, "Filter", () => {
+            const comparison = this.comparisonSelect.value;
+            this.ramSearch.filter(comparison, comparison === "value" ? this.parseHex(value.value) : undefined);
+        });
+        this.searchStatus = document.createElement("span");
+        search.appendChild(this.searchStatus);
+        this.candidateList = document.createElement("ul");
+        search.appendChild(this.candidateList);
+
+        const cheats = this.section("Cheats");
+        const code = this.input(cheats, "0F2A=03 Infinite lives", 24);
+        this.button(cheats, "Add", () => {
+            this.cheats.add(code.value);
+            code.value = "";
+        });
+        this.cheatList = document.createElement("ul");
+        cheats.appendChild(this.cheatList);
+
+        this.codes = document.createElement("textarea");
+        this.codes.rows = 4;
+        this.codes.cols = 40;
+        this.codes.placeholder = "Cheat codes, one per line";
+        cheats.appendChild(this.codes);
+        this.button(cheats, "Export codes", () => this.codes.value = this.cheats.exportText());
+        this.button(cheats, "Import codes", () => {
+            this.cheats.importText(this.codes.value);
+            this.codes.value = "";
+        });
+    }
+
+    section(title) {
+        const section = document.createElement("div");
+        const heading = document.createElement("strong");
+        heading.textContent = title + " ";
+        section.appendChild(heading);
+        this.container.appendChild(section);
+        return section;
+    }
+
+    button(parent, text, onClick) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", () => {
+            try {
+                onClick();
+            } catch (error) {
+                alert(error.message);
+            }
+            this.update();
+            this.updateSearch();
+            this.updateCheats();
+        });
+        parent.appendChild(button);
+        return button;
+    }
+
+    input(parent, placeholder, size) {
+        const input = document.createElement("input");
+        input.placeholder = placeholder;
+        input.size = size;
+        parent.appendChild(input);
+        return input;
+    }
+
+    checkbox(parent, text) {
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(" " + text + " "));
+        parent.appendChild(label);
+        return checkbox;
+    }
+
+    /**
+     * Addresses and values are typed in hex, with or without 0x.
+     */
+    parseHex(text) {
+        const value = parseInt(text.replace(/^0x/i, ""), 16);
+        if (isNaN(value)) {
+            throw new Error("Invalid hex number: " + text);
+        }
+        return value;
+    }
+
+    /**
+     * Show the memory from the row of `address` on.
+     */
+    show(address) {
+        const last = this.cpu.addressSpace - ROWS * COLUMNS;
+        this.start = Math.max(0, Math.min(last, address - address % COLUMNS));
+    }
+
+    /**
+     * Refresh the hex view. Called every frame.
+     */
+    update() {
+        const memory = this.cpu.memory;
+        this.frames++;
+
+        if (this.followI.checked && this.editing === null) {
+            this.show(this.cpu.i);
+        }
+
+        for (let row = 0; row < ROWS; row++) {
+            this.rowAddresses[row].textContent = hex(this.start + row * COLUMNS, 4);
+        }
+
+        this.cells.forEach((cell, index) => {
+            const address = this.start + index;
+            if (index === this.editing) {
+                return;
+            }
+
+            cell.textContent = hex(memory[address], 2);
+            cell.className = this.written[address] && this.frames - this.written[address] < HIGHLIGHT_FRAMES ? "written" : "";
+            cell.title = hex(address, 4);
+        });
+    }
+
+    /**
+     * Edit a byte in place: Enter (or leaving the field) writes it, Escape cancels.
+     */
+    edit(index) {
+        if (this.editing !== null) {
+            return;
+        }
+
+        const address = this.start + index;
+        const cell = this.cells[index];
+
+        const input = document.createElement("input");
+        input.size = 2;
+        input.value = hex(this.cpu.memory[address], 2);
+
+        const finish = (write) => {
+            if (this.editing !== index) {
+                return;
+            }
+            this.editing = null;
+
+            if (write) {
+                try {
+                    this.write(address, this.parseHex(input.value));
+                } catch (error) {
+                    alert(error.message);
+                }
+            }
+            this.update();
+        };
+
+        input.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") {
+                finish(true);
+            } else if (event.key === "Escape") {
+                finish(false);
+            }
+        });
+        input.addEventListener("blur", () => finish(true));
+
+        this.editing = index;
+        cell.textContent = "";
+        cell.appendChild(input);
+        input.focus();
+        input.select();
+    }
+
+    write(address, value) {
+        if (value > 0xFF) {
+            throw new Error("A byte is 00 to FF, not " + hex(value, 2));
+        }
+        if (address >= this.cpu.addressSpace) {
+            throw new Error(hex(address, 4) + " is past the end of memory");
+        }
+
+        this.cpu.memory[address] = value;
+        this.cpu.memoryChanged(address, address);
+    }
+
+    updateSearch() {
+        const search = this.ramSearch;
+        this.candidateList.innerHTML = "";
+
+        if (!search.started) {
+            this.searchStatus.textContent = " Start a new search, then filter after the value changed (or didn't)";
+            return;
+        }
+        this.searchStatus.textContent = " " + search.candidates.length + " candidates after " + search.filters + " filters";
+
+        for (const address of search.candidates.slice(0, CANDIDATES)) {
+            const item = document.createElement("li");
+            item.textContent = hex(address, 4) + ": " + hex(this.cpu.memory[address], 2) + " (was " + hex(search.previous(address), 2) + ") ";
+            this.button(item, "Show", () => this.show(address));
+            this.button(item, "Freeze", () => this.cheats.add(hex(address, 4) + "=" + hex(this.cpu.memory[address], 2)));
+            this.candidateList.appendChild(item);
+        }
+    }
+
+    /**
+     * List the cheats of the running ROM. Call when another ROM loads.
+     */
+    updateCheats() {
+        this.cheatList.innerHTML = "";
+
+        for (const cheat of this.cheats.cheats) {
+            const item = document.createElement("li");
+
+            const enabled = this.checkbox(item, formatCheat(cheat) + (cheat.once ? " (once at load)" : ""));
+            enabled.checked = cheat.enabled;
+            enabled.addEventListener("change", () => this.cheats.setEnabled(cheat, enabled.checked));
+
+            this.button(item, "Remove", () => this.cheats.remove(cheat));
+            this.cheatList.appendChild(item);
+        }
+    }
+}
+
+export default MemoryPanel;
@@ -0,0 +1,260 @@
+import { PRESETS, PRESET_NAMES, QUIRK_NAMES } from '../quirks.js';
+import { PALETTES } from '../renderer.js';
+import { MODELS } from '../models.js';
+import { entryModel } from '../rom-database.js';
+import { downloadFile } from './download.js';
+
+const CUSTOM_PALETTE = "custom";
+
+/**
+ * The metadata database entry of the running ROM (rom-database.js): its SHA-1, what the database knows about it,
+ * and a form to save the user's own entry from the current quirks, controls and palette. Databases are exported and
+ * imported as JSON.
+ *
+ * Options:
+ * - bindings: the Bindings, saved entries take the bindings that differ from the defaults as their key layout.
+ * - renderer: the Renderer, for the "Current colours" palette.
+ * - onChange(): an entry of the running ROM was saved, forgotten or imported, so it has to be applied again.
+ */
+class MetadataPanel {
+    constructor(container, database, cpu, options = {}) {
+        this.container = container;
+        this.database = database;
+        this.cpu = cpu;
+        this.bindings = options.bindings;
+        this.renderer = options.renderer;
+        this.onChange = options.onChange || (() => {});
+
+        // SHA-1 of the running ROM, null before one is loaded.
+        this.hash = null;
+        // Why the bundled database didn't load, null when it did.
+        this.bundledError = null;
+
+        this.build();
+    }
+
+    build() {
+        const heading = document.createElement("strong");
+        heading.textContent = "ROM metadata ";
+        this.container.appendChild(heading);
+
+        this.status = document.createElement("span");
+        this.container.appendChild(this.status);
+
+        const form = document.createElement("div");
+
+        this.titleInput = this.field(form, "Title ", document.createElement("input"));
+
+        this.platformSelect = this.field(form, " Platform ", document.createElement("select"));
+        for (const preset in PRESETS) {
+            this.platformSelect.appendChild(new Option(PRESET_NAMES[preset], preset));
+        }
+
+        this.modelSelect = this.field(form, " Model ", document.createElement("select"));
+        for (const model in MODELS) {
+            this.modelSelect.appendChild(new Option(MODELS[model].name, model));
+        }
+
+        this.speedInput = this.field(form, " Instructions per frame ", document.createElement("input"));
+        this.speedInput.type = "number";
+        this.speedInput.min = 1;
+
+        this.paletteSelect = this.field(form, " Palette ", document.createElement("select"));
+        this.paletteSelect.appendChild(new Option("-", ""));
+        for (const name in PALETTES) {
+            this.paletteSelect.appendChild(new Option(PALETTES[name].name, name));
+        }
+        this.paletteSelect.appendChild(new Option("Current colours", CUSTOM_PALETTE));
+
+        this.container.appendChild(form);
+
+        this.controlsInput = document.createElement("textarea");
+        this.controlsInput.rows = 4;
+        this.controlsInput.cols = 40;
+        this.controlsInput.placeholder = "5: Drop a bomb";
+        this.container.appendChild(this.controlsInput);
+
+        const buttons = document.createElement("div");
+        buttons.appendChild(this.button("Save for this ROM", () => this.save()));
+        this.forgetButton = this.button("Forget my entry", () => {
+            this.database.forget(this.hash);
+            this.onChange();
+        });
+        buttons.appendChild(this.forgetButton);
+        buttons.appendChild(this.button("Export database", () => {
+            downloadFile("chip8-metadata.json", this.database.exportText(), "application/json");
+        }));
+
+        const importLabel = document.createElement("label");
+        importLabel.textContent = " Import ";
+
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = ".json,application/json";
+        input.addEventListener("change", () => {
+            if (input.files.length) {
+                input.files[0].text().then((text) => {
+                    const count = this.database.importText(text);
+                    this.status.textContent = count + " entries imported";
+                    this.onChange();
+                }).catch((error) => alert(error.message));
+            }
+        });
+        importLabel.appendChild(input);
+        buttons.appendChild(importLabel);
+
+        this.container.appendChild(buttons);
+
+        this.show(null);
+    }
+
+    field(parent, text, input) {
+        const label = document.createElement("label");
+        label.textContent = text;
+        label.appendChild(input);
+        parent.appendChild(label);
+        return input;
+    }
+
+    button(text, onClick) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", () => {
+            try {
+                onClick();
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+        return button;
+    }
+
+    /**
+     * Show the entry of the ROM with this SHA-1. The form starts with the entry, or with the running settings when
+     * the ROM is unknown.
+     */
+    show(hash) {
+        this.hash = hash;
+
+        const entry = hash === null ? null : this.database.entry(hash);
+        const userEntry = hash !== null && this.database.isUserEntry(hash);
+
+        if (hash === null) {
+            this.status.textContent = "No ROM loaded";
+        } else if (entry) {
+            this.status.textContent = "SHA-1 " + hash + ": " + entry.title + " (" + PRESET_NAMES[entry.platform] + ")"
+                + (userEntry ? ", your own entry" : "");
+        } else {
+            this.status.textContent = "SHA-1 " + hash + " is not in the database";
+        }
+        if (this.bundledError !== null) {
+            this.status.textContent += ". The bundled database didn't load: " + this.bundledError;
+        }
+        if (this.database.storageError !== null) {
+            this.status.textContent += ". Some of your entries were left out: " + this.database.storageError;
+        }
+        this.forgetButton.disabled = !userEntry;
+
+        this.titleInput.value = entry ? entry.title : "";
+        this.platformSelect.value = entry ? entry.platform : this.runningPlatform();
+        this.modelSelect.value = entry ? entryModel(entry) : this.cpu.model;
+        this.speedInput.value = entry && entry.speed ? entry.speed : this.cpu.speed;
+
+        const palette = entry ? entry.palette : undefined;
+        this.paletteSelect.value = palette === undefined ? "" : typeof palette === "string" ? palette : CUSTOM_PALETTE;
+
+        this.controlsInput.value = Object.entries(entry && entry.controls || {}).map(([key, text]) => key + ": " + text).join("\n");
+    }
+
+    /**
+     * The bundled database couldn't be loaded, ROMs only have the user's own entries.
+     */
+    bundledFailed(error) {
+        this.bundledError = error.message;
+        this.show(this.hash);
+    }
+
+    /**
+     * The preset the running quirks match, or the default one.
+     */
+    runningPlatform() {
+        return Object.keys(PRESETS).find((name) => QUIRK_NAMES.every((quirk) => PRESETS[name][quirk] === this.cpu.quirks[quirk])) || "default";
+    }
+
+    /**
+     * Save the form as the user's own entry of the running ROM. The quirks are the running ones that differ from
+     * the platform, the key layout the bindings that differ from the defaults.
+     */
+    save() {
+        if (this.hash === null) {
+            throw new Error("No ROM loaded");
+        }
+
+        const platform = this.platformSelect.value;
+        const entry = {
+            title: this.titleInput.value.trim(),
+            platform: platform,
+            speed: Number(this.speedInput.value)
+        };
+        if (this.modelSelect.value !== "chip8") {
+            entry.model = this.modelSelect.value;
+        }
+
+        const quirks = {};
+        for (const quirk of QUIRK_NAMES) {
+            if (this.cpu.quirks[quirk] !== PRESETS[platform][quirk]) {
+                quirks[quirk] = this.cpu.quirks[quirk];
+            }
+        }
+        if (Object.keys(quirks).length) {
+            entry.quirks = quirks;
+        }
+
+        const keys = {};
+        for (const [device, layout] of Object.entries(this.bindings.layoutChanges())) {
+            if (Object.keys(layout).length) {
+                keys[device] = layout;
+            }
+        }
+        if (Object.keys(keys).length) {
+            entry.keys = keys;
+        }
+
+        const controls = this.parseControls(this.controlsInput.value);
+        if (Object.keys(controls).length) {
+            entry.controls = controls;
+        }
+
+        if (this.paletteSelect.value === CUSTOM_PALETTE) {
+            entry.palette = { background: this.renderer.palette.background, colors: this.renderer.palette.colors.slice() };
+        } else if (this.paletteSelect.value !== "") {
+            entry.palette = this.paletteSelect.value;
+        }
+
+        this.database.save(this.hash, entry);
+        this.onChange();
+    }
+
+    /**
+     * "5: Drop a bomb" lines, one per chip-8 key.
+     */
+    parseControls(text) {
+        const controls = {};
+
+        for (const line of text.split("\n")) {
+            if (line.trim() === "") {
+                continue;
+            }
+
+            const match = /^\s*([0-9A-F])\s*:\s*(.*?)\s*$/i.exec(line);
+            if (!match) {
+                throw new Error("Controls are lines like \"5: Drop a bomb\", not \"" + line.trim() + "\"");
+            }
+            controls[match[1].toUpperCase()] = match[2];
+        }
+
+        return controls;
+    }
+}
+
+export default MetadataPanel;
@@ -0,0 +1,168 @@
+import { MovieRecorder, MoviePlayer, serializeMovie, parseMovie } from '../movie.js';
+import { downloadFile } from './download.js';
+
+/**
+ * Record the game into a movie file, and play movie files back.
+ * The main loop calls frame() before every emulated frame and ran() after it, so the movie sees every frame and
+ * the instructions it ran.
+ *
+ * Options:
+ * - rom(): name of the running ROM, stored in the movie and used for the file name.
+ * - onPlay(): called when playback changed the machine settings (quirks).
+ */
+class MoviePanel {
+    constructor(container, cpu, options = {}) {
+        this.container = container;
+        this.cpu = cpu;
+        this.rom = options.rom || (() => null);
+        this.onPlay = options.onPlay || (() => {});
+
+        this.recorder = null;
+        this.player = null;
+
+        this.build();
+        this.update();
+    }
+
+    /**
+     * True while recording or playing, the main loop doesn't rewind then.
+     */
+    get active() {
+        return this.recorder !== null || this.player !== null;
+    }
+
+    build() {
+        this.recordButton = this.button("Record movie", () => {
+            this.stop();
+
+            this.recorder = new MovieRecorder(this.cpu, this.rom());
+            this.recorder.start();
+            this.setStatus("Recording from a reset");
+        });
+
+        this.stopButton = this.button("Stop", () => this.stop());
+
+        const playLabel = document.createElement("label");
+        playLabel.textContent = "Play movie ";
+
+        this.fileInput = document.createElement("input");
+        this.fileInput.type = "file";
+        this.fileInput.accept = ".c8m,application/json";
+        this.fileInput.addEventListener("change", () => {
+            if (!this.fileInput.files.length) {
+                return;
+            }
+
+            this.fileInput.files[0].text().then((text) => {
+                this.stop();
+
+                this.player = new MoviePlayer(this.cpu, parseMovie(text));
+                this.player.start();
+                this.onPlay();
+                this.update();
+            }).catch((error) => {
+                this.player = null;
+                this.setStatus(error.message);
+            }).finally(() => {
+                this.fileInput.value = "";
+            });
+        });
+        playLabel.appendChild(this.fileInput);
+        this.container.appendChild(playLabel);
+
+        this.status = document.createElement("span");
+        this.container.appendChild(this.status);
+    }
+
+    button(text, onClick) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", () => {
+            try {
+                onClick();
+            } catch (error) {
+                this.setStatus(error.message);
+            }
+            this.update();
+        });
+        this.container.appendChild(button);
+        return button;
+    }
+
+    /**
+     * A frame of `instructions` instructions is about to run. Returns the number of instructions to run instead:
+     * the recorded one while a movie plays.
+     */
+    frame(instructions) {
+        if (this.player) {
+            if (this.player.finished) {
+                this.stop();
+                return instructions;
+            }
+            return this.player.frame();
+        }
+
+        return instructions;
+    }
+
+    /**
+     * The frame ran `instructions` instructions. A recording ends when the debugger paused the machine, the frames
+     * after it would not play back the same.
+     */
+    ran(instructions) {
+        if (!this.recorder) {
+            return;
+        }
+
+        this.recorder.frame(instructions);
+
+        if (this.cpu.debugger && this.cpu.debugger.paused) {
+            const frames = this.recorder.frameCount;
+            this.stop();
+            this.setStatus("Recorded " + frames + " frames, until the debugger paused");
+        }
+    }
+
+    /**
+     * Stop recording (and download the movie) or stop playing (and report whether it matched the recording).
+     */
+    stop() {
+        if (this.recorder) {
+            const movie = this.recorder.stop();
+            this.recorder = null;
+
+            downloadFile((movie.rom || "chip8") + ".c8m", serializeMovie(movie), "application/json");
+            this.setStatus("Recorded " + movie.frames + " frames");
+        }
+
+        if (this.player) {
+            const frames = this.player.frameCount;
+            const result = this.player.stop();
+            this.player = null;
+
+            if (result.matched) {
+                this.setStatus("Played " + frames + " frames, the screen matches the recording");
+            } else {
+                this.setStatus("Played " + frames + " frames, the screen does not match the recording (" + result.checksum + " instead of " + result.expected + ")");
+            }
+        }
+
+        this.update();
+    }
+
+    setStatus(text) {
+        this.status.textContent = " " + text;
+    }
+
+    update() {
+        this.stopButton.disabled = !this.active;
+
+        if (this.player) {
+            this.setStatus("Playing frame " + this.player.frameCount + " of " + this.player.movie.frames);
+        } else if (this.recorder) {
+            this.setStatus("Recording frame " + this.recorder.frameCount);
+        }
+    }
+}
+
+export default MoviePanel;
@@ -0,0 +1,261 @@
+import Netplay, { NETPLAY_DEFAULTS, createSession } from '../netplay.js';
+
+/**
+ * Two-player link play (netplay.js) through the relay of tools/netplay-server.js. The host opens a room and gets
+ * a code, the other player joins with the code, and the host starts the session with the running ROM and the
+ * delay, rollback and hash settings of the form. The main loop calls frame() instead of running frames itself
+ * while a session is active.
+ *
+ * Options:
+ * - rom(): name of the running ROM, sent along with it.
+ * - onStart(session): a session reset the machine with the host's ROM and settings.
+ * - onStop(): the session ended.
+ */
+class NetplayPanel {
+    constructor(container, cpu, options = {}) {
+        this.container = container;
+        this.cpu = cpu;
+        this.rom = options.rom || (() => null);
+        this.onStart = options.onStart || (() => {});
+        this.onStop = options.onStop || (() => {});
+
+        this.netplay = new Netplay(cpu, (message) => this.send(message), {
+            onStop: () => this.onStop(),
+            // The other player finds out from the hashes too, both stay in the room until they leave.
+            onDesync: (desync) => {
+                this.update();
+                this.setStatus("Desynced at frame " + desync.frame + ": state hash " + desync.local + " here, "
+                    + desync.remote + " for the other player");
+            }
+        });
+
+        // The WebSocket to the relay, null when not connected.
+        this.socket = null;
+        // 1 for the host, 2 for the player that joined.
+        this.player = null;
+
+        this.build();
+        this.update();
+    }
+
+    /**
+     * True while a session runs, the main loop leaves the frames to it then.
+     */
+    get active() {
+        return this.netplay.active;
+    }
+
+    build() {
+        const heading = document.createElement("strong");
+        heading.textContent = "Netplay ";
+        this.container.appendChild(heading);
+
+        // The relay serves the page too, so by default it is where the page came from.
+        this.serverInput = this.input("Relay ", 28);
+        this.serverInput.value = (location.protocol === "https:" ? "wss://" : "ws://") + (location.host || "localhost:8080") + "/netplay";
+
+        this.hostButton = this.button("Host", () => this.connect({ type: "host" }, 1));
+        this.roomInput = this.input(" Room ", 5);
+        this.roomInput.placeholder = "ABCD";
+        this.joinButton = this.button("Join", () => {
+            if (this.roomInput.value.trim() === "") {
+                throw new Error("Enter the room code of the host");
+            }
+            this.connect({ type: "join", room: this.roomInput.value.trim().toUpperCase() }, 2);
+        });
+        this.leaveButton = this.button("Leave", () => {
+            this.leave();
+            this.setStatus("Left the room");
+        });
+
+        const settings = document.createElement("div");
+        this.delayInput = this.number(settings, "Input delay (frames) ", NETPLAY_DEFAULTS.delay);
+        this.rollbackInput = this.number(settings, " Rollback (frames) ", NETPLAY_DEFAULTS.rollback);
+        this.hashInput = this.number(settings, " Desync check every (frames) ", NETPLAY_DEFAULTS.hashInterval);
+        this.hashInput.min = 1;
+        this.container.appendChild(settings);
+
+        this.status = document.createElement("span");
+        this.container.appendChild(this.status);
+    }
+
+    input(text, size, parent = this.container) {
+        const label = document.createElement("label");
+        label.textContent = text;
+        const input = document.createElement("input");
+        input.size = size;
+        label.appendChild(input);
+        parent.appendChild(label);
+        return input;
+    }
+
+    number(parent, text, value) {
+        const input = this.input(text, 4, parent);
+        input.type = "number";
+        input.min = 0;
+        input.value = value;
+        return input;
+    }
+
+    button(text, onClick) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", () => {
+            try {
+                onClick();
+            } catch (error) {
+                alert(error.message);
+            }
+            this.update();
+        });
+        this.container.appendChild(button);
+        return button;
+    }
+
+    /**
+     * The session settings of the form, checked before a room is opened rather than when the other player is there.
+     */
+    settings() {
+        const settings = {
+            delay: Number(this.delayInput.value),
+            rollback: Number(this.rollbackInput.value),
+            hashInterval: Number(this.hashInput.value)
+        };
+
+        for (const [name, value] of Object.entries(settings)) {
+            if (!Number.isInteger(value) || value < (name === "hashInterval" ? 1 : 0)) {
+                throw new Error("Invalid netplay setting " + name + ": " + value);
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Connect to the relay and host or join a room with the first message.
+     */
+    connect(first, player) {
+        if (player === 1) {
+            if (!this.cpu.program) {
+                throw new Error("Load a ROM before hosting");
+            }
+            this.settings();
+        }
+
+        this.leave();
+        this.player = player;
+        this.setStatus("Connecting to " + this.serverInput.value);
+
+        const socket = new WebSocket(this.serverInput.value);
+        let opened = false;
+        socket.addEventListener("open", () => {
+            opened = true;
+            socket.send(JSON.stringify(first));
+        });
+        socket.addEventListener("message", (event) => {
+            try {
+                this.receive(JSON.parse(event.data));
+            } catch (error) {
+                this.leave();
+                this.setStatus(error.message);
+            }
+        });
+        socket.addEventListener("close", () => {
+            if (this.socket === socket) {
+                this.socket = null;
+                this.netplay.stop();
+                this.update();
+                this.setStatus(opened ? "Disconnected from the relay" : "Could not reach the relay at " + socket.url);
+            }
+        });
+        this.socket = socket;
+    }
+
+    receive(message) {
+        switch (message.type) {
+            case "room":
+                this.setStatus("Room " + message.room + ": waiting for player 2 to join");
+                break;
+            case "joined":
+                this.setStatus("Joined room " + message.room + ": waiting for the host to start");
+                break;
+            case "peer": {
+                // The other player is there: start with the ROM that runs now.
+                const session = createSession(this.cpu, this.rom(), this.settings());
+                this.send({ type: "start", session: session });
+                this.start(session);
+                break;
+            }
+            case "start":
+                this.start(message.session);
+                break;
+            case "left":
+                this.leave();
+                this.setStatus("The other player left");
+                break;
+            case "error":
+                this.leave();
+                this.setStatus(message.message);
+                break;
+            default:
+                this.netplay.receive(message);
+        }
+
+        this.update();
+    }
+
+    start(session) {
+        this.netplay.start(session);
+        this.onStart(session);
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * End the session and leave the room. The relay ends the other player's session with it.
+     */
+    leave() {
+        this.netplay.stop();
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.update();
+    }
+
+    /**
+     * Run the next frame of the session. Called for every emulated frame while active.
+     */
+    frame() {
+        this.netplay.frame();
+    }
+
+    setStatus(text) {
+        this.status.textContent = " " + text;
+    }
+
+    /**
+     * Called every animation frame.
+     */
+    update() {
+        const connected = this.socket !== null;
+        this.hostButton.disabled = connected;
+        this.joinButton.disabled = connected;
+        this.leaveButton.disabled = !connected;
+
+        const netplay = this.netplay;
+        if (netplay.active) {
+            this.setStatus("Player " + this.player + " of " + (netplay.session.rom || "the host's ROM") + ", frame "
+                + netplay.frameCount + ", waited " + netplay.stalls + " frames for the other player, "
+                + netplay.rollbacks + " rollbacks");
+        }
+    }
+}
+
+export default NetplayPanel;
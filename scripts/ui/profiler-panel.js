@@ -0,0 +1,274 @@
+import { decodeAt } from '../decoder.js';
+import { traceCode } from '../disassembler.js';
+import { downloadFile } from './download.js';
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+// The heatmap shows the 4KB of a CHIP-8 program as 64 rows of 64 bytes.
+const HEATMAP_BYTES = 4096;
+const HEATMAP_COLUMNS = 64;
+const CELL_SIZE = 4;
+
+// Rows of the hot-spot table.
+const HOT_SPOTS = 64;
+
+// While profiling, the tables are refreshed every this many animation frames.
+const UPDATE_INTERVAL = 30;
+
+const HEATMAP_MODES = {
+    executions: "Execution",
+    reads: "Reads",
+    writes: "Writes",
+    coverage: "Coverage"
+};
+
+const COVERAGE_COLORS = {
+    executed: "#3a7",
+    missed: "#c33",
+    other: "#eee"
+};
+
+/**
+ * Profiler controls and results: start, stop, reset and export as JSON, a memory heatmap of the 4KB program space,
+ * a sortable hot-spot table, instruction families, call graph edges and Fx0A wait cycles.
+ *
+ * Options:
+ * - rom(): name of the running ROM, used for the file name.
+ */
+class ProfilerPanel {
+    constructor(container, profiler, cpu, options = {}) {
+        this.container = container;
+        this.profiler = profiler;
+        this.cpu = cpu;
+        this.rom = options.rom || (() => null);
+
+        this.sortColumn = "count";
+        this.sortDescending = true;
+        this.frames = 0;
+
+        // Code found in the loaded program, for the coverage heatmap. Traced again when another program is loaded.
+        this.codeProgram = null;
+        this.codeModel = null;
+        this.code = new Map();
+
+        this.build();
+        this.refresh();
+    }
+
+    build() {
+        const controls = document.createElement("div");
+        const heading = document.createElement("strong");
+        heading.textContent = "Profiler ";
+        controls.appendChild(heading);
+
+        const label = document.createElement("label");
+        this.profileCheckbox = document.createElement("input");
+        this.profileCheckbox.type = "checkbox";
+        this.profileCheckbox.addEventListener("change", () => {
+            if (this.profileCheckbox.checked) {
+                this.profiler.start();
+            } else {
+                this.profiler.stop();
+            }
+            this.refresh();
+        });
+        label.appendChild(this.profileCheckbox);
+        label.appendChild(document.createTextNode(" Profile "));
+        controls.appendChild(label);
+
+        this.button(controls, "Reset", () => this.profiler.reset());
+        this.button(controls, "Export JSON", () => {
+            downloadFile((this.rom() || "chip8") + "-profile.json", JSON.stringify(this.profiler, null, 2), "application/json");
+        });
+
+        const modeLabel = document.createElement("label");
+        modeLabel.textContent = " Heatmap ";
+        this.modeSelect = document.createElement("select");
+        for (const [mode, text] of Object.entries(HEATMAP_MODES)) {
+            const option = document.createElement("option");
+            option.value = mode;
+            option.textContent = text;
+            this.modeSelect.appendChild(option);
+        }
+        this.modeSelect.addEventListener("change", () => this.drawHeatmap());
+        modeLabel.appendChild(this.modeSelect);
+        controls.appendChild(modeLabel);
+
+        this.status = document.createElement("span");
+        controls.appendChild(this.status);
+
+        this.container.appendChild(controls);
+
+        this.heatmap = document.createElement("canvas");
+        this.heatmap.className = "profiler-heatmap";
+        this.heatmap.width = HEATMAP_COLUMNS * CELL_SIZE;
+        this.heatmap.height = HEATMAP_BYTES / HEATMAP_COLUMNS * CELL_SIZE;
+        this.heatmap.addEventListener("mousemove", (event) => this.hover(event));
+        this.container.appendChild(this.heatmap);
+
+        this.hotSpots = document.createElement("table");
+        this.hotSpots.className = "profiler-table";
+        this.container.appendChild(this.hotSpots);
+
+        this.families = document.createElement("pre");
+        this.container.appendChild(this.families);
+
+        this.calls = document.createElement("pre");
+        this.container.appendChild(this.calls);
+    }
+
+    button(parent, text, onClick) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", () => {
+            onClick();
+            this.refresh();
+        });
+        parent.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Called every animation frame. Counting the results takes a while, so they are only refreshed now and then.
+     */
+    update() {
+        this.profileCheckbox.checked = this.profiler.running;
+
+        if (this.profiler.running && ++this.frames >= UPDATE_INTERVAL) {
+            this.refresh();
+        }
+    }
+
+    refresh() {
+        this.frames = 0;
+
+        const profiler = this.profiler;
+        this.status.textContent = " " + profiler.instructions + " instructions in " + profiler.frames + " frames, "
+            + profiler.waitCycles + " waiting for a key (Fx0A)";
+
+        this.drawHeatmap();
+        this.updateHotSpots();
+
+        this.families.textContent = Array.from(profiler.families).sort((a, b) => b[1] - a[1])
+            .map(([family, count]) => String(count).padStart(9) + "  " + family).join("\n");
+
+        this.calls.textContent = Array.from(profiler.edges.values())
+            .map((edge) => hex(edge.from, 3) + (edge.type === "call" ? " calls " : " returns to ") + hex(edge.to, 3) + " x" + edge.count)
+            .join("\n");
+    }
+
+    /**
+     * Execution, read or write counts on a log scale, or the coverage: code that executed, and code that didn't.
+     */
+    drawHeatmap() {
+        const context = this.heatmap.getContext("2d");
+        const mode = this.modeSelect.value;
+
+        context.clearRect(0, 0, this.heatmap.width, this.heatmap.height);
+
+        if (mode === "coverage") {
+            this.traceCode();
+        }
+
+        const counts = mode === "coverage" ? this.profiler.executions : this.profiler[mode];
+        let max = 0;
+        for (let address = 0; address < HEATMAP_BYTES; address++) {
+            max = Math.max(max, counts[address]);
+        }
+
+        for (let address = 0; address < HEATMAP_BYTES; address++) {
+            let color = null;
+
+            if (mode === "coverage") {
+                color = this.coverageColor(address);
+            } else if (counts[address]) {
+                // Hue from blue (rarely) to red (the most).
+                const heat = Math.log(counts[address] + 1) / Math.log(max + 1);
+                color = "hsl(" + Math.round(240 - heat * 240) + ", 90%, 50%)";
+            }
+
+            if (color) {
+                context.fillStyle = color;
+                context.fillRect((address % HEATMAP_COLUMNS) * CELL_SIZE, Math.floor(address / HEATMAP_COLUMNS) * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+            }
+        }
+    }
+
+    traceCode() {
+        // The same ROM loads again for another model, which reads some of its code differently.
+        if (this.cpu.program !== this.codeProgram || this.cpu.model !== this.codeModel) {
+            this.codeProgram = this.cpu.program;
+            this.codeModel = this.cpu.model;
+            this.code = new Map();
+
+            if (this.codeProgram) {
+                // Instructions are keyed by their first byte, the heatmap colors all of their bytes.
+                for (const [address, instruction] of traceCode(this.codeProgram, this.cpu.programStart, this.cpu.model).code) {
+                    for (let byte = 0; byte < instruction.size; byte++) {
+                        this.code.set(address + byte, address);
+                    }
+                }
+            }
+        }
+    }
+
+    coverageColor(address) {
+        if (!this.code.has(address)) {
+            const start = this.cpu.programStart;
+            return address >= start && address < start + (this.codeProgram ? this.codeProgram.length : 0) ? COVERAGE_COLORS.other : null;
+        }
+        return this.profiler.executions[this.code.get(address)] ? COVERAGE_COLORS.executed : COVERAGE_COLORS.missed;
+    }
+
+    hover(event) {
+        const bounds = this.heatmap.getBoundingClientRect();
+        const column = Math.floor((event.clientX - bounds.left) / CELL_SIZE);
+        const row = Math.floor((event.clientY - bounds.top) / CELL_SIZE);
+        const address = row * HEATMAP_COLUMNS + column;
+
+        if (column < 0 || column >= HEATMAP_COLUMNS || address < 0 || address >= HEATMAP_BYTES) {
+            return;
+        }
+
+        const profiler = this.profiler;
+        this.heatmap.title = hex(address, 3) + "  " + decodeAt(this.cpu.memory, address, this.cpu.model).text
+            + "\nExecuted " + profiler.executions[address] + ", read " + profiler.reads[address] + ", written " + profiler.writes[address];
+    }
+
+    updateHotSpots() {
+        const spots = this.profiler.hotSpots();
+        const column = this.sortColumn;
+        spots.sort((a, b) => {
+            const order = column === "text" ? a.text.localeCompare(b.text) : a[column] - b[column];
+            return this.sortDescending ? -order : order;
+        });
+
+        this.hotSpots.innerHTML = "";
+
+        const header = document.createElement("tr");
+        for (const [key, text] of [["address", "Address"], ["text", "Instruction"], ["count", "Executions"], ["share", "%"]]) {
+            const cell = document.createElement("th");
+            cell.textContent = text + (key === column ? (this.sortDescending ? " v" : " ^") : "");
+            cell.addEventListener("click", () => {
+                // Clicking the sorted column again flips the order.
+                this.sortDescending = key === column ? !this.sortDescending : key === "count" || key === "share";
+                this.sortColumn = key;
+                this.updateHotSpots();
+            });
+            header.appendChild(cell);
+        }
+        this.hotSpots.appendChild(header);
+
+        for (const spot of spots.slice(0, HOT_SPOTS)) {
+            const row = document.createElement("tr");
+            for (const text of [hex(spot.address, 3), spot.text, String(spot.count), (spot.share * 100).toFixed(2)]) {
+                const cell = document.createElement("td");
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            this.hotSpots.appendChild(row);
+        }
+    }
+}
+
+export default ProfilerPanel;
@@ -0,0 +1,105 @@
+import { PRESETS, PRESET_NAMES, QUIRK_NAMES, createQuirks } from '../quirks.js';
+import { MODELS } from '../models.js';
+
+/**
+ * Machine model selector, preset selector plus a checkbox for every single quirk. Quirk changes apply to the running
+ * CPU right away, a new model loads the running ROM again for that model.
+ *
+ * Options:
+ * - onReset(): the model changed, and the machine was reset with the ROM.
+ */
+class QuirksPanel {
+    constructor(container, cpu, options = {}) {
+        this.container = container;
+        this.cpu = cpu;
+        this.onReset = options.onReset || (() => {});
+
+        // While locked the model and quirks only show, see setLocked.
+        this.locked = false;
+
+        this.build();
+    }
+
+    build() {
+        const modelLabel = document.createElement("label");
+        modelLabel.textContent = "Model ";
+
+        this.modelSelect = document.createElement("select");
+        for (const model in MODELS) {
+            this.modelSelect.appendChild(new Option(MODELS[model].name, model));
+        }
+        this.modelSelect.addEventListener("change", () => {
+            this.cpu.setModel(this.modelSelect.value);
+            if (this.cpu.program) {
+                this.cpu.loadProgram(this.cpu.program);
+                this.onReset();
+            }
+            this.update();
+        });
+        modelLabel.appendChild(this.modelSelect);
+        this.container.appendChild(modelLabel);
+
+        const label = document.createElement("label");
+        label.textContent = " Platform ";
+
+        this.select = document.createElement("select");
+        for (const preset in PRESETS) {
+            const option = document.createElement("option");
+            option.value = preset;
+            option.textContent = PRESET_NAMES[preset];
+            this.select.appendChild(option);
+        }
+        this.select.addEventListener("change", () => {
+            this.cpu.quirks = createQuirks(this.select.value);
+            this.update();
+        });
+        label.appendChild(this.select);
+        this.container.appendChild(label);
+
+        this.checkboxes = {};
+        for (const quirk of QUIRK_NAMES) {
+            const quirkLabel = document.createElement("label");
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.addEventListener("change", () => {
+                this.cpu.quirks[quirk] = checkbox.checked;
+                this.update();
+            });
+            quirkLabel.appendChild(checkbox);
+            quirkLabel.appendChild(document.createTextNode(" " + quirk));
+
+            this.checkboxes[quirk] = checkbox;
+            this.container.appendChild(quirkLabel);
+        }
+
+        this.update();
+    }
+
+    /**
+     * Lock or unlock the model and quirks, for as long as something else decides them (a netplay session).
+     */
+    setLocked(locked) {
+        this.locked = locked;
+        this.update();
+    }
+
+    /**
+     * Show the model and quirks of the CPU. The selector shows a preset only when every quirk matches it.
+     */
+    update() {
+        this.modelSelect.value = this.cpu.model;
+        this.modelSelect.disabled = this.locked;
+        this.select.disabled = this.locked;
+
+        for (const quirk of QUIRK_NAMES) {
+            this.checkboxes[quirk].checked = this.cpu.quirks[quirk];
+            this.checkboxes[quirk].disabled = this.locked;
+        }
+
+        const preset = Object.keys(PRESETS).find((name) => QUIRK_NAMES.every((quirk) => PRESETS[name][quirk] === this.cpu.quirks[quirk]));
+        this.select.value = preset || "";
+    }
+}
+
+export default QuirksPanel;
@@ -0,0 +1,83 @@
+/**
+ * Rewind controls: hold the button (or Backspace) to run the game backwards, let go to resume from that frame.
+ * Also lets the user set the rewind window and memory budget of the RewindBuffer.
+ */
+class RewindPanel {
+    constructor(container, rewind) {
+        this.container = container;
+        this.rewind = rewind;
+
+        // Read by the main loop every frame.
+        this.rewinding = false;
+
+        this.build();
+
+        window.addEventListener("keydown", (event) => {
+            if (event.code === "Backspace" && !this.isTyping(event.target)) {
+                event.preventDefault();
+                this.rewinding = true;
+            }
+        });
+        window.addEventListener("keyup", (event) => {
+            if (event.code === "Backspace" && !this.isTyping(event.target)) {
+                this.rewinding = false;
+            }
+        });
+    }
+
+    /**
+     * Backspace in a field of the page deletes text, it doesn't rewind.
+     */
+    isTyping(target) {
+        return target instanceof HTMLInputElement || target instanceof HTMLSelectElement
+            || target instanceof HTMLTextAreaElement || (target instanceof HTMLElement && target.isContentEditable);
+    }
+
+    build() {
+        const button = document.createElement("button");
+        button.textContent = "Hold to rewind (Backspace)";
+        button.addEventListener("pointerdown", () => this.rewinding = true);
+        button.addEventListener("pointerup", () => this.rewinding = false);
+        button.addEventListener("pointerleave", () => this.rewinding = false);
+        this.container.appendChild(button);
+
+        this.status = document.createElement("span");
+        this.container.appendChild(this.status);
+
+        // 60 frames per second.
+        const seconds = this.numberInput("Window (s)", this.rewind.frames / 60);
+        const budget = this.numberInput("Budget (KB)", this.rewind.memoryBudget / 1024);
+
+        const apply = () => {
+            this.rewind.configure({
+                frames: Math.max(1, Math.round(Number(seconds.value) * 60)),
+                memoryBudget: Math.max(1, Number(budget.value)) * 1024
+            });
+        };
+        seconds.addEventListener("change", apply);
+        budget.addEventListener("change", apply);
+    }
+
+    numberInput(text, value) {
+        const label = document.createElement("label");
+        label.textContent = text + " ";
+
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = 1;
+        input.value = value;
+        label.appendChild(input);
+
+        this.container.appendChild(label);
+        return input;
+    }
+
+    /**
+     * Show how far back the game can currently go.
+     */
+    update() {
+        this.status.textContent = " " + (this.rewind.size / 60).toFixed(1) + "s buffered";
+    }
+}
+
+export default RewindPanel;
@@ -0,0 +1,120 @@
+/**
+ * ROM browser: the ROMs listed in roms/index.json, a file picker for local ROMs,
+ * and drag-and-drop of ROM files onto the canvas.
+ *
+ * Loading goes through the callbacks so the page can update everything that depends on the running ROM:
+ * - loadRom(entry) for a library entry, returns a promise.
+ * - loadFile(name, bytes) for a local file.
+ */
+class RomLibrary {
+    constructor(container, canvas, romLoader, callbacks) {
+        this.container = container;
+        this.canvas = canvas;
+        this.romLoader = romLoader;
+        this.callbacks = callbacks;
+
+        this.build();
+        this.listenForDrops();
+    }
+
+    build() {
+        this.list = document.createElement("ul");
+        this.list.className = "rom-list";
+        this.container.appendChild(this.list);
+
+        const label = document.createElement("label");
+        label.textContent = "Open a ROM file ";
+
+        const input = document.createElement("input");
+        input.type = "file";
+        input.addEventListener("change", () => {
+            if (input.files.length) {
+                this.loadFile(input.files[0]);
+            }
+        });
+        label.appendChild(input);
+        this.container.appendChild(label);
+
+        this.status = document.createElement("div");
+        this.status.className = "rom-status";
+        this.container.appendChild(this.status);
+    }
+
+    /**
+     * Fetch roms/index.json and show its entries. Resolves with the entries.
+     */
+    load() {
+        return this.romLoader.loadLibrary().then((library) => {
+            this.list.innerHTML = "";
+
+            for (const entry of library) {
+                const item = document.createElement("li");
+
+                const title = document.createElement("strong");
+                title.textContent = entry.title || entry.file;
+                item.appendChild(title);
+
+                const details = document.createElement("div");
+                details.textContent = [entry.author, entry.speed ? entry.speed + " instructions per frame" : null].filter(Boolean).join(", ");
+                item.appendChild(details);
+
+                if (entry.controls) {
+                    const controls = document.createElement("div");
+                    controls.textContent = entry.controls;
+                    item.appendChild(controls);
+                }
+
+                const play = document.createElement("button");
+                play.textContent = "Play";
+                play.addEventListener("click", () => this.loadEntry(entry));
+                item.appendChild(play);
+
+                this.list.appendChild(item);
+            }
+
+            return library;
+        }).catch((error) => {
+            this.showError(error);
+            return [];
+        });
+    }
+
+    loadEntry(entry) {
+        this.status.textContent = "Loading " + (entry.title || entry.file) + "...";
+
+        return this.callbacks.loadRom(entry).then(() => {
+            this.status.textContent = "Playing " + (entry.title || entry.file);
+        }).catch((error) => this.showError(error));
+    }
+
+    loadFile(file) {
+        file.arrayBuffer().then((buffer) => {
+            this.callbacks.loadFile(file.name, new Uint8Array(buffer));
+            this.status.textContent = "Playing " + file.name;
+        }).catch((error) => this.showError(error));
+    }
+
+    listenForDrops() {
+        this.canvas.addEventListener("dragover", (event) => {
+            event.preventDefault();
+            this.canvas.classList.add("drop-target");
+        });
+        this.canvas.addEventListener("dragleave", () => this.canvas.classList.remove("drop-target"));
+        this.canvas.addEventListener("drop", (event) => {
+            event.preventDefault();
+            this.canvas.classList.remove("drop-target");
+
+            if (event.dataTransfer.files.length) {
+                this.loadFile(event.dataTransfer.files[0]);
+            }
+        });
+    }
+
+    showError(error) {
+        this.status.textContent = error.message;
+        this.status.classList.add("error");
+        setTimeout(() => this.status.classList.remove("error"), 3000);
+    }
+}
+
+export default RomLibrary;
@@ -0,0 +1,68 @@
+import { downloadFile } from './download.js';
+
+/**
+ * Buttons to save, load and export every slot, plus a file input to import a state.
+ */
+class SaveSlotsPanel {
+    constructor(container, saveSlots) {
+        this.container = container;
+        this.saveSlots = saveSlots;
+
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = "";
+
+        for (let slot = 1; slot <= this.saveSlots.count; slot++) {
+            const row = document.createElement("div");
+            row.className = "save-slot";
+
+            const label = document.createElement("span");
+            label.textContent = "Slot " + slot + (this.saveSlots.has(slot) ? "" : " (empty)");
+            row.appendChild(label);
+
+            row.appendChild(this.button("Save", () => {
+                this.saveSlots.save(slot);
+                this.build();
+            }));
+            row.appendChild(this.button("Load", () => this.saveSlots.load(slot), !this.saveSlots.has(slot)));
+            row.appendChild(this.button("Export", () => {
+                downloadFile(this.saveSlots.rom + "-" + slot + ".c8s", this.saveSlots.exportText(slot), "application/json");
+            }, !this.saveSlots.has(slot)));
+
+            this.container.appendChild(row);
+        }
+
+        const importLabel = document.createElement("label");
+        importLabel.textContent = "Import ";
+
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = ".c8s,application/json";
+        input.addEventListener("change", () => {
+            if (input.files.length) {
+                input.files[0].text().then((text) => this.saveSlots.loadText(text)).catch((error) => alert(error.message));
+            }
+        });
+        importLabel.appendChild(input);
+
+        this.container.appendChild(importLabel);
+    }
+
+    button(text, onClick, disabled) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.disabled = !!disabled;
+        button.addEventListener("click", () => {
+            try {
+                onClick();
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+        return button;
+    }
+}
+
+export default SaveSlotsPanel;
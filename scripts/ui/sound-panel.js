@@ -0,0 +1,126 @@
+import { WAVEFORMS, SoundLog, renderWav } from '../audio.js';
+import { downloadFile } from './download.js';
+
+/**
+ * Volume, mute, waveform and pitch of the speaker, and recording the sound of a session into a WAV file.
+ * The main loop calls frame() after every emulated frame.
+ *
+ * Options:
+ * - rom(): name of the running ROM, used for the file name.
+ */
+class SoundPanel {
+    constructor(container, speaker, cpu, options = {}) {
+        this.container = container;
+        this.speaker = speaker;
+        this.cpu = cpu;
+        this.rom = options.rom || (() => null);
+
+        this.log = null;
+
+        this.speaker.onUnlock = () => this.update();
+
+        this.build();
+        this.update();
+    }
+
+    build() {
+        // Any click unlocks the sound, this button only says so.
+        this.unlockButton = document.createElement("button");
+        this.unlockButton.textContent = "Enable sound";
+        this.unlockButton.addEventListener("click", () => this.speaker.unlock());
+        this.container.appendChild(this.unlockButton);
+
+        const muteLabel = document.createElement("label");
+        this.muteCheckbox = document.createElement("input");
+        this.muteCheckbox.type = "checkbox";
+        this.muteCheckbox.addEventListener("change", () => this.speaker.setMuted(this.muteCheckbox.checked));
+        muteLabel.appendChild(this.muteCheckbox);
+        muteLabel.appendChild(document.createTextNode(" Mute"));
+        this.container.appendChild(muteLabel);
+
+        this.volumeInput = this.input("Volume ", { type: "range", min: 0, max: 100 }, () => {
+            this.speaker.setVolume(Number(this.volumeInput.value) / 100);
+        });
+
+        const waveformLabel = document.createElement("label");
+        waveformLabel.textContent = "Waveform ";
+        this.waveformSelect = document.createElement("select");
+        for (const waveform of WAVEFORMS) {
+            const option = document.createElement("option");
+            option.value = waveform;
+            option.textContent = waveform;
+            this.waveformSelect.appendChild(option);
+        }
+        this.waveformSelect.addEventListener("change", () => this.speaker.setWaveform(this.waveformSelect.value));
+        waveformLabel.appendChild(this.waveformSelect);
+        this.container.appendChild(waveformLabel);
+
+        this.pitchInput = this.input("Pitch (Hz) ", { type: "number", min: 20, max: 4000 }, () => {
+            const frequency = Number(this.pitchInput.value);
+            if (frequency >= 20 && frequency <= 4000) {
+                this.speaker.setFrequency(frequency);
+            }
+        });
+
+        this.recordButton = document.createElement("button");
+        this.recordButton.addEventListener("click", () => {
+            if (this.log) {
+                this.stop();
+            } else {
+                this.log = new SoundLog();
+            }
+            this.update();
+        });
+        this.container.appendChild(this.recordButton);
+
+        this.status = document.createElement("span");
+        this.container.appendChild(this.status);
+    }
+
+    input(text, attributes, onInput) {
+        const label = document.createElement("label");
+        label.textContent = text;
+
+        const input = document.createElement("input");
+        Object.assign(input, attributes);
+        input.addEventListener("input", onInput);
+
+        label.appendChild(input);
+        this.container.appendChild(label);
+
+        return input;
+    }
+
+    /**
+     * An emulated frame ran.
+     */
+    frame() {
+        if (this.log) {
+            this.log.record(this.cpu);
+        }
+    }
+
+    /**
+     * Stop recording and download the WAV file, with the current waveform, pitch and volume.
+     */
+    stop() {
+        const log = this.log;
+        this.log = null;
+
+        const wav = renderWav(log.frames, { volume: this.speaker.volume, waveform: this.speaker.waveform, frequency: this.speaker.frequency });
+        downloadFile((this.rom() || "chip8") + ".wav", wav, "audio/wav");
+
+        this.status.textContent = " Recorded " + log.frames.length + " frames, " + log.audibleFrames + " with sound";
+    }
+
+    update() {
+        this.unlockButton.hidden = !this.speaker.locked;
+        this.muteCheckbox.checked = this.speaker.muted;
+        this.volumeInput.value = Math.round(this.speaker.volume * 100);
+        this.waveformSelect.value = this.speaker.waveform;
+        this.pitchInput.value = this.speaker.frequency;
+        this.recordButton.textContent = this.log ? "Stop and save WAV" : "Record WAV";
+    }
+}
+
+export default SoundPanel;
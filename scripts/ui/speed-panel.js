@@ -0,0 +1,77 @@
+import { CORES } from '../fast-core.js';
+
+/**
+ * CPU speed (instructions per second), the emulation speed (slow motion, real time or fast-forward)
+ * and the core that runs the instructions.
+ */
+const MULTIPLIERS = [
+    { value: 0.25, text: "Slow motion (0.25x)" },
+    { value: 0.5, text: "Slow motion (0.5x)" },
+    { value: 1, text: "Normal (1x)" },
+    { value: 2, text: "Fast-forward (2x)" },
+    { value: 4, text: "Fast-forward (4x)" },
+    { value: 8, text: "Turbo (8x)" }
+];
+
+class SpeedPanel {
+    constructor(container, scheduler, cpu) {
+        this.container = container;
+        this.scheduler = scheduler;
+        this.cpu = cpu;
+
+        this.build();
+        this.update();
+    }
+
+    build() {
+        const speedLabel = document.createElement("label");
+        speedLabel.textContent = "Instructions per second ";
+
+        this.speedInput = document.createElement("input");
+        this.speedInput.type = "number";
+        this.speedInput.min = 60;
+        this.speedInput.step = 60;
+        this.speedInput.addEventListener("change", () => {
+            const value = Number(this.speedInput.value);
+            if (value > 0) {
+                this.scheduler.instructionsPerSecond = value;
+            }
+            this.update();
+        });
+        speedLabel.appendChild(this.speedInput);
+        this.container.appendChild(speedLabel);
+
+        this.multiplierSelect = document.createElement("select");
+        for (const multiplier of MULTIPLIERS) {
+            const option = document.createElement("option");
+            option.value = multiplier.value;
+            option.textContent = multiplier.text;
+            this.multiplierSelect.appendChild(option);
+        }
+        this.multiplierSelect.addEventListener("change", () => {
+            this.scheduler.speedMultiplier = Number(this.multiplierSelect.value);
+        });
+        this.container.appendChild(this.multiplierSelect);
+
+        const coreLabel = document.createElement("label");
+        coreLabel.textContent = " Core ";
+        this.coreSelect = document.createElement("select");
+        for (const core of CORES) {
+            const option = document.createElement("option");
+            option.value = core;
+            option.textContent = core;
+            this.coreSelect.appendChild(option);
+        }
+        this.coreSelect.addEventListener("change", () => this.cpu.setCore(this.coreSelect.value));
+        coreLabel.appendChild(this.coreSelect);
+        this.container.appendChild(coreLabel);
+    }
+
+    update() {
+        this.speedInput.value = this.scheduler.instructionsPerSecond;
+        this.multiplierSelect.value = this.scheduler.speedMultiplier;
+        this.coreSelect.value = this.cpu.core;
+    }
+}
+
+export default SpeedPanel;
@@ -0,0 +1,96 @@
+/**
+ * On-screen 4x4 hex keypad in the layout of the COSMAC VIP, for phones and tablets.
+ * Every finger is its own input source, so several keys can be held at once and a key stays down
+ * until the last finger on it lets go.
+ */
+const LAYOUT = [
+    0x1, 0x2, 0x3, 0xC,
+    0x4, 0x5, 0x6, 0xD,
+    0x7, 0x8, 0x9, 0xE,
+    0xA, 0x0, 0xB, 0xF
+];
+
+class TouchKeypad {
+    constructor(container, keypad) {
+        this.container = container;
+        this.keypad = keypad;
+
+        // Key held by every pointer (finger) that is down.
+        this.pointers = new Map();
+
+        this.build();
+    }
+
+    build() {
+        this.grid = document.createElement("div");
+        this.grid.className = "touch-keypad";
+
+        this.buttons = LAYOUT.map((key) => {
+            const button = document.createElement("button");
+            button.textContent = key.toString(16).toUpperCase();
+            button.dataset.key = key;
+            this.grid.appendChild(button);
+            return button;
+        });
+
+        this.grid.addEventListener("pointerdown", (event) => {
+            const button = event.target.closest("button");
+            if (button) {
+                event.preventDefault();
+                // The grid keeps getting the pointer's events when it leaves the keypad, so its key is let go of
+                // wherever it comes up.
+                this.grid.setPointerCapture(event.pointerId);
+                this.down(event.pointerId, Number(button.dataset.key));
+            }
+        });
+
+        // A finger that slides onto another key lets go of the first one.
+        this.grid.addEventListener("pointermove", (event) => {
+            if (!this.pointers.has(event.pointerId)) {
+                return;
+            }
+
+            const element = document.elementFromPoint(event.clientX, event.clientY);
+            const button = element && element.closest(".touch-keypad button");
+            const key = button ? Number(button.dataset.key) : null;
+
+            if (key !== this.pointers.get(event.pointerId)) {
+                this.up(event.pointerId);
+                if (key !== null) {
+                    this.down(event.pointerId, key);
+                }
+            }
+        });
+
+        for (const type of ["pointerup", "pointercancel", "lostpointercapture"]) {
+            this.grid.addEventListener(type, (event) => this.up(event.pointerId));
+        }
+
+        // No long-press menus or text selection while playing.
+        this.grid.addEventListener("contextmenu", (event) => event.preventDefault());
+
+        this.container.appendChild(this.grid);
+    }
+
+    down(pointerId, key) {
+        this.pointers.set(pointerId, key);
+        this.keypad.press(key, "touch" + pointerId);
+        this.buttons[LAYOUT.indexOf(key)].classList.add("pressed");
+    }
+
+    up(pointerId) {
+        if (!this.pointers.has(pointerId)) {
+            return;
+        }
+
+        const key = this.pointers.get(pointerId);
+        this.pointers.delete(pointerId);
+        this.keypad.release(key, "touch" + pointerId);
+
+        if (![...this.pointers.values()].includes(key)) {
+            this.buttons[LAYOUT.indexOf(key)].classList.remove("pressed");
+        }
+    }
+}
+
+export default TouchKeypad;
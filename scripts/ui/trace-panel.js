@@ -0,0 +1,142 @@
+import Tracer, { TraceBuffer, createTraceFilter, parseAddressRange } from '../trace.js';
+import { downloadFile } from './download.js';
+
+// Lines kept in the page unless the capacity field says otherwise.
+const DEFAULT_CAPACITY = 10000;
+
+// The page shows the last this many lines, the download has all the kept ones.
+const SHOWN_LINES = 200;
+
+// While tracing, the lines are refreshed every this many animation frames.
+const UPDATE_INTERVAL = 30;
+
+/**
+ * Instruction trace of the running machine (trace.js) into a capped buffer: start and stop, an address range and
+ * instruction families to keep, the last lines, and a download to compare with tools/trace-diff.js.
+ *
+ * Options:
+ * - rom(): name of the running ROM, used for the file name.
+ */
+class TracePanel {
+    constructor(container, cpu, options = {}) {
+        this.container = container;
+        this.cpu = cpu;
+        this.rom = options.rom || (() => null);
+
+        this.buffer = new TraceBuffer(DEFAULT_CAPACITY);
+        this.tracer = new Tracer(cpu, (line) => this.buffer.write(line));
+        this.frames = 0;
+
+        this.build();
+        this.refresh();
+    }
+
+    build() {
+        const controls = document.createElement("div");
+        const heading = document.createElement("strong");
+        heading.textContent = "Trace ";
+        controls.appendChild(heading);
+
+        const label = document.createElement("label");
+        this.traceCheckbox = document.createElement("input");
+        this.traceCheckbox.type = "checkbox";
+        this.traceCheckbox.addEventListener("change", () => {
+            try {
+                if (this.traceCheckbox.checked) {
+                    this.start();
+                } else {
+                    this.tracer.stop();
+                }
+            } catch (error) {
+                this.traceCheckbox.checked = false;
+                alert(error.message);
+            }
+            this.refresh();
+        });
+        label.appendChild(this.traceCheckbox);
+        label.appendChild(document.createTextNode(" Trace "));
+        controls.appendChild(label);
+
+        this.rangeInput = this.input(controls, "200-2FF", 10);
+        this.familiesInput = this.input(controls, "DRW; ADD Vx, Vy", 20);
+        this.capacityInput = this.input(controls, "lines", 7);
+        this.capacityInput.type = "number";
+        this.capacityInput.min = 1;
+        this.capacityInput.value = DEFAULT_CAPACITY;
+
+        this.button(controls, "Clear", () => this.buffer.clear());
+        this.button(controls, "Download", () => {
+            downloadFile((this.rom() || "chip8") + ".trace", this.buffer.text() + "\n", "text/plain");
+        });
+
+        this.status = document.createElement("span");
+        controls.appendChild(this.status);
+
+        this.container.appendChild(controls);
+
+        this.lines = document.createElement("pre");
+        this.lines.className = "trace-lines";
+        this.container.appendChild(this.lines);
+    }
+
+    input(parent, placeholder, size) {
+        const input = document.createElement("input");
+        input.placeholder = placeholder;
+        input.size = size;
+        parent.appendChild(input);
+        return input;
+    }
+
+    button(parent, text, onClick) {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", () => {
+            onClick();
+            this.refresh();
+        });
+        parent.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Start a new trace with the filter and capacity of the form. Families are separated by semicolons, since
+     * families like "ADD Vx, Vy" have commas.
+     */
+    start() {
+        const capacity = Number(this.capacityInput.value);
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            throw new Error("Invalid number of lines: " + this.capacityInput.value);
+        }
+
+        const range = this.rangeInput.value.trim() === "" ? {} : parseAddressRange(this.rangeInput.value);
+        const families = this.familiesInput.value.split(";").map((family) => family.trim()).filter((family) => family !== "");
+
+        this.buffer = new TraceBuffer(capacity);
+        this.tracer.filter = createTraceFilter(Object.assign({ families: families }, range));
+        this.tracer.start();
+    }
+
+    /**
+     * Called every animation frame. Joining the lines takes a while, so they are only refreshed now and then.
+     */
+    update() {
+        this.traceCheckbox.checked = this.tracer.running;
+
+        if (this.tracer.running && ++this.frames >= UPDATE_INTERVAL) {
+            this.refresh();
+        }
+    }
+
+    refresh() {
+        this.frames = 0;
+
+        const buffer = this.buffer;
+        const kept = Math.min(buffer.lines.length, buffer.capacity);
+        this.status.textContent = " " + kept + " lines" + (buffer.dropped || buffer.lines.length > kept
+            ? ", " + (buffer.dropped + buffer.lines.length - kept) + " older ones dropped" : "");
+
+        this.lines.textContent = buffer.lines.slice(-Math.min(SHOWN_LINES, kept)).join("\n");
+    }
+}
+
+export default TracePanel;
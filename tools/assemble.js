@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Assemble a source file into a binary ROM. See scripts/assembler.js for the syntax.
+ *
+ *   node tools/assemble.js game.asm --out roms/GAME [--model NAME] [--origin 0x200]
+ *
+ * The model (chip8, hires, chip8x or xochip) decides the instructions there are, and the default origin.
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import { assemble } from '../scripts/assembler.js';
+import { MODELS } from '../scripts/models.js';
+
+function usage(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error('Usage: node tools/assemble.js <source> --out FILE [--model NAME] [--origin ADDRESS]');
+    process.exit(2);
+}
+
+const args = process.argv.slice(2);
+let source = null, out = null, model = 'chip8', origin = null;
+
+for (let n = 0; n < args.length; n++) {
+    switch (args[n]) {
+        case '--origin':
+            origin = parseInt(args[++n]);
+            if (isNaN(origin)) {
+                usage('Invalid origin');
+            }
+            break;
+        case '--model':
+            model = args[++n];
+            if (!MODELS[model]) {
+                usage('Unknown model ' + model);
+            }
+            break;
+        case '--out':
+            out = args[++n];
+            break;
+        default:
+            if (args[n].startsWith('--') || source) {
+                usage('Unknown argument ' + args[n]);
+            }
+            source = args[n];
+    }
+}
+
+if (!source || !out) {
+    usage(source ? 'No output file given.' : 'No source file given.');
+}
+
+try {
+    const rom = assemble(readFileSync(source, 'utf8'), origin === null ? MODELS[model].load : origin, model);
+    writeFileSync(out, rom);
+    console.log(out + ': ' + rom.length + ' bytes');
+} catch (error) {
+    console.error(source + ': ' + error.message);
+    process.exit(1);
+}
@@ -0,0 +1,231 @@
+/**
+ * Opcode cases for tools/conformance.js, at least one for every instruction in CPU.executeInstruction.
+ *
+ * Every case assembles `source` where the model loads programs (0x200, 0x300 on CHIP-8X), resets the machine and sets it up:
+ * - model:   machine model, see models.js (default: chip8).
+ * - quirks:  preset name or { preset, ...overrides } (default: the default preset).
+ * - seed:    seed of the random number generator (default: a random seed).
+ * - faults:  fault policy overrides, { fault: "strict" or "lenient" } (default: see faults.js).
+ * - setup:   v { register: value }, i, pc, memory { address: [bytes] }, stack, delayTimer, soundTimer,
+ *            keys [pressed keys], secondKeys [keys pressed on the CHIP-8X second keypad], plane, hires, pixels [[x, y, colour]]
+ *            and random (the byte the random number generator returns).
+ * - steps:   number of instructions to run (default 1), or a list of numbers and actions:
+ *            { press: key }, { release: key } and { vblank: true } (the end of a frame).
+ * - expect:  v { register: value }, i, pc, stack, memory { address: [bytes] }, delayTimer, soundTimer,
+ *            paused, waitingForVblank, exited, hires, plane, pitch, rpl [bytes], audioPattern [bytes],
+ *            fault (the type of the fault that halted the machine, or null), error (the start of the message the
+ *            load or run throws, for programs that don't load)
+ *            and pixels [[x, y, colour]] (colour defaults to 1). pixels lists every lit pixel on the display.
+ *            CHIP-8X: background and colours [[x, y, colour]], the zone colour of those pixels.
+ */
+const cases = [
+    // 0nnn / 00nn
+    { name: "00E0 CLS clears the display", source: "CLS", setup: { pixels: [[0, 0], [63, 31]] }, expect: { pc: 0x202, pixels: [] } },
+    { name: "00E0 CLS only clears the selected plane", source: "CLS", setup: { plane: 2, pixels: [[0, 0, 1], [1, 0, 2], [2, 0, 3]] }, expect: { pixels: [[0, 0, 1], [2, 0, 1]] } },
+    { name: "00EE RET pops the return address", source: "RET", setup: { stack: [0x300, 0x456] }, expect: { pc: 0x456, stack: [0x300] } },
+    { name: "0nnn SYS is ignored", source: "SYS 0x123", expect: { pc: 0x202, stack: [] } },
+    { name: "00Cn SCD scrolls down n pixels", source: "SCD 3", setup: { pixels: [[5, 0], [5, 30]] }, expect: { pixels: [[5, 3]] } },
+    { name: "00Dn SCU scrolls up n pixels", source: "SCU 2", setup: { pixels: [[5, 1], [5, 10]] }, expect: { pixels: [[5, 8]] } },
+    { name: "00FB SCR scrolls right 4 pixels", source: "SCR", setup: { pixels: [[0, 0], [62, 1]] }, expect: { pixels: [[4, 0]] } },
+    { name: "00FC SCL scrolls left 4 pixels", source: "SCL", setup: { pixels: [[1, 0], [10, 1]] }, expect: { pixels: [[6, 1]] } },
+    { name: "00FD EXIT stops the machine", source: "EXIT", expect: { pc: 0x202, exited: true, paused: true } },
+    { name: "00FE LOW switches to 64x32 and clears", source: "LOW", setup: { hires: true, pixels: [[100, 50]] }, expect: { hires: false, pixels: [] } },
+    { name: "00FF HIGH switches to 128x64 and clears", source: "HIGH", setup: { pixels: [[1, 1]] }, expect: { hires: true, pixels: [] } },
+
+    // 1nnn, 2nnn, Bnnn
+    { name: "1nnn JP jumps", source: "JP 0x345", expect: { pc: 0x345, stack: [] } },
+    { name: "2nnn CALL pushes the next address", source: "CALL 0x345", setup: { stack: [0x222] }, expect: { pc: 0x345, stack: [0x222, 0x202] } },
+    { name: "1nnn JP to an expression with a label further down", source: "JP skip - 2\nLD V0, 1\nLD V1, 2\nskip:", steps: 2, expect: { pc: 0x206, v: { 0: 0, 1: 2 } } },
+    { name: "Bnnn JP V0 adds V0", source: "JP V0, 0x300", setup: { v: { 0: 0x10, 3: 0x20 } }, expect: { pc: 0x310 } },
+    { name: "Bnnn JP V0 adds Vx with the jump quirk", source: "JP V0, 0x300", quirks: "schip", setup: { v: { 0: 0x10, 3: 0x20 } }, expect: { pc: 0x320 } },
+
+    // Skips
+    { name: "3xkk SE skips when equal", source: "SE V3, 0x42", setup: { v: { 3: 0x42 } }, expect: { pc: 0x204 } },
+    { name: "3xkk SE doesn't skip when different", source: "SE V3, 0x42", setup: { v: { 3: 0x43 } }, expect: { pc: 0x202 } },
+    { name: "4xkk SNE skips when different", source: "SNE V3, 0x42", setup: { v: { 3: 0x43 } }, expect: { pc: 0x204 } },
+    { name: "4xkk SNE doesn't skip when equal", source: "SNE V3, 0x42", setup: { v: { 3: 0x42 } }, expect: { pc: 0x202 } },
+    { name: "5xy0 SE skips when equal", source: "SE V1, V2", setup: { v: { 1: 7, 2: 7 } }, expect: { pc: 0x204 } },
+    { name: "5xy0 SE doesn't skip when different", source: "SE V1, V2", setup: { v: { 1: 7, 2: 8 } }, expect: { pc: 0x202 } },
+    { name: "9xy0 SNE skips when different", source: "SNE V1, V2", setup: { v: { 1: 7, 2: 8 } }, expect: { pc: 0x204 } },
+    { name: "9xy0 SNE doesn't skip when equal", source: "SNE V1, V2", setup: { v: { 1: 7, 2: 7 } }, expect: { pc: 0x202 } },
+    { name: "Ex9E SKP skips when the key is down", source: "SKP V1", setup: { v: { 1: 0xA }, keys: [0xA] }, expect: { pc: 0x204 } },
+    { name: "Ex9E SKP doesn't skip when the key is up", source: "SKP V1", setup: { v: { 1: 0xA }, keys: [0xB] }, expect: { pc: 0x202 } },
+    { name: "ExA1 SKNP skips when the key is up", source: "SKNP V1", setup: { v: { 1: 0xA }, keys: [0xB] }, expect: { pc: 0x204 } },
+    { name: "ExA1 SKNP doesn't skip when the key is down", source: "SKNP V1", setup: { v: { 1: 0xA }, keys: [0xA] }, expect: { pc: 0x202 } },
+    { name: "A skip jumps over all 4 bytes of F000 NNNN", source: "SE V0, 0\nLONG I, 0x1234\nLD V1, 1", steps: 2, expect: { pc: 0x208, i: 0, v: { 1: 1 } } },
+
+    // 6xkk, 7xkk
+    { name: "6xkk LD sets Vx", source: "LD V5, 0xAB", expect: { pc: 0x202, v: { 5: 0xAB } } },
+    { name: "7xkk ADD wraps around and leaves VF alone", source: "ADD V5, 0x10", setup: { v: { 5: 0xF8, 0xF: 0x55 } }, expect: { v: { 5: 0x08, 0xF: 0x55 } } },
+
+    // 8xyN
+    { name: "8xy0 LD copies Vy", source: "LD V1, V2", setup: { v: { 1: 1, 2: 0x99 } }, expect: { v: { 1: 0x99, 2: 0x99 } } },
+    { name: "8xy1 OR", source: "OR V1, V2", setup: { v: { 1: 0xF0, 2: 0x0C, 0xF: 0x55 } }, expect: { v: { 1: 0xFC, 0xF: 0x55 } } },
+    { name: "8xy1 OR resets VF with the logic quirk", source: "OR V1, V2", quirks: "vip", setup: { v: { 1: 0xF0, 2: 0x0C, 0xF: 0x55 } }, expect: { v: { 1: 0xFC, 0xF: 0 } } },
+    { name: "8xy2 AND", source: "AND V1, V2", setup: { v: { 1: 0xF3, 2: 0x3F, 0xF: 0x55 } }, expect: { v: { 1: 0x33, 0xF: 0x55 } } },
+    { name: "8xy2 AND resets VF with the logic quirk", source: "AND V1, V2", quirks: "vip", setup: { v: { 1: 0xF3, 2: 0x3F, 0xF: 0x55 } }, expect: { v: { 1: 0x33, 0xF: 0 } } },
+    { name: "8xy3 XOR", source: "XOR V1, V2", setup: { v: { 1: 0xF3, 2: 0x3F, 0xF: 0x55 } }, expect: { v: { 1: 0xCC, 0xF: 0x55 } } },
+    { name: "8xy3 XOR resets VF with the logic quirk", source: "XOR V1, V2", quirks: "vip", setup: { v: { 1: 0xF3, 2: 0x3F, 0xF: 0x55 } }, expect: { v: { 1: 0xCC, 0xF: 0 } } },
+    { name: "8xy4 ADD without carry", source: "ADD V1, V2", setup: { v: { 1: 0x10, 2: 0x20, 0xF: 0x55 } }, expect: { v: { 1: 0x30, 0xF: 0 } } },
+    { name: "8xy4 ADD with carry", source: "ADD V1, V2", setup: { v: { 1: 0xFF, 2: 0x01 } }, expect: { v: { 1: 0x00, 0xF: 1 } } },
+    { name: "8xy4 ADD carries when the wrapped sum is bigger than Vy", source: "ADD V1, V2", setup: { v: { 1: 0xF0, 2: 0x20 } }, expect: { v: { 1: 0x10, 0xF: 1 } } },
+    { name: "8xy4 ADD of 0xFF + 0xFF", source: "ADD V1, V2", setup: { v: { 1: 0xFF, 2: 0xFF } }, expect: { v: { 1: 0xFE, 0xF: 1 } } },
+    { name: "8xy4 ADD into VF keeps the carry", source: "ADD VF, V2", setup: { v: { 2: 0x80, 0xF: 0x80 } }, expect: { v: { 0xF: 1 } } },
+    { name: "8xy5 SUB without borrow", source: "SUB V1, V2", setup: { v: { 1: 0x30, 2: 0x10 } }, expect: { v: { 1: 0x20, 0xF: 1 } } },
+    { name: "8xy5 SUB of equal values doesn't borrow", source: "SUB V1, V2", setup: { v: { 1: 0x30, 2: 0x30 } }, expect: { v: { 1: 0x00, 0xF: 1 } } },
+    { name: "8xy5 SUB with borrow", source: "SUB V1, V2", setup: { v: { 1: 0x10, 2: 0x30, 0xF: 1 } }, expect: { v: { 1: 0xE0, 0xF: 0 } } },
+    { name: "8xy5 SUB into VF keeps the flag", source: "SUB VF, V2", setup: { v: { 2: 0x01, 0xF: 0x10 } }, expect: { v: { 0xF: 1 } } },
+    { name: "8xy6 SHR shifts Vx with the shift quirk", source: "SHR V1, V2", setup: { v: { 1: 0x05, 2: 0x40 } }, expect: { v: { 1: 0x02, 2: 0x40, 0xF: 1 } } },
+    { name: "8xy6 SHR shifts Vy without the shift quirk", source: "SHR V1, V2", quirks: "vip", setup: { v: { 1: 0x05, 2: 0x40 } }, expect: { v: { 1: 0x20, 2: 0x40, 0xF: 0 } } },
+    { name: "8xy6 SHR into VF keeps the flag", source: "SHR VF, VF", setup: { v: { 0xF: 0x02 } }, expect: { v: { 0xF: 0 } } },
+    { name: "8xy7 SUBN without borrow", source: "SUBN V1, V2", setup: { v: { 1: 0x10, 2: 0x30 } }, expect: { v: { 1: 0x20, 0xF: 1 } } },
+    { name: "8xy7 SUBN of equal values doesn't borrow", source: "SUBN V1, V2", setup: { v: { 1: 0x30, 2: 0x30 } }, expect: { v: { 1: 0x00, 0xF: 1 } } },
+    { name: "8xy7 SUBN with borrow", source: "SUBN V1, V2", setup: { v: { 1: 0x30, 2: 0x10, 0xF: 1 } }, expect: { v: { 1: 0xE0, 0xF: 0 } } },
+    { name: "8xyE SHL sets VF to 1, not 0x80", source: "SHL V1, V2", setup: { v: { 1: 0x81, 2: 0x00 } }, expect: { v: { 1: 0x02, 0xF: 1 } } },
+    { name: "8xyE SHL with a 0 shifted out", source: "SHL V1, V2", setup: { v: { 1: 0x41, 0xF: 1 } }, expect: { v: { 1: 0x82, 0xF: 0 } } },
+    { name: "8xyE SHL shifts Vy without the shift quirk", source: "SHL V1, V2", quirks: "vip", setup: { v: { 1: 0x01, 2: 0xC0 } }, expect: { v: { 1: 0x80, 2: 0xC0, 0xF: 1 } } },
+    { name: "8xyE SHL into VF keeps the flag", source: "SHL VF, VF", setup: { v: { 0xF: 0x40 } }, expect: { v: { 0xF: 0 } } },
+
+    // Annn, Cxkk
+    { name: "Annn LD I", source: "LD I, 0x456", expect: { pc: 0x202, i: 0x456 } },
+    { name: "Cxkk RND masks the random byte", source: "RND V1, 0x0F", setup: { random: 0x80 }, expect: { v: { 1: 0x00 } } },
+    { name: "Cxkk RND can return 0xFF", source: "RND V1, 0xFF", setup: { random: 0xFF }, expect: { v: { 1: 0xFF } } },
+    { name: "Cxkk RND can return 0", source: "RND V1, 0xFF", setup: { random: 0 }, expect: { v: { 1: 0x00 } } },
+    { name: "Cxkk RND is the same for the same seed", source: "RND V1, 0xFF\nRND V2, 0xFF", steps: 2, seed: 1234, expect: { v: { 1: 0x12, 2: 0xB4 } } },
+
+    // Dxyn
+    { name: "Dxyn DRW draws every bit in its own column", source: "DRW V0, V1, 2", setup: { v: { 0: 4, 1: 6 }, i: 0x300, memory: { 0x300: [0xA1, 0x40] } },
+        expect: { v: { 0xF: 0 }, pixels: [[4, 6], [6, 6], [11, 6], [5, 7]] } },
+    { name: "Dxyn DRW sets VF when a pixel is erased", source: "DRW V0, V1, 1", setup: { v: { 0: 4, 1: 6 }, i: 0x300, memory: { 0x300: [0xC0] }, pixels: [[5, 6]] },
+        expect: { v: { 0xF: 1 }, pixels: [[4, 6]] } },
+    { name: "Dxyn DRW wraps pixels past the right and bottom edge", source: "DRW V0, V1, 2", setup: { v: { 0: 62, 1: 31 }, i: 0x300, memory: { 0x300: [0xF0, 0x80] } },
+        expect: { v: { 0xF: 0 }, pixels: [[62, 31], [63, 31], [0, 31], [1, 31], [62, 0]] } },
+    { name: "Dxyn DRW clips pixels past the edge without the wrap quirk", source: "DRW V0, V1, 2", quirks: "schip", setup: { v: { 0: 62, 1: 31 }, i: 0x300, memory: { 0x300: [0xF0, 0x80] } },
+        expect: { v: { 0xF: 0 }, pixels: [[62, 31], [63, 31]] } },
+    { name: "Dxyn DRW starts at Vx mod 64 and Vy mod 32", source: "DRW V0, V1, 1", quirks: "schip", setup: { v: { 0: 65, 1: 34 }, i: 0x300, memory: { 0x300: [0x80] } },
+        expect: { pixels: [[1, 2]] } },
+    { name: "Dxyn DRW waits for the next frame with the vblank quirk", source: "DRW V0, V1, 1\nLD V2, 1", quirks: "vip", steps: 2, setup: { i: 0x300, memory: { 0x300: [0x80] } },
+        expect: { pc: 0x202, waitingForVblank: true, v: { 2: 0 } } },
+    { name: "Dxyn DRW continues after the vblank", source: "DRW V0, V1, 1\nLD V2, 1", quirks: "vip", steps: [1, { vblank: true }, 1], setup: { i: 0x300, memory: { 0x300: [0x80] } },
+        expect: { pc: 0x204, waitingForVblank: false, v: { 2: 1 } } },
+    { name: "Dxy0 DRW draws a 16x16 sprite", source: "DRW V0, V1, 0", setup: { hires: true, v: { 0: 10, 1: 20 }, i: 0x300, memory: { 0x300: [0x80, 0x01], 0x31E: [0x00, 0x01] } },
+        expect: { pixels: [[10, 20], [25, 20], [25, 35]] } },
+    { name: "Dxyn DRW draws at 128x64 in hi-res", source: "DRW V0, V1, 1", setup: { hires: true, v: { 0: 127, 1: 63 }, i: 0x300, memory: { 0x300: [0xC0] } },
+        expect: { pixels: [[127, 63], [0, 63]] } },
+    { name: "Dxyn DRW on plane 2 uses the selected plane", source: "DRW V0, V1, 1", setup: { plane: 2, i: 0x300, memory: { 0x300: [0x80] } },
+        expect: { pixels: [[0, 0, 2]] } },
+    { name: "Dxyn DRW on both planes reads the plane 2 data after the plane 1 data", source: "DRW V0, V1, 1", setup: { plane: 3, i: 0x300, memory: { 0x300: [0xC0, 0x60] } },
+        expect: { pixels: [[0, 0, 1], [1, 0, 3], [2, 0, 2]] } },
+
+    // 5xy2, 5xy3, Fn01, F000, F002
+    { name: "5xy2 SAVE stores Vx through Vy", source: "SAVE V1, V3", setup: { v: { 1: 1, 2: 2, 3: 3, 4: 4 }, i: 0x300 }, expect: { i: 0x300, memory: { 0x300: [1, 2, 3, 0] } } },
+    { name: "5xy2 SAVE stores in reverse order when x > y", source: "SAVE V3, V1", setup: { v: { 1: 1, 2: 2, 3: 3 }, i: 0x300 }, expect: { i: 0x300, memory: { 0x300: [3, 2, 1] } } },
+    { name: "5xy3 LOAD reads Vx through Vy", source: "LOAD V2, V3", setup: { i: 0x300, memory: { 0x300: [7, 8, 9] } }, expect: { i: 0x300, v: { 1: 0, 2: 7, 3: 8, 4: 0 } } },
+    { name: "Fn01 PLANE selects the planes", source: "PLANE 3", expect: { pc: 0x202, plane: 3 } },
+    { name: "F000 NNNN LONG loads a 16 bit address", source: "LONG I, 0xBEEF", expect: { pc: 0x204, i: 0xBEEF } },
+    { name: "F002 AUDIO loads 16 bytes from I", source: "AUDIO", setup: { i: 0x300, memory: { 0x300: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17] } },
+        expect: { audioPattern: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16] } },
+    { name: "Fx3A PITCH sets the pitch", source: "PITCH V4", setup: { v: { 4: 100 } }, expect: { pitch: 100 } },
+
+    // Timers
+    { name: "Fx07 LD Vx, DT", source: "LD V1, DT", setup: { delayTimer: 0x33 }, expect: { v: { 1: 0x33 } } },
+    { name: "Fx15 LD DT, Vx", source: "LD DT, V1", setup: { v: { 1: 0x33 } }, expect: { delayTimer: 0x33, soundTimer: 0 } },
+    { name: "Fx18 LD ST, Vx", source: "LD ST, V1", setup: { v: { 1: 0x33 } }, expect: { delayTimer: 0, soundTimer: 0x33 } },
+    { name: "The timers count down once per frame", source: "LD V1, DT", steps: [{ vblank: true }, { vblank: true }], setup: { delayTimer: 5, soundTimer: 1 },
+        expect: { pc: 0x200, delayTimer: 3, soundTimer: 0 } },
+
+    // Fx0A
+    { name: "Fx0A LD Vx, K waits for a key", source: "LD V3, K\nLD V4, 1", steps: 3, expect: { pc: 0x202, paused: true, v: { 3: 0, 4: 0 } } },
+    { name: "Fx0A LD Vx, K stores the pressed key", source: "LD V3, K\nLD V4, 1", steps: [1, { press: 0xC }, 1], expect: { pc: 0x204, paused: false, v: { 3: 0xC, 4: 1 } } },
+
+    // Fx1E, Fx29, Fx30, Fx33
+    { name: "Fx1E ADD I, Vx", source: "ADD I, V1", setup: { i: 0x300, v: { 1: 0x22, 0xF: 0x55 } }, expect: { i: 0x322, v: { 0xF: 0x55 } } },
+    { name: "Fx29 LD F, Vx points at the font digit", source: "LD F, V1", setup: { v: { 1: 0xA } }, expect: { i: 50, memory: { 50: [0xF0, 0x90, 0xF0, 0x90, 0x90] } } },
+    { name: "Fx29 LD F, Vx only uses the low nibble", source: "LD F, V1", setup: { v: { 1: 0x1A } }, expect: { i: 50 } },
+    { name: "Fx30 LD HF, Vx points at the big font digit", source: "LD HF, V1", setup: { v: { 1: 1 } }, expect: { i: 0x5A, memory: { 0x5A: [0x18, 0x78, 0x78] } } },
+    { name: "Fx33 LD B, Vx stores the decimal digits", source: "LD B, V1", setup: { v: { 1: 254 }, i: 0x300 }, expect: { i: 0x300, memory: { 0x300: [2, 5, 4] } } },
+    { name: "Fx33 LD B, Vx of a single digit", source: "LD B, V1", setup: { v: { 1: 9 }, i: 0x300, memory: { 0x300: [7, 7, 7] } }, expect: { memory: { 0x300: [0, 0, 9] } } },
+
+    // Fx55, Fx65, Fx75, Fx85
+    { name: "Fx55 LD [I], Vx stores V0 through Vx", source: "LD [I], V2", setup: { v: { 0: 1, 1: 2, 2: 3, 3: 4 }, i: 0x300 }, expect: { i: 0x300, memory: { 0x300: [1, 2, 3, 0] } } },
+    { name: "Fx55 LD [I], Vx increments I with the memory quirk", source: "LD [I], V2", quirks: "vip", setup: { v: { 0: 1, 1: 2, 2: 3 }, i: 0x300 }, expect: { i: 0x303, memory: { 0x300: [1, 2, 3] } } },
+    { name: "Fx65 LD Vx, [I] reads V0 through Vx", source: "LD V2, [I]", setup: { v: { 3: 0x44 }, i: 0x300, memory: { 0x300: [9, 8, 7, 6] } }, expect: { i: 0x300, v: { 0: 9, 1: 8, 2: 7, 3: 0x44 } } },
+    { name: "Fx65 LD Vx, [I] increments I with the memory quirk", source: "LD V2, [I]", quirks: "vip", setup: { i: 0x300, memory: { 0x300: [9, 8, 7] } }, expect: { i: 0x303, v: { 0: 9, 1: 8, 2: 7 } } },
+    { name: "Fx75 LD R, Vx stores V0 through Vx in the RPL flags", source: "LD R, V2", setup: { v: { 0: 1, 1: 2, 2: 3, 3: 4 } }, expect: { rpl: [1, 2, 3, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] } },
+    { name: "Fx85 LD Vx, R reads V0 through Vx from the RPL flags", source: "LD R, V3\nLD V0, 0\nLD V1, 0\nLD V2, 0\nLD V3, 0\nLD V1, R", steps: 6, setup: { v: { 0: 1, 1: 2, 2: 3, 3: 4 } },
+        expect: { v: { 0: 1, 1: 2, 2: 0, 3: 0 } } },
+
+    // Faults halt on the faulting instruction, or are handled the lenient way.
+    { name: "Unknown opcode halts", source: "DW 0x5121", expect: { pc: 0x200, fault: "unknownOpcode" } },
+    { name: "Unknown opcode halts the frame and the timers", source: "LD V0, 1\nDW 0xE1FF\nLD V0, 2", steps: [3, { vblank: true }], setup: { delayTimer: 5 },
+        expect: { pc: 0x202, v: { 0: 1 }, delayTimer: 5, fault: "unknownOpcode" } },
+    { name: "Unknown opcode is skipped when lenient", source: "DW 0x8128", faults: { unknownOpcode: "lenient" }, expect: { pc: 0x202, fault: null } },
+    { name: "F100 is not F000 NNNN", source: "DW 0xF100", expect: { pc: 0x200, i: 0, fault: "unknownOpcode" } },
+    { name: "00EE RET with an empty stack halts", source: "RET", expect: { pc: 0x200, stack: [], fault: "stackUnderflow" } },
+    { name: "00EE RET with an empty stack is skipped when lenient", source: "RET", faults: { stackUnderflow: "lenient" }, expect: { pc: 0x202, fault: null } },
+    { name: "2nnn CALL with 16 return addresses halts", source: "CALL 0x300", setup: { stack: new Array(16).fill(0x222) },
+        expect: { pc: 0x200, stack: new Array(16).fill(0x222), fault: "stackOverflow" } },
+    { name: "2nnn CALL grows the stack past 16 when lenient", source: "CALL 0x300", faults: { stackOverflow: "lenient" }, setup: { stack: new Array(16).fill(0x222) },
+        expect: { pc: 0x300, fault: null } },
+    { name: "Fx65 reads up to 0xFFF", source: "LD V1, [I]", setup: { i: 0xFFE, memory: { 0xFFE: [5, 6] } }, expect: { pc: 0x202, v: { 0: 5, 1: 6 }, fault: null } },
+    { name: "Fx55 past 0xFFF halts", source: "LD [I], V3", setup: { v: { 0: 1 }, i: 0xFFE }, expect: { pc: 0x200, memory: { 0xFFE: [0, 0] }, fault: "memoryOutOfRange" } },
+    { name: "Fx55 past 0xFFF writes what fits when lenient", source: "LD [I], V3\nLD V5, [I]", faults: { memoryOutOfRange: "lenient" },
+        setup: { v: { 0: 1, 1: 2, 2: 3, 3: 4 }, i: 0xFFE }, steps: 2, expect: { pc: 0x204, memory: { 0xFFE: [1, 2], 0x1000: [0, 0] }, v: { 0: 1, 1: 2, 2: 0, 3: 0 }, fault: null } },
+    { name: "Dxyn reading past 0xFFF halts", source: "DRW V0, V0, 5", setup: { i: 0xFFC }, expect: { pc: 0x200, pixels: [], fault: "memoryOutOfRange" } },
+    { name: "F000 NNNN past 0xFFF halts the next access", source: "LONG I, 0x1000\nLD V0, [I]", steps: 2, expect: { pc: 0x204, i: 0x1000, fault: "memoryOutOfRange" } },
+    { name: "PC past 0xFFF halts", source: "CLS", setup: { pc: 0xFFE, memory: { 0xFFE: [0x60, 0x01] } }, steps: 2, expect: { pc: 0x1000, v: { 0: 1 }, fault: "pcOutOfRange" } },
+    { name: "Bnnn JP V0 past 0xFFF halts", source: "JP V0, 0xFFF", setup: { v: { 0: 1 } }, steps: 2, expect: { pc: 0x1000, fault: "pcOutOfRange" } },
+    { name: "PC wraps around to 0 at 0xFFF when lenient", source: "CLS", faults: { pcOutOfRange: "lenient" }, setup: { pc: 0xFFE, memory: { 0xFFE: [0x60, 0x01], 0x000: [0x61, 0x02] } }, steps: 2,
+        expect: { pc: 0x002, v: { 0: 1, 1: 2 }, fault: null } },
+    { name: "A ROM up to 0xFFF loads", source: "ORG 0xFFF\nDB 0x12", steps: 0, expect: { pc: 0x200, memory: { 0xFFF: [0x12] } } },
+    { name: "A ROM past 0xFFF does not load", source: "ORG 0x1000\nDB 0x12", expect: { error: "ROM is too large" } },
+    { name: "CHIP-8X ROMs end at 0xFFF too", model: "chip8x", source: "ORG 0x1000\nDB 0x12", expect: { error: "ROM is too large" } },
+    { name: "XO-CHIP reads and writes past 0xFFF", model: "xochip", source: "LD V1, [I]\nLD [I], V3", setup: { v: { 2: 1, 3: 2 }, i: 0x1000, memory: { 0x1000: [7, 8] } }, steps: 2,
+        expect: { pc: 0x204, memory: { 0x1000: [7, 8, 1, 2] }, v: { 0: 7, 1: 8 }, fault: null } },
+    { name: "XO-CHIP runs code past 0xFFF", model: "xochip", source: "JP V0, 0xFFF", setup: { v: { 0: 1 }, memory: { 0x1000: [0x60, 0x07] } }, steps: 2, expect: { pc: 0x1002, v: { 0: 7 }, fault: null } },
+    { name: "XO-CHIP ROMs load past 0xFFF", model: "xochip", source: "ORG 0x1000\nDB 0x12", steps: 0, expect: { memory: { 0x1000: [0x12] } } },
+    { name: "Fx55 past the end of XO-CHIP memory halts", model: "xochip", source: "LD [I], V3", setup: { v: { 0: 1 }, i: 0xFFFE }, expect: { pc: 0x200, memory: { 0xFFFE: [0, 0] }, fault: "memoryOutOfRange" } },
+    { name: "Fx55 past the end of XO-CHIP memory writes what fits when lenient", model: "xochip", source: "LD [I], V3", faults: { memoryOutOfRange: "lenient" }, setup: { v: { 0: 1, 1: 2 }, i: 0xFFFE },
+        expect: { pc: 0x202, memory: { 0xFFFE: [1, 2] }, fault: null } },
+    { name: "Dxyn reading past the end of XO-CHIP memory halts", model: "xochip", source: "DRW V0, V0, 5", setup: { i: 0xFFFC }, expect: { pc: 0x200, pixels: [], fault: "memoryOutOfRange" } },
+    { name: "PC past the end of XO-CHIP memory halts", model: "xochip", source: "CLS", setup: { pc: 0xFFFE, memory: { 0xFFFE: [0x60, 0x01] } }, steps: 2, expect: { pc: 0x10000, v: { 0: 1 }, fault: "pcOutOfRange" } },
+    { name: "PC wraps around to 0 on XO-CHIP when lenient", model: "xochip", source: "CLS", faults: { pcOutOfRange: "lenient" }, setup: { pc: 0xFFFE, memory: { 0xFFFE: [0x60, 0x01], 0x000: [0x61, 0x02] } }, steps: 2,
+        expect: { pc: 0x002, v: { 0: 1, 1: 2 }, fault: null } },
+    { name: "0nnn SYS halts when strict", source: "SYS 0x123", faults: { machineCode: "strict" }, expect: { pc: 0x200, fault: "machineCode" } },
+
+    // HiRes CHIP-8
+    { name: "HiRes CHIP-8 starts at 0x2C0", model: "hires", source: "CLS", steps: 0, expect: { pc: 0x2C0, hires: false } },
+    { name: "0230 clears the 64x64 HiRes display", model: "hires", source: "DW 0x0230", setup: { pc: 0x200, pixels: [[0, 63], [63, 40]] }, expect: { pc: 0x202, pixels: [] } },
+    { name: "0230 is machine code on CHIP-8", source: "DW 0x0230", faults: { machineCode: "strict" }, expect: { pc: 0x200, fault: "machineCode" } },
+    { name: "Dxyn draws on the bottom half of the HiRes display", model: "hires", source: "DRW V0, V1, 2",
+        setup: { pc: 0x200, v: { 0: 3, 1: 62 }, i: 0x300, memory: { 0x300: [0x80, 0x80] } }, expect: { pixels: [[3, 62], [3, 63]] } },
+
+    // CHIP-8X
+    { name: "CHIP-8X programs load and start at 0x300", model: "chip8x", source: "LD V0, 1", expect: { pc: 0x302, v: { 0: 1 }, memory: { 0x300: [0x60, 0x01] } } },
+    { name: "02A0 steps the CHIP-8X background colour", model: "chip8x", source: "BGND\nBGND", steps: 2, expect: { pc: 0x304, background: 2 } },
+    { name: "Bxy0 colours blocks of 8x4 zones", model: "chip8x", source: "COLOR V0, V2, 0", setup: { v: { 0: 0x11, 1: 0x10, 2: 4 } },
+        expect: { pc: 0x302, colours: [[8, 0, 4], [23, 7, 4], [7, 0, 1], [24, 0, 1], [8, 8, 1]] } },
+    { name: "Bxyn colours n rows of zones", model: "chip8x", source: "COLOR V0, V2, 3", setup: { v: { 0: 0x02, 1: 5, 2: 6 } },
+        expect: { pc: 0x302, colours: [[16, 5, 6], [23, 7, 6], [16, 4, 1], [16, 8, 1], [24, 5, 1]] } },
+    { name: "5xy1 adds the nibbles modulo 8", model: "chip8x", source: "ADDN V1, V2", setup: { v: { 1: 0x35, 2: 0x46 } }, expect: { pc: 0x302, v: { 1: 0x73, 2: 0x46 } } },
+    { name: "ExF2 skips when the key is pressed on the second keypad", model: "chip8x", source: "SKP2 V1", setup: { v: { 1: 3 }, secondKeys: [3], keys: [4] }, expect: { pc: 0x304 } },
+    { name: "ExF2 doesn't skip for keys of the first keypad", model: "chip8x", source: "SKP2 V1", setup: { v: { 1: 3 }, keys: [3] }, expect: { pc: 0x302 } },
+    { name: "ExF5 skips when the key isn't pressed on the second keypad", model: "chip8x", source: "SKNP2 V1", setup: { v: { 1: 3 }, secondKeys: [4] }, expect: { pc: 0x304 } },
+    { name: "ExF5 doesn't skip when the key is pressed on the second keypad", model: "chip8x", source: "SKNP2 V1", setup: { v: { 1: 3 }, secondKeys: [3] }, expect: { pc: 0x302 } }
+];
+
+/**
+ * Disassembler cases: `source` is assembled for `model` (default: chip8), disassembled and assembled again, which
+ * has to give the same bytes. The listing has every line of `listing` (without the comments), and the
+ * disassembler finds `code` instructions.
+ */
+export const disassemblyCases = [
+    { name: "CHIP-8X instructions disassemble and assemble back", model: "chip8x",
+        source: "BGND\nCOLOR V0, V2, 0\nCOLOR V0, V2, 3\nADDN V1, V2\nSKP2 V1\nSKNP2 V1\nCLS\nEXIT", code: 8,
+        listing: ["BGND", "COLOR V0, V2, 0", "COLOR V0, V2, 3", "ADDN V1, V2", "SKP2 V1", "SKNP2 V1"] },
+    { name: "Bnnn is JP V0 on CHIP-8, 5xy1 and ExF2 are data", source: "JP V0, 0x300\nDW 0x5121\nDW 0xE1F2", code: 1,
+        listing: ["JP V0, 0x300", "DB 0x51, 0x21, 0xE1, 0xF2"] },
+    { name: "Bnnn is JP V0 on HiRes CHIP-8", model: "hires", source: "JP V0, 0x300", code: 1, listing: ["JP V0, 0x300"] }
+];
+
+export default cases;
@@ -0,0 +1,511 @@
+#!/usr/bin/env node
+/**
+ * Check the CPU against the opcode cases in tools/conformance-cases.js and the test ROMs in roms/tests, and that
+ * the page's renderer starts.
+ * Exits with status 1 when anything fails, so it can run before every commit.
+ *
+ *   node tools/conformance.js [--cases | --roms] [--core NAME] [--filter TEXT] [--verbose]
+ *
+ * Options:
+ *   --cases         Only run the opcode and disassembler cases and the renderer check.
+ *   --roms          Only run the test ROMs.
+ *   --core NAME     Run everything on the interpreter (default) or the fast core.
+ *   --filter TEXT   Only run cases and ROMs whose name contains TEXT.
+ *   --verbose       List every case and ROM, not only the failures.
+ *
+ * Every test ROM runs with every quirk preset and has to show "PASS" on screen. A ROM that shows "FAIL"
+ * also shows the number of the failed check, the .asm source next to the ROM says what that check does.
+ */
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import HeadlessChip8 from '../scripts/headless/chip8.js';
+import { assemble } from '../scripts/assembler.js';
+import { disassembleRom, traceCode } from '../scripts/disassembler.js';
+import { PRESETS } from '../scripts/quirks.js';
+import Renderer from '../scripts/renderer.js';
+import { MODELS } from '../scripts/models.js';
+import { CORES } from '../scripts/fast-core.js';
+import cases, { disassemblyCases } from './conformance-cases.js';
+
+const TESTS_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'roms', 'tests');
+
+// Instructions per frame for the test ROMs, and the most frames a ROM gets to show its result.
+const ROM_SPEED = 100;
+const ROM_FRAMES = 2000;
+
+// Test ROMs get the same random numbers every run.
+const ROM_SEED = 1;
+
+// The letters of the result screen that are not in the font (see roms/tests/*.asm).
+const LETTERS = {
+    P: [0xF0, 0x90, 0xF0, 0x80, 0x80],
+    I: [0x70, 0x20, 0x20, 0x20, 0x70],
+    L: [0x80, 0x80, 0x80, 0x80, 0xF0]
+};
+
+// Font digits and letters that spell the results. S is the digit 5.
+const WORDS = {
+    PASS: ['P', 0xA, 0x5, 0x5],
+    FAIL: [0xF, 0xA, 'I', 'L']
+};
+
+function usage(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error('Usage: node tools/conformance.js [--cases | --roms] [--core NAME] [--filter TEXT] [--verbose]');
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const options = { cases: true, roms: true, core: 'interpreter', filter: '', verbose: false };
+
+    for (let n = 0; n < argv.length; n++) {
+        switch (argv[n]) {
+            case '--cases':
+                options.roms = false;
+                break;
+            case '--roms':
+                options.cases = false;
+                break;
+            case '--core':
+                options.core = argv[++n];
+                if (!CORES.includes(options.core)) {
+                    usage('Unknown core ' + options.core);
+                }
+                break;
+            case '--filter':
+                options.filter = argv[++n];
+                if (options.filter === undefined) {
+                    usage('No text given for --filter');
+                }
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--help':
+                usage();
+                break;
+            default:
+                usage('Unknown argument ' + argv[n]);
+        }
+    }
+
+    return options;
+}
+
+const hex = (value) => '0x' + value.toString(16).toUpperCase();
+
+const format = (value) => {
+    if (typeof value === 'number') {
+        return hex(value);
+    }
+    if (Array.isArray(value)) {
+        return '[' + value.map(format).join(', ') + ']';
+    }
+    return String(value);
+};
+
+/**
+ * Lit pixels of the display as [x, y, colour] in display order.
+ */
+function litPixels(renderer) {
+    const pixels = [];
+
+    for (let index = 0; index < renderer.display.length; index++) {
+        if (renderer.display[index]) {
+            pixels.push([index % renderer.cols, Math.floor(index / renderer.cols), renderer.display[index]]);
+        }
+    }
+
+    return pixels;
+}
+
+function setUp(chip8, setup) {
+    const cpu = chip8.cpu;
+
+    if (setup.hires) {
+        chip8.renderer.setResolution(true);
+    }
+    for (const [register, value] of Object.entries(setup.v || {})) {
+        cpu.v[register] = value;
+    }
+    for (const [address, bytes] of Object.entries(setup.memory || {})) {
+        cpu.memory.set(bytes, Number(address));
+    }
+    for (const [x, y, colour = 1] of setup.pixels || []) {
+        chip8.renderer.display[x + (y * chip8.renderer.cols)] = colour;
+    }
+    for (const key of setup.keys || []) {
+        chip8.keyboard.pressKey(key);
+    }
+    for (const key of setup.secondKeys || []) {
+        chip8.secondKeypad.pressKey(key);
+    }
+
+    for (const field of ['i', 'pc', 'stack', 'delayTimer', 'soundTimer', 'plane']) {
+        if (setup[field] !== undefined) {
+            cpu[field] = Array.isArray(setup[field]) ? setup[field].slice() : setup[field];
+        }
+    }
+}
+
+function runSteps(chip8, steps) {
+    for (const step of Array.isArray(steps) ? steps : [steps]) {
+        if (typeof step === 'number' && chip8.cpu.fastCore) {
+            chip8.cpu.fastCore.run(step);
+        } else if (typeof step === 'number') {
+            for (let n = 0; n < step; n++) {
+                chip8.cpu.step();
+            }
+        } else if (step.press !== undefined) {
+            chip8.keyboard.pressKey(step.press);
+        } else if (step.release !== undefined) {
+            chip8.keyboard.releaseKey(step.release);
+        } else if (step.vblank) {
+            chip8.cpu.vblank();
+        }
+    }
+}
+
+/**
+ * Compare the machine with the expectations of a case. Returns a list of differences.
+ */
+function compare(chip8, expect) {
+    const cpu = chip8.cpu;
+    const differences = [];
+
+    const check = (name, actual, expected) => {
+        if (format(actual) !== format(expected)) {
+            differences.push(name + ' is ' + format(actual) + ', expected ' + format(expected));
+        }
+    };
+
+    for (const [register, value] of Object.entries(expect.v || {})) {
+        check('V' + Number(register).toString(16).toUpperCase(), cpu.v[register], value);
+    }
+    for (const [address, bytes] of Object.entries(expect.memory || {})) {
+        const start = Number(address);
+        check('memory at ' + hex(start), Array.from(cpu.memory.slice(start, start + bytes.length)), bytes);
+    }
+
+    for (const field of ['i', 'pc', 'stack', 'delayTimer', 'soundTimer', 'paused', 'waitingForVblank', 'exited', 'plane', 'pitch']) {
+        if (expect[field] !== undefined) {
+            check(field, cpu[field], expect[field]);
+        }
+    }
+    if (expect.fault !== undefined) {
+        check('fault', cpu.fault ? cpu.fault.type : null, expect.fault);
+    }
+    if (expect.hires !== undefined) {
+        check('hires', chip8.renderer.hires, expect.hires);
+    }
+    if (expect.background !== undefined) {
+        check('background', chip8.renderer.background, expect.background);
+    }
+    for (const [x, y, colour] of expect.colours || []) {
+        check('colour of (' + x + ', ' + y + ')', chip8.renderer.zoneColor(x + (y * chip8.renderer.cols)), colour);
+    }
+    if (expect.rpl !== undefined) {
+        check('rpl', Array.from(cpu.rpl), expect.rpl);
+    }
+    if (expect.audioPattern !== undefined) {
+        check('audioPattern', cpu.audioPattern ? Array.from(cpu.audioPattern) : null, expect.audioPattern);
+    }
+    if (expect.pixels !== undefined) {
+        // Coordinates read better in decimal: (x, y), with the colour after it when it isn't 1.
+        const sort = (pixels) => pixels.slice()
+            .sort((a, b) => (a[1] - b[1]) || (a[0] - b[0]))
+            .map(([x, y, colour = 1]) => '(' + x + ', ' + y + ')' + (colour === 1 ? '' : ' colour ' + colour));
+        check('lit pixels', sort(litPixels(chip8.renderer)), sort(expect.pixels));
+    }
+
+    return differences;
+}
+
+/**
+ * Run one opcode case on a fresh machine. Returns a list of differences, empty when it passed.
+ */
+function runCase(testCase, core) {
+    const quirks = typeof testCase.quirks === 'object' ? testCase.quirks : { preset: testCase.quirks };
+    const { preset, ...overrides } = quirks;
+
+    const chip8 = new HeadlessChip8({ quirks: preset, seed: testCase.seed, core: core, model: testCase.model });
+    Object.assign(chip8.cpu.quirks, overrides);
+    Object.assign(chip8.cpu.faultPolicy, testCase.faults);
+
+    const setup = testCase.setup || {};
+    const expect = testCase.expect || {};
+
+    try {
+        chip8.cpu.loadProgram(assemble(testCase.source, chip8.cpu.programStart, testCase.model));
+        setUp(chip8, setup);
+
+        if (setup.random !== undefined) {
+            chip8.cpu.random.nextByte = () => setup.random;
+        }
+        runSteps(chip8, testCase.steps === undefined ? 1 : testCase.steps);
+    } catch (error) {
+        return expect.error !== undefined && error.message.startsWith(expect.error) ? [] : [error.message];
+    }
+
+    if (expect.error !== undefined) {
+        return ['no error, expected ' + expect.error];
+    }
+    return compare(chip8, expect);
+}
+
+/**
+ * Disassemble the assembled source of a disassembler case and assemble the listing again. Returns a list of
+ * differences, empty when it passed.
+ */
+function runDisassemblyCase(testCase) {
+    const model = testCase.model || 'chip8';
+    const origin = MODELS[model].load;
+    const differences = [];
+
+    try {
+        const rom = assemble(testCase.source, origin, model);
+        const listing = disassembleRom(rom, origin, model);
+        const lines = listing.split('\n').map((line) => line.split(';')[0].trim());
+
+        for (const line of testCase.listing) {
+            if (!lines.includes(line)) {
+                differences.push('the listing has no line ' + line);
+            }
+        }
+
+        const code = traceCode(rom, origin, model).code.size;
+        if (code !== testCase.code) {
+            differences.push(code + ' instructions found as code, expected ' + testCase.code);
+        }
+
+        if (!Buffer.from(assemble(listing, origin, model)).equals(Buffer.from(rom))) {
+            differences.push('the listing assembles to other bytes:', ...listing.trim().split('\n'));
+        }
+    } catch (error) {
+        differences.push(error.message);
+    }
+
+    return differences;
+}
+
+/**
+ * A canvas, its 2D context and a window that do nothing but keep the sizes, so the page's Renderer runs headless.
+ */
+function stubPage() {
+    const context = {
+        createImageData: (width, height) => ({ width: width, height: height, data: new Uint8ClampedArray(width * height * 4) }),
+        putImageData: () => {},
+        drawImage: () => {},
+        fillRect: () => {}
+    };
+    const canvas = () => ({ width: 0, height: 0, getContext: () => context, getBoundingClientRect: () => ({ left: 0, top: 0 }) });
+    const listeners = [];
+
+    return {
+        canvas: canvas(),
+        document: { createElement: () => canvas() },
+        window: { innerWidth: 1024, innerHeight: 768, addEventListener: (type, listener) => listeners.push(listener) },
+        resize: () => listeners.forEach((listener) => listener())
+    };
+}
+
+/**
+ * Build the page's Renderer against a stub canvas and put it through scales, models and a frame. The page and every
+ * <chip8-emulator> need it, while everything else here runs on the headless display.
+ */
+function checkRenderer() {
+    const page = stubPage();
+    const globals = { document: globalThis.document, window: globalThis.window };
+    const differences = [];
+    const check = (name, actual, expected) => {
+        if (actual !== expected) {
+            differences.push(name + ' is ' + actual + ', expected ' + expected);
+        }
+    };
+
+    globalThis.document = page.document;
+    globalThis.window = page.window;
+    try {
+        const renderer = new Renderer(8, { canvas: page.canvas, phosphor: 2, scanlines: true });
+        check('canvas width at scale 8', page.canvas.width, 512);
+
+        renderer.setModel(MODELS.hires);
+        check('canvas height of the HiRes model', page.canvas.height, 512);
+
+        renderer.setModel(MODELS.chip8x);
+        renderer.setScale('fit');
+        page.resize();
+        check('canvas width when fitting the window', page.canvas.width, 1024);
+
+        renderer.setResolution(true);
+        renderer.display[0] = 1;
+        renderer.render();
+    } catch (error) {
+        differences.push(error.message);
+    } finally {
+        globalThis.document = globals.document;
+        globalThis.window = globals.window;
+    }
+
+    return differences;
+}
+
+/**
+ * The 4x5 glyph at text position `position` of the top row, as 5 bytes like the font stores them.
+ */
+function readGlyph(renderer, position) {
+    const glyph = [];
+
+    for (let y = 0; y < 5; y++) {
+        let row = 0;
+        for (let x = 0; x < 4; x++) {
+            if (renderer.display[(position * 5) + x + (y * renderer.cols)]) {
+                row |= 0x80 >> x;
+            }
+        }
+        glyph.push(row);
+    }
+
+    return glyph;
+}
+
+/**
+ * Read the result screen: { result: "PASS" or "FAIL", check } or null when there is no result on screen.
+ */
+function readResult(chip8) {
+    const font = (digit) => Array.from(chip8.cpu.memory.slice(digit * 5, (digit * 5) + 5));
+    const glyph = (char) => typeof char === 'number' ? font(char) : LETTERS[char];
+    const same = (a, b) => a.every((byte, n) => byte === b[n]);
+
+    const digit = (position) => {
+        const found = readGlyph(chip8.renderer, position);
+        for (let n = 0; n < 16; n++) {
+            if (same(found, font(n))) {
+                return n;
+            }
+        }
+        return null;
+    };
+
+    for (const [result, chars] of Object.entries(WORDS)) {
+        if (chars.every((char, position) => same(readGlyph(chip8.renderer, position), glyph(char)))) {
+            const high = digit(5);
+            const low = digit(6);
+            return { result: result, check: high !== null && low !== null ? (high << 4) | low : null };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Run a test ROM with a quirk preset until it ends in its final self jump, and read the result screen.
+ */
+async function runRom(file, preset, core) {
+    const chip8 = new HeadlessChip8({ basePath: TESTS_PATH, speed: ROM_SPEED, quirks: preset, seed: ROM_SEED, core: core });
+    await chip8.loadRom(file);
+
+    const cpu = chip8.cpu;
+    const looping = () => ((cpu.memory[cpu.pc] << 8) | cpu.memory[cpu.pc + 1]) === (0x1000 | cpu.pc);
+
+    while (!looping() && chip8.frame < ROM_FRAMES) {
+        chip8.runFrame();
+    }
+
+    return readResult(chip8);
+}
+
+/**
+ * Test ROMs are the .asm files in roms/tests with an assembled ROM next to them: alu.asm and ALU.
+ * The ROM has to match its source, so a changed source that wasn't assembled again is caught too.
+ */
+function testRoms() {
+    return readdirSync(TESTS_PATH)
+        .filter((file) => file.endsWith('.asm'))
+        .map((file) => {
+            const name = file.slice(0, -4).toUpperCase();
+            let upToDate;
+
+            try {
+                const rom = readFileSync(path.join(TESTS_PATH, name));
+                const assembled = assemble(readFileSync(path.join(TESTS_PATH, file), 'utf8'));
+                upToDate = Buffer.from(assembled).equals(rom);
+            } catch (error) {
+                upToDate = false;
+            }
+
+            return { name: name, source: file, upToDate: upToDate };
+        });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const failures = [];
+    let passed = 0;
+
+    const report = (name, differences) => {
+        if (differences.length === 0) {
+            passed++;
+            if (options.verbose) {
+                console.log('ok    ' + name);
+            }
+            return;
+        }
+
+        failures.push(name);
+        console.log('FAIL  ' + name);
+        for (const difference of differences) {
+            console.log('        ' + difference);
+        }
+    };
+
+    if (options.cases) {
+        for (const testCase of cases.filter((testCase) => testCase.name.includes(options.filter))) {
+            report(testCase.name, runCase(testCase, options.core));
+        }
+        for (const testCase of disassemblyCases.filter((testCase) => testCase.name.includes(options.filter))) {
+            report(testCase.name, runDisassemblyCase(testCase));
+        }
+
+        if ('Renderer'.includes(options.filter)) {
+            report('Renderer draws on a stub canvas', checkRenderer());
+        }
+    }
+
+    if (options.roms) {
+        for (const rom of testRoms().filter((rom) => rom.name.includes(options.filter))) {
+            if (!rom.upToDate) {
+                report('roms/tests/' + rom.name, ['does not match ' + rom.source, 'run: node tools/assemble.js roms/tests/' + rom.source + ' --out roms/tests/' + rom.name]);
+                continue;
+            }
+
+            for (const preset of Object.keys(PRESETS)) {
+                const result = await runRom(rom.name, preset, options.core);
+                let differences = [];
+
+                if (result === null) {
+                    differences = ['no result on screen after ' + ROM_FRAMES + ' frames'];
+                } else if (result.result === 'FAIL') {
+                    differences = ['check ' + (result.check === null ? '?' : hex(result.check)) + ' failed, see roms/tests/' + rom.source];
+                }
+
+                report('roms/tests/' + rom.name + ' (' + preset + ')', differences);
+            }
+        }
+    }
+
+    console.log();
+    console.log(passed + ' passed, ' + failures.length + ' failed');
+
+    if (failures.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
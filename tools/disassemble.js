@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Write a labelled listing of a ROM, which tools/assemble.js turns back into the same ROM.
+ *
+ *   node tools/disassemble.js roms/BLITZ [--model NAME] [--origin 0x200] [--out blitz.asm]
+ *
+ * The model (chip8, hires, chip8x or xochip) decides how opcodes are read, and the default origin. Assemble the listing
+ * with the same model.
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import { disassembleRom } from '../scripts/disassembler.js';
+import { MODELS } from '../scripts/models.js';
+
+function usage(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error('Usage: node tools/disassemble.js <rom> [--model NAME] [--origin ADDRESS] [--out FILE]');
+    process.exit(2);
+}
+
+const args = process.argv.slice(2);
+let rom = null, out = null, model = 'chip8', origin = null;
+
+for (let n = 0; n < args.length; n++) {
+    switch (args[n]) {
+        case '--origin':
+            origin = parseInt(args[++n]);
+            if (isNaN(origin)) {
+                usage('Invalid origin');
+            }
+            break;
+        case '--model':
+            model = args[++n];
+            if (!MODELS[model]) {
+                usage('Unknown model ' + model);
+            }
+            break;
+        case '--out':
+            out = args[++n];
+            break;
+        default:
+            if (args[n].startsWith('--') || rom) {
+                usage('Unknown argument ' + args[n]);
+            }
+            rom = args[n];
+    }
+}
+
+if (!rom) {
+    usage('No ROM given.');
+}
+
+try {
+    const listing = disassembleRom(new Uint8Array(readFileSync(rom)), origin === null ? MODELS[model].load : origin, model);
+
+    if (out) {
+        writeFileSync(out, listing);
+    } else {
+        process.stdout.write(listing);
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Netplay relay: pairs two players in a room and passes their messages on (see scripts/netplay.js). It also serves
+ * the emulator, so two browser tabs on localhost can play each other:
+ *
+ *   node tools/netplay-server.js --port 8080
+ *
+ * Then open http://localhost:8080/ twice: one player hosts and gets a room code, the other joins with it.
+ *
+ * Options:
+ *   --port N             Port to listen on (default 8080).
+ *
+ * Players talk to the relay over a WebSocket at /netplay, in JSON messages:
+ *   { type: "host" }                  =>  { type: "room", room: "ABCD" }
+ *   { type: "join", room: "ABCD" }    =>  { type: "joined" } to the player, { type: "peer" } to the host
+ *                                         or { type: "error", message }
+ * Every other message goes to the other player of the room. When a player leaves, the other one gets
+ * { type: "left" }.
+ */
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json'
+};
+
+// Added to the client's key to accept a WebSocket connection (RFC 6455).
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// WebSocket frame opcodes.
+const TEXT = 0x1;
+const CLOSE = 0x8;
+const PING = 0x9;
+const PONG = 0xA;
+
+// Messages are small: keys, hashes and at most a ROM. Anything larger closes the connection.
+const MAX_MESSAGE = 1024 * 1024;
+
+const ROOM_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+function usage(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error('Usage: node tools/netplay-server.js [--port N]');
+    process.exit(2);
+}
+
+/**
+ * One player's WebSocket connection: unmasks and reassembles the frames the browser sends, and sends text frames.
+ * Fragmented messages aren't supported, browsers send messages this small in one frame.
+ */
+class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+
+        // Called with the text of every message, and once when the connection closed.
+        this.onMessage = () => {};
+        this.onClose = () => {};
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.close());
+        socket.on('error', () => this.close());
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (!this.closed) {
+            const frame = this.parseFrame();
+            if (frame === null) {
+                return;
+            }
+
+            if (frame.opcode === TEXT && frame.final) {
+                this.onMessage(frame.payload.toString('utf8'));
+            } else if (frame.opcode === PING) {
+                this.sendFrame(PONG, frame.payload);
+            } else if (frame.opcode !== PONG) {
+                this.close();
+            }
+        }
+    }
+
+    /**
+     * The next complete frame from the buffer, or null until more data arrives.
+     */
+    parseFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) {
+            return null;
+        }
+
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) {
+                return null;
+            }
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) {
+                return null;
+            }
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE) {
+            this.close();
+            return null;
+        }
+
+        // Frames from the browser are always masked.
+        const masked = (buffer[1] & 0x80) !== 0;
+        const end = offset + (masked ? 4 : 0) + length;
+        if (buffer.length < end) {
+            return null;
+        }
+
+        const payload = Buffer.from(buffer.subarray(end - length, end));
+        if (masked) {
+            for (let n = 0; n < payload.length; n++) {
+                payload[n] ^= buffer[offset + (n % 4)];
+            }
+        }
+        this.buffer = buffer.subarray(end);
+
+        return { final: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0F, payload: payload };
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed || !this.socket.writable) {
+            return;
+        }
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.sendFrame(TEXT, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    close() {
+        if (this.closed) {
+            return;
+        }
+
+        this.sendFrame(CLOSE, Buffer.alloc(0));
+        this.closed = true;
+        this.socket.end();
+        this.onClose();
+    }
+}
+
+/**
+ * Rooms of two players: code => { host, guest }.
+ */
+class Relay {
+    constructor() {
+        this.rooms = new Map();
+    }
+
+    connect(connection) {
+        // The room of this player, once they hosted or joined one.
+        let room = null;
+
+        connection.onMessage = (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                connection.send({ type: 'error', message: 'Messages are JSON' });
+                return;
+            }
+
+            if (message.type === 'host' && room === null) {
+                room = { code: this.newCode(), host: connection, guest: null };
+                this.rooms.set(room.code, room);
+                connection.send({ type: 'room', room: room.code });
+            } else if (message.type === 'join' && room === null) {
+                const code = String(message.room || '').toUpperCase();
+                const joined = this.rooms.get(code);
+
+                if (!joined) {
+                    connection.send({ type: 'error', message: 'There is no room ' + code });
+                } else if (joined.guest) {
+                    connection.send({ type: 'error', message: 'Room ' + code + ' is full' });
+                } else {
+                    room = joined;
+                    room.guest = connection;
+                    connection.send({ type: 'joined', room: code });
+                    room.host.send({ type: 'peer' });
+                }
+            } else if (room !== null) {
+                const other = room.host === connection ? room.guest : room.host;
+                if (other) {
+                    other.sendFrame(TEXT, Buffer.from(text, 'utf8'));
+                }
+            }
+        };
+
+        // A room ends with either player.
+        connection.onClose = () => {
+            if (room === null) {
+                return;
+            }
+
+            this.rooms.delete(room.code);
+            for (const other of [room.host, room.guest]) {
+                if (other && other !== connection) {
+                    other.send({ type: 'left' });
+                    other.close();
+                }
+            }
+            room = null;
+        };
+    }
+
+    newCode() {
+        let code;
+        do {
+            code = '';
+            for (let n = 0; n < 4; n++) {
+                code += ROOM_LETTERS[Math.floor(Math.random() * ROOM_LETTERS.length)];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+}
+
+/**
+ * Serve the files of the emulator, and nothing outside of it.
+ */
+async function serveFile(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const file = path.join(ROOT, decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname));
+
+    if (!file.startsWith(ROOT + path.sep)) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+
+    try {
+        const contents = await readFile(file);
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(contents);
+    } catch (error) {
+        response.writeHead(404);
+        response.end('Not found');
+    }
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    let port = 8080;
+
+    for (let n = 0; n < args.length; n++) {
+        switch (args[n]) {
+            case '--port':
+                port = Number(args[++n]);
+                if (!Number.isInteger(port) || port < 0 || port > 65535) {
+                    usage('Invalid port ' + args[n]);
+                }
+                break;
+            default:
+                usage('Unknown argument ' + args[n]);
+        }
+    }
+
+    const relay = new Relay();
+    const server = createServer((request, response) => {
+        serveFile(request, response).catch(() => {
+            response.writeHead(500);
+            response.end();
+        });
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+
+        if (new URL(request.url, 'http://localhost').pathname !== '/netplay' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n'
+            + 'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+        socket.setNoDelay(true);
+
+        relay.connect(new Connection(socket));
+    });
+
+    server.listen(port, () => {
+        console.log('Netplay relay on ws://localhost:' + server.address().port + '/netplay, emulator on http://localhost:' + server.address().port + '/');
+    });
+}
+
+main();
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Play a movie back without a browser and check that it ends on the same framebuffer as the recording.
+ * Exits with status 1 when it doesn't, so recorded movies work as regression tests.
+ *
+ *   node tools/play-movie.js blitz.movie [--rom roms/BLITZ] [--save FILE.pbm] [--wav FILE.wav]
+ *
+ * Options:
+ *   --rom FILE    The ROM to play the movie on (default: the ROM name stored in the movie).
+ *   --save FILE   Save the final framebuffer as a PBM image.
+ *   --wav FILE    Render the sound of the movie into a WAV file.
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import HeadlessChip8 from '../scripts/headless/chip8.js';
+import { MoviePlayer, parseMovie } from '../scripts/movie.js';
+import { SoundLog, renderWav } from '../scripts/audio.js';
+
+function usage(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error('Usage: node tools/play-movie.js <movie> [--rom FILE] [--save FILE] [--wav FILE]');
+    process.exit(2);
+}
+
+const args = process.argv.slice(2);
+let moviePath = null, rom = null, save = null, wav = null;
+
+for (let n = 0; n < args.length; n++) {
+    switch (args[n]) {
+        case '--rom':
+            rom = args[++n];
+            break;
+        case '--save':
+            save = args[++n];
+            break;
+        case '--wav':
+            wav = args[++n];
+            break;
+        default:
+            if (args[n].startsWith('--') || moviePath) {
+                usage('Unknown argument ' + args[n]);
+            }
+            moviePath = args[n];
+    }
+}
+
+if (!moviePath) {
+    usage('No movie given.');
+}
+
+async function main() {
+    const movie = parseMovie(readFileSync(moviePath, 'utf8'));
+
+    if (!rom && !movie.rom) {
+        usage('The movie does not name its ROM, use --rom.');
+    }
+
+    const chip8 = new HeadlessChip8();
+    await chip8.loadRom(rom || movie.rom);
+
+    const player = new MoviePlayer(chip8.cpu, movie);
+    player.start();
+
+    if (wav) {
+        chip8.soundLog = new SoundLog();
+    }
+
+    while (!player.finished) {
+        chip8.runFrame(player.frame());
+    }
+
+    const result = player.stop();
+
+    if (save) {
+        writeFileSync(save, chip8.displayToPbm());
+    }
+    if (wav) {
+        writeFileSync(wav, renderWav(chip8.soundLog.frames));
+    }
+
+    console.log(chip8.displayToString());
+    console.log();
+    console.log(movie.frames + ' frames, framebuffer checksum ' + result.checksum + (result.matched ? ' matches the recording' : ', the recording ended on ' + result.expected));
+
+    if (!result.matched) {
+        process.exit(1);
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
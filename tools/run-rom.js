@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+/**
+ * Run a ROM without a browser and print the final framebuffer and registers.
+ *
+ *   node tools/run-rom.js roms/BLITZ --frames 600 --press 120:5:10 --save blitz.pbm
+ *
+ * Options:
+ *   --frames N           Run N frames (default 60).
+ *   --cycles N           Run N instructions instead of whole frames.
+ *   --speed N            Instructions per frame (default 10, same as the browser).
+ *   --quirks PRESET      Quirk preset: default, vip, chip48, schip or xochip.
+ *   --core NAME          Run on the interpreter (default) or the fast core.
+ *   --model NAME         Machine model: chip8 (default), hires (HiRes CHIP-8, 64x64), chip8x or xochip (64KB of memory).
+ *   --press F:K[:H]      Press hex key K at frame F and hold it for H frames (default 1). Repeatable.
+ *   --save FILE          Save the final framebuffer as a PBM image.
+ *   --record FILE        Record the run (with --frames) as a movie, tools/play-movie.js plays it back.
+ *   --seed N             Seed for the random numbers of Cxkk (default: a random seed).
+ *   --wav FILE           Render the sound of the run into a WAV file.
+ *   --waveform NAME      Waveform of the buzzer in the WAV file: square (default), sine, triangle or sawtooth.
+ *   --tone HZ            Pitch of the buzzer in the WAV file (default 440).
+ *   --profile FILE       Profile the run: execution counts, memory reads and writes, calls and coverage as JSON.
+ *   --trace FILE         Write a trace of every instruction (scripts/trace.js) to FILE, tools/trace-diff.js compares
+ *                        two of them.
+ *   --trace-range A-B    Only trace the instructions at addresses A to B (hex, inclusive).
+ *   --trace-family NAME  Only trace instructions of this family: a mnemonic (DRW) or a family ("ADD Vx, Vy").
+ *                        Repeatable.
+ *   --lenient            Carry on after faults (unknown opcodes, stack and memory errors) instead of halting.
+ *   --json               Print the final state as JSON instead of text.
+ *   --benchmark          Run the same session on every core, report instructions per second and check that all
+ *                        cores end in the same state. Warns when the ROM spent most of the run waiting.
+ *
+ * Exits with status 1 when a fault halted the machine, after printing the crash report, or when the cores of a
+ * benchmark don't agree.
+ */
+import { writeFileSync, openSync, writeSync, closeSync } from 'fs';
+import { performance } from 'perf_hooks';
+import HeadlessChip8 from '../scripts/headless/chip8.js';
+import { PRESETS } from '../scripts/quirks.js';
+import { MovieRecorder, serializeMovie } from '../scripts/movie.js';
+import { SoundLog, renderWav, WAVEFORMS, DEFAULT_SOUND } from '../scripts/audio.js';
+import { FAULT_NAMES, crashReport } from '../scripts/faults.js';
+import Profiler from '../scripts/profiler.js';
+import Tracer, { createTraceFilter, parseAddressRange } from '../scripts/trace.js';
+import { CORES } from '../scripts/fast-core.js';
+import { MODELS } from '../scripts/models.js';
+
+function usage(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error('Usage: node tools/run-rom.js <rom> [--frames N | --cycles N] [--speed N] [--quirks PRESET] [--core NAME] [--model NAME] [--press FRAME:KEY[:HOLD]]... [--save FILE] [--record FILE] [--seed N] [--wav FILE [--waveform NAME] [--tone HZ]] [--profile FILE] [--trace FILE [--trace-range A-B] [--trace-family NAME]...] [--lenient] [--json] [--benchmark]');
+    process.exit(2);
+}
+
+function parseNumber(value, name) {
+    const number = Number(value);
+    if (value === undefined || !Number.isInteger(number) || number < 0) {
+        usage('Invalid value for ' + name + ': ' + value);
+    }
+    return number;
+}
+
+function parseArgs(argv) {
+    const options = { frames: 60, cycles: null, speed: 10, quirks: 'default', core: 'interpreter', model: 'chip8', presses: [], save: null, record: null, seed: undefined, wav: null, waveform: DEFAULT_SOUND.waveform, tone: DEFAULT_SOUND.frequency, profile: null, trace: null, traceRange: null, traceFamilies: [], lenient: false, json: false, benchmark: false, rom: null };
+
+    for (let n = 0; n < argv.length; n++) {
+        const arg = argv[n];
+
+        switch (arg) {
+            case '--frames':
+                options.frames = parseNumber(argv[++n], arg);
+                break;
+            case '--cycles':
+                options.cycles = parseNumber(argv[++n], arg);
+                break;
+            case '--speed':
+                options.speed = parseNumber(argv[++n], arg);
+                break;
+            case '--quirks':
+                options.quirks = argv[++n];
+                if (!PRESETS[options.quirks]) {
+                    usage('Unknown quirk preset ' + options.quirks);
+                }
+                break;
+            case '--model':
+                options.model = argv[++n];
+                if (!MODELS[options.model]) {
+                    usage('Unknown model ' + options.model);
+                }
+                break;
+            case '--core':
+                options.core = argv[++n];
+                if (!CORES.includes(options.core)) {
+                    usage('Unknown core ' + options.core);
+                }
+                break;
+            case '--press': {
+                const parts = (argv[++n] || '').split(':');
+                const press = {
+                    frame: parseNumber(parts[0], arg),
+                    key: parseInt(parts[1], 16),
+                    hold: parts[2] === undefined ? 1 : parseNumber(parts[2], arg)
+                };
+                if (!(press.key >= 0x0 && press.key <= 0xF)) {
+                    usage('Invalid key for --press: ' + parts[1]);
+                }
+                options.presses.push(press);
+                break;
+            }
+            case '--save':
+                options.save = argv[++n];
+                break;
+            case '--record':
+                options.record = argv[++n];
+                break;
+            case '--seed':
+                options.seed = parseNumber(argv[++n], arg);
+                break;
+            case '--wav':
+                options.wav = argv[++n];
+                break;
+            case '--waveform':
+                options.waveform = argv[++n];
+                if (!WAVEFORMS.includes(options.waveform)) {
+                    usage('Unknown waveform ' + options.waveform);
+                }
+                break;
+            case '--tone':
+                options.tone = parseNumber(argv[++n], arg);
+                break;
+            case '--profile':
+                options.profile = argv[++n];
+                break;
+            case '--trace':
+                options.trace = argv[++n];
+                break;
+            case '--trace-range':
+                try {
+                    options.traceRange = parseAddressRange(argv[++n] || '');
+                } catch (error) {
+                    usage(error.message);
+                }
+                break;
+            case '--trace-family':
+                options.traceFamilies.push(argv[++n]);
+                break;
+            case '--lenient':
+                options.lenient = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--benchmark':
+                options.benchmark = true;
+                break;
+            case '--help':
+                usage();
+                break;
+            default:
+                if (arg.startsWith('--') || options.rom) {
+                    usage('Unknown argument ' + arg);
+                }
+                options.rom = arg;
+        }
+    }
+
+    if (!options.rom) {
+        usage('No ROM given.');
+    }
+    if (options.record && options.cycles !== null) {
+        usage('Movies are recorded in whole frames, --record does not work with --cycles.');
+    }
+
+    if ((options.traceRange || options.traceFamilies.length) && !options.trace) {
+        usage('--trace-range and --trace-family filter a trace, they need --trace.');
+    }
+
+    return options;
+}
+
+// A benchmark that ran fewer than this share of its instructions mostly measured waiting.
+const BENCHMARK_MIN_SHARE = 0.5;
+
+// Trace lines are written to the file in batches of this many.
+const TRACE_BATCH = 4096;
+
+/**
+ * Start a Tracer that streams its lines into the --trace file, so long runs don't pile them up in memory.
+ * Returns a function that stops it and writes the rest.
+ */
+function startTrace(cpu, options) {
+    const file = openSync(options.trace, 'w');
+    let lines = [];
+
+    const flush = () => {
+        if (lines.length) {
+            writeSync(file, lines.join('\n') + '\n');
+            lines = [];
+        }
+    };
+
+    const filter = createTraceFilter(Object.assign({ families: options.traceFamilies }, options.traceRange));
+    const tracer = new Tracer(cpu, (line) => {
+        lines.push(line);
+        if (lines.length >= TRACE_BATCH) {
+            flush();
+        }
+    }, filter);
+
+    tracer.start();
+
+    return () => {
+        tracer.stop();
+        flush();
+        closeSync(file);
+    };
+}
+
+/**
+ * Press and release the scripted keys that start or end at the given frame.
+ */
+function applyPresses(chip8, presses, frame) {
+    for (const press of presses) {
+        if (press.frame + press.hold === frame) {
+            chip8.keyboard.releaseKey(press.key);
+        }
+    }
+    for (const press of presses) {
+        if (press.frame === frame) {
+            chip8.keyboard.pressKey(press.key);
+        }
+    }
+}
+
+/**
+ * A machine with the ROM loaded, set up like the options say.
+ */
+async function createMachine(options, core) {
+    const chip8 = new HeadlessChip8({ speed: options.speed, quirks: options.quirks, seed: options.seed, core: core, model: options.model });
+
+    await chip8.loadRom(options.rom);
+
+    if (options.lenient) {
+        for (const fault of FAULT_NAMES) {
+            chip8.cpu.faultPolicy[fault] = 'lenient';
+        }
+    }
+
+    return chip8;
+}
+
+/**
+ * Run the frames or cycles of the options, with the scripted key presses. A fault ends the run.
+ */
+function run(chip8, options, recorder) {
+    if (options.cycles !== null) {
+        let remaining = options.cycles;
+        while (remaining > 0 && !chip8.cpu.fault) {
+            applyPresses(chip8, options.presses, chip8.frame);
+
+            // Run up to the next frame boundary, so key presses land on the right frame.
+            const count = Math.min(remaining, options.speed - (chip8.cycles % options.speed));
+            chip8.runCycles(count);
+            remaining -= count;
+        }
+    } else {
+        for (let frame = 0; frame < options.frames && !chip8.cpu.fault; frame++) {
+            applyPresses(chip8, options.presses, chip8.frame);
+            const executed = chip8.runFrame();
+            if (recorder) {
+                recorder.frame(executed);
+            }
+        }
+    }
+}
+
+/**
+ * Time the run on every core. Every core has to end with the same machine state, to the last bit.
+ */
+async function benchmark(options) {
+    // A seed makes sure the cores see the same random numbers.
+    const seeded = Object.assign({}, options, { seed: options.seed === undefined ? 1 : options.seed });
+    const states = [];
+
+    for (const core of CORES) {
+        const chip8 = await createMachine(seeded, core);
+
+        const start = performance.now();
+        run(chip8, seeded, null);
+        const seconds = (performance.now() - start) / 1000;
+
+        // Only instructions that ran count, a ROM waiting for a key runs none at all.
+        console.log(core.padEnd(12) + ' ' + chip8.instructions + ' instructions in ' + seconds.toFixed(3) + ' s: '
+            + Math.round(chip8.instructions / seconds).toLocaleString('en-US') + ' instructions per second');
+
+        const planned = seeded.cycles !== null ? seeded.cycles : seeded.frames * seeded.speed;
+        if (chip8.instructions < planned * BENCHMARK_MIN_SHARE) {
+            console.error('Warning: only ' + chip8.instructions + ' of ' + planned + ' instructions ran, the ROM '
+                + (chip8.cpu.fault ? 'halted' : 'waited for a key or the next frame most of the time')
+                + '. Press keys with --press to benchmark the game itself.');
+        }
+
+        const snapshot = chip8.cpu.snapshot();
+        snapshot.fault = chip8.cpu.fault ? chip8.cpu.fault.message : null;
+        states.push(JSON.stringify(snapshot, (key, value) => ArrayBuffer.isView(value) ? Array.from(value) : value));
+    }
+
+    if (states.every((state) => state === states[0])) {
+        console.log('All cores end in the same state.');
+    } else {
+        console.error('The cores end in different states.');
+        process.exitCode = 1;
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.benchmark) {
+        await benchmark(options);
+        return;
+    }
+
+    const chip8 = await createMachine(options, options.core);
+
+    let recorder = null;
+    if (options.record) {
+        recorder = new MovieRecorder(chip8.cpu, options.rom);
+        recorder.start();
+    }
+
+    if (options.wav) {
+        chip8.soundLog = new SoundLog();
+    }
+
+    let profiler = null;
+    if (options.profile) {
+        profiler = new Profiler(chip8.cpu);
+        profiler.start();
+    }
+
+    const stopTrace = options.trace ? startTrace(chip8.cpu, options) : null;
+
+    run(chip8, options, recorder);
+
+    if (stopTrace) {
+        stopTrace();
+    }
+
+    if (recorder) {
+        writeFileSync(options.record, serializeMovie(recorder.stop()));
+    }
+
+    if (options.wav) {
+        writeFileSync(options.wav, renderWav(chip8.soundLog.frames, { waveform: options.waveform, frequency: options.tone }));
+    }
+
+    if (profiler) {
+        writeFileSync(options.profile, JSON.stringify(profiler, null, 2));
+    }
+
+    if (options.save) {
+        writeFileSync(options.save, chip8.displayToPbm());
+    }
+
+    const state = chip8.registers();
+
+    if (options.json) {
+        state.display = chip8.displayToString().split('\n');
+        console.log(JSON.stringify(state, null, 2));
+    } else {
+        printState(chip8, state);
+    }
+
+    if (chip8.cpu.fault) {
+        console.error();
+        console.error(crashReport(chip8.cpu));
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * The final framebuffer and registers as text.
+ */
+function printState(chip8, state) {
+    const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+    console.log(chip8.displayToString());
+    console.log();
+    console.log('frame ' + state.frame + '  cycles ' + state.cycles + (state.paused ? '  (waiting for key)' : ''));
+    console.log('PC ' + hex(state.pc, 3) + '  I ' + hex(state.i, 3) + '  DT ' + hex(state.delayTimer, 2) + '  ST ' + hex(state.soundTimer, 2));
+    console.log(state.v.map((value, index) => 'V' + hex(index, 1) + ' ' + hex(value, 2)).join('  '));
+    console.log('stack [' + state.stack.map((address) => hex(address, 3)).join(', ') + ']');
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Compare two instruction traces and report the first instruction where they diverge, with the state delta.
+ *
+ *   node tools/run-rom.js roms/BLITZ --frames 600 --trace ours.trace
+ *   node tools/trace-diff.js ours.trace theirs.trace --ignore CYC,DT
+ *
+ * Traces are text, one instruction per line (see scripts/trace.js), so traces of other emulators can be compared
+ * as long as they write the same KEY=VALUE fields. Only the fields both traces have are compared.
+ *
+ * Options:
+ *   --ignore FIELDS      Fields not to compare, separated by commas: CYC, PC, OP, V, I, DT, ST or SP.
+ *
+ * Exits with status 0 when the traces agree and 1 when they diverge.
+ */
+import { readFileSync } from 'fs';
+import { diffTraces, TRACE_FIELDS } from '../scripts/trace.js';
+
+function usage(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error('Usage: node tools/trace-diff.js <trace> <trace> [--ignore FIELDS]');
+    process.exit(2);
+}
+
+const args = process.argv.slice(2);
+const files = [];
+let ignore = [];
+
+for (let n = 0; n < args.length; n++) {
+    switch (args[n]) {
+        case '--ignore':
+            ignore = (args[++n] || '').toUpperCase().split(',').filter((field) => field !== '');
+            for (const field of ignore) {
+                if (!TRACE_FIELDS.includes(field)) {
+                    usage('Unknown trace field ' + field);
+                }
+            }
+            break;
+        default:
+            if (args[n].startsWith('--') || files.length === 2) {
+                usage('Unknown argument ' + args[n]);
+            }
+            files.push(args[n]);
+    }
+}
+
+if (files.length !== 2) {
+    usage('Two traces are needed.');
+}
+
+try {
+    const divergence = diffTraces(readFileSync(files[0], 'utf8'), readFileSync(files[1], 'utf8'), ignore);
+
+    if (divergence === null) {
+        console.log('The traces agree.');
+    } else {
+        report(divergence);
+        process.exitCode = 1;
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+/**
+ * The diverging lines, the fields that differ, and the instruction that made them differ.
+ */
+function report(divergence) {
+    const width = Math.max(...files.map((file) => file.length));
+
+    console.log('The traces diverge at line ' + divergence.line + ':');
+    console.log();
+    console.log('  ' + files[0].padEnd(width) + '  ' + (divergence.a ? divergence.a.source : '(end of trace)'));
+    console.log('  ' + files[1].padEnd(width) + '  ' + (divergence.b ? divergence.b.source : '(end of trace)'));
+
+    if (divergence.differences.length) {
+        console.log();
+        console.log('  ' + 'field'.padEnd(6) + files[0].padEnd(width) + '  ' + files[1]);
+        for (const { field, a, b } of divergence.differences) {
+            console.log('  ' + field.padEnd(6) + a.padEnd(width) + '  ' + b);
+        }
+    }
+
+    // Every line holds the state before its instruction, so the instruction before the divergence caused it.
+    const previous = divergence.previous;
+    console.log();
+    if (previous === null) {
+        console.log('The traces differ from the first line on.');
+    } else {
+        console.log('The state differs after: ' + previous.source);
+    }
+}